@@ -0,0 +1,40 @@
+/**
+ * One-off migration: convert legacy report locations stored as { lat, lng }
+ * into GeoJSON Points so the 2dsphere index on `location` can be used.
+ *
+ * Usage: node --env-file=.env.local scripts/migrate-location-geojson.mjs
+ */
+import mongoose from 'mongoose';
+
+const MONGODB_URI = process.env.MONGODB_URI;
+
+if (!MONGODB_URI) {
+  throw new Error('Please define the MONGODB_URI environment variable inside .env.local');
+}
+
+await mongoose.connect(MONGODB_URI);
+
+try {
+  const reports = mongoose.connection.collection('reports');
+
+  const result = await reports.updateMany(
+    { 'location.lat': { $exists: true }, 'location.lng': { $exists: true } },
+    [
+      {
+        $set: {
+          location: {
+            type: 'Point',
+            coordinates: ['$location.lng', '$location.lat']
+          }
+        }
+      }
+    ]
+  );
+  console.log(`Migrated ${result.modifiedCount} report location(s) to GeoJSON`);
+
+  // The old index may have failed to build against the legacy shape
+  await reports.createIndex({ location: '2dsphere' });
+  console.log('Ensured 2dsphere index on reports.location');
+} finally {
+  await mongoose.disconnect();
+}
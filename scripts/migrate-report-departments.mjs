@@ -0,0 +1,50 @@
+/**
+ * One-off migration: route reports created before departments existed to
+ * the default department for their category and give them an SLA deadline
+ * counted from when they were reported. Keep DEFAULT_DEPARTMENTS in sync
+ * with src/lib/db/departmentService.js.
+ *
+ * Usage: node --env-file=.env.local scripts/migrate-report-departments.mjs
+ */
+import mongoose from 'mongoose';
+
+const MONGODB_URI = process.env.MONGODB_URI;
+
+if (!MONGODB_URI) {
+  throw new Error('Please define the MONGODB_URI environment variable inside .env.local');
+}
+
+const DEFAULT_DEPARTMENTS = [
+  { slug: 'sanitation', name: 'Sanitation', categories: ['garbage'], slaHours: 48 },
+  { slug: 'drainage', name: 'Drainage', categories: ['waterlogging'], slaHours: 72 }
+];
+
+await mongoose.connect(MONGODB_URI);
+
+try {
+  const departments = mongoose.connection.collection('departments');
+  const reports = mongoose.connection.collection('reports');
+
+  for (const defaults of DEFAULT_DEPARTMENTS) {
+    await departments.updateOne(
+      { slug: defaults.slug },
+      { $setOnInsert: { ...defaults, createdAt: new Date() } },
+      { upsert: true }
+    );
+  }
+
+  for (const department of await departments.find().toArray()) {
+    const result = await reports.updateMany(
+      { category: { $in: department.categories || [] }, department: null },
+      [{
+        $set: {
+          department: department._id,
+          dueAt: { $add: ['$createdAt', department.slaHours * 60 * 60 * 1000] }
+        }
+      }]
+    );
+    console.log(`Routed ${result.modifiedCount} report(s) to ${department.name}`);
+  }
+} finally {
+  await mongoose.disconnect();
+}
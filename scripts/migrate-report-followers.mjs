@@ -0,0 +1,31 @@
+/**
+ * One-off migration: make reporters and "+1" supporters follow the reports
+ * they filed before following existed, so they get notified about them.
+ *
+ * Usage: node --env-file=.env.local scripts/migrate-report-followers.mjs
+ */
+import mongoose from 'mongoose';
+
+const MONGODB_URI = process.env.MONGODB_URI;
+
+if (!MONGODB_URI) {
+  throw new Error('Please define the MONGODB_URI environment variable inside .env.local');
+}
+
+await mongoose.connect(MONGODB_URI);
+
+try {
+  const reports = mongoose.connection.collection('reports');
+
+  const result = await reports.updateMany(
+    { followers: { $exists: false } },
+    [{
+      $set: {
+        followers: { $setUnion: [['$createdBy'], { $ifNull: ['$supporters', []] }] }
+      }
+    }]
+  );
+  console.log(`Added followers to ${result.modifiedCount} report(s)`);
+} finally {
+  await mongoose.disconnect();
+}
@@ -0,0 +1,32 @@
+/**
+ * One-off migration: give reports created before the status workflow a
+ * `status` derived from the legacy `resolved` boolean.
+ *
+ * Usage: node --env-file=.env.local scripts/migrate-report-status.mjs
+ */
+import mongoose from 'mongoose';
+
+const MONGODB_URI = process.env.MONGODB_URI;
+
+if (!MONGODB_URI) {
+  throw new Error('Please define the MONGODB_URI environment variable inside .env.local');
+}
+
+await mongoose.connect(MONGODB_URI);
+
+try {
+  const reports = mongoose.connection.collection('reports');
+
+  const resolved = await reports.updateMany(
+    { status: { $exists: false }, resolved: true },
+    { $set: { status: 'resolved', statusHistory: [] } }
+  );
+  const open = await reports.updateMany(
+    { status: { $exists: false } },
+    { $set: { status: 'open', resolved: false, statusHistory: [] } }
+  );
+
+  console.log(`Set status on ${resolved.modifiedCount} resolved and ${open.modifiedCount} open report(s)`);
+} finally {
+  await mongoose.disconnect();
+}
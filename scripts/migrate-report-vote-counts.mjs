@@ -0,0 +1,52 @@
+/**
+ * One-off migration: fill in the denormalised upvotes, downvotes and
+ * reviewCount on reports reviewed before those counters existed. Counts are
+ * recomputed from the reviews, so the script is safe to run again.
+ *
+ * Usage: node --env-file=.env.local scripts/migrate-report-vote-counts.mjs
+ */
+import mongoose from 'mongoose';
+
+const MONGODB_URI = process.env.MONGODB_URI;
+
+if (!MONGODB_URI) {
+  throw new Error('Please define the MONGODB_URI environment variable inside .env.local');
+}
+
+await mongoose.connect(MONGODB_URI);
+
+try {
+  const reports = mongoose.connection.collection('reports');
+  const reviews = mongoose.connection.collection('reviews');
+
+  const unreviewed = await reports.updateMany(
+    { $or: [{ upvotes: { $exists: false } }, { downvotes: { $exists: false } }, { reviewCount: { $exists: false } }] },
+    { $set: { upvotes: 0, downvotes: 0, reviewCount: 0 } }
+  );
+
+  const tallies = await reviews.aggregate([
+    {
+      $group: {
+        _id: '$report',
+        upvotes: { $sum: { $cond: ['$upvote', 1, 0] } },
+        downvotes: { $sum: { $cond: ['$upvote', 0, 1] } },
+        reviewCount: { $sum: 1 }
+      }
+    }
+  ]).toArray();
+
+  let updated = 0;
+  if (tallies.length > 0) {
+    const result = await reports.bulkWrite(tallies.map(({ _id, upvotes, downvotes, reviewCount }) => ({
+      updateOne: {
+        filter: { _id },
+        update: { $set: { upvotes, downvotes, reviewCount } }
+      }
+    })));
+    updated = result.modifiedCount;
+  }
+
+  console.log(`Initialised vote counts on ${unreviewed.modifiedCount} report(s) and recounted ${updated} reviewed report(s)`);
+} finally {
+  await mongoose.disconnect();
+}
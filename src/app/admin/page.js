@@ -0,0 +1,447 @@
+'use client';
+
+import { Suspense, useCallback, useEffect, useState } from 'react';
+import { usePathname, useRouter, useSearchParams } from 'next/navigation';
+import Link from 'next/link';
+import ReportFilterPanel from '@/components/ReportFilterPanel';
+import ReportMiniMap from '@/components/ReportMiniMap';
+import StatusBadge from '@/components/StatusBadge';
+import useCurrentUser from '@/lib/useCurrentUser';
+import { REPORT_CATEGORIES, filtersFromSearchParams, filtersToQueryString } from '@/lib/reportFilters';
+import { REJECTION_REASONS, RESOLUTION_NOTES_MAX_LENGTH } from '@/lib/reportStatus';
+import { ALLOWED_IMAGE_TYPES } from '@/lib/imageLimits';
+
+const PAGE_SIZE = 50;
+
+const COLUMNS = [
+  { field: 'title', label: 'Title' },
+  { field: 'category', label: 'Category' },
+  { field: 'status', label: 'Status' },
+  { field: 'reporterCount', label: 'Reporters' },
+  { field: 'upvotes', label: 'Votes' },
+  { field: 'createdAt', label: 'Reported' }
+];
+
+const ACTION_LABELS = {
+  resolve: 'Resolve',
+  reject: 'Reject',
+  category: 'Change category',
+  delete: 'Delete'
+};
+
+function BulkActionBar({ selectedIds, onDone }) {
+  const [action, setAction] = useState('resolve');
+  const [notes, setNotes] = useState('');
+  const [afterImages, setAfterImages] = useState([]);
+  const [rejectionReason, setRejectionReason] = useState(REJECTION_REASONS[0]);
+  const [category, setCategory] = useState(REPORT_CATEGORIES[0]);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (action === 'delete' && !confirm(`Delete ${selectedIds.length} report(s)? This cannot be undone.`)) {
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError('');
+
+    try {
+      let response;
+      if (action === 'resolve') {
+        if (!notes.trim() || afterImages.length === 0) {
+          throw new Error('Add resolution notes and at least one after photo');
+        }
+
+        const body = new FormData();
+        body.append('action', action);
+        body.append('notes', notes.trim());
+        selectedIds.forEach(id => body.append('ids', id));
+        afterImages.forEach(image => body.append('images', image));
+        response = await fetch('/api/admin/reports/bulk', { method: 'POST', body });
+      } else {
+        response = await fetch('/api/admin/reports/bulk', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({ action, ids: selectedIds, rejectionReason, category })
+        });
+      }
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Bulk action failed');
+      }
+
+      setNotes('');
+      setAfterImages([]);
+      onDone(data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow p-4 mb-4 border border-gray-100 space-y-3">
+      <div className="flex flex-wrap items-center gap-3 text-sm">
+        <span className="font-medium text-gray-900">{selectedIds.length} selected</span>
+        <select
+          value={action}
+          onChange={(e) => setAction(e.target.value)}
+          className="px-2 py-1 border border-gray-300 rounded-md"
+        >
+          {Object.entries(ACTION_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+
+        {action === 'reject' && (
+          <select
+            value={rejectionReason}
+            onChange={(e) => setRejectionReason(e.target.value)}
+            className="px-2 py-1 border border-gray-300 rounded-md capitalize"
+          >
+            {REJECTION_REASONS.map(reason => (
+              <option key={reason} value={reason}>{reason}</option>
+            ))}
+          </select>
+        )}
+
+        {action === 'category' && (
+          <select
+            value={category}
+            onChange={(e) => setCategory(e.target.value)}
+            className="px-2 py-1 border border-gray-300 rounded-md capitalize"
+          >
+            {REPORT_CATEGORIES.map(value => (
+              <option key={value} value={value}>{value}</option>
+            ))}
+          </select>
+        )}
+
+        <button
+          type="submit"
+          disabled={isSubmitting || selectedIds.length === 0}
+          className={`ml-auto px-4 py-2 text-white rounded-md text-sm disabled:opacity-50 transition-colors ${
+            action === 'delete' ? 'bg-red-600 hover:bg-red-700' : 'bg-green-600 hover:bg-green-700'
+          }`}
+        >
+          {isSubmitting ? 'Applying...' : `${ACTION_LABELS[action]} selected`}
+        </button>
+      </div>
+
+      {action === 'resolve' && (
+        <div className="space-y-2">
+          <textarea
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+            rows={2}
+            maxLength={RESOLUTION_NOTES_MAX_LENGTH}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent"
+            placeholder="Resolution notes, applied to every selected report"
+          />
+          <input
+            type="file"
+            multiple
+            accept={ALLOWED_IMAGE_TYPES.join(',')}
+            onChange={(e) => setAfterImages(Array.from(e.target.files))}
+            className="text-sm"
+          />
+        </div>
+      )}
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+    </form>
+  );
+}
+
+function AdminView() {
+  const router = useRouter();
+  const pathname = usePathname();
+  const searchParams = useSearchParams();
+  const { user, loading: userLoading } = useCurrentUser();
+  const filters = filtersFromSearchParams(searchParams);
+  const filterQuery = filtersToQueryString(filters);
+  const sortField = searchParams.get('sortField') || 'createdAt';
+  const sortOrder = searchParams.get('sortOrder') || 'desc';
+  const page = parseInt(searchParams.get('page')) || 1;
+  const [reports, setReports] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [selected, setSelected] = useState([]);
+  const [focusedId, setFocusedId] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [summary, setSummary] = useState(null);
+  const [wards, setWards] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const updateQuery = (changes) => {
+    const params = new URLSearchParams(searchParams.toString());
+    for (const [key, value] of Object.entries(changes)) {
+      if (value) params.set(key, value);
+      else params.delete(key);
+    }
+    const query = params.toString();
+    router.replace(query ? `${pathname}?${query}` : pathname, { scroll: false });
+  };
+
+  const loadReports = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = new URLSearchParams(filterQuery);
+      params.set('sortField', sortField);
+      params.set('sortOrder', sortOrder);
+      params.set('page', page);
+      params.set('limit', PAGE_SIZE);
+
+      const res = await fetch(`/api/admin/reports?${params}`);
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.error || 'Failed to load reports');
+      }
+
+      setReports(data.reports);
+      setPagination(data.pagination);
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [filterQuery, sortField, sortOrder, page]);
+
+  useEffect(() => {
+    if (user?.isAdmin) loadReports();
+  }, [user, loadReports]);
+
+  useEffect(() => {
+    if (!user?.isAdmin) return;
+    fetch('/api/wards')
+      .then(res => (res.ok ? res.json() : { wards: [] }))
+      .then(data => setWards(data.wards || []))
+      .catch(() => setWards([]));
+  }, [user]);
+
+  // Selection only applies to the rows currently shown
+  useEffect(() => {
+    setSelected([]);
+  }, [filterQuery, sortField, sortOrder, page]);
+
+  const handleFiltersChange = (newFilters) => {
+    const params = new URLSearchParams(filtersToQueryString(newFilters));
+    params.set('sortField', sortField);
+    params.set('sortOrder', sortOrder);
+    router.replace(`${pathname}?${params}`, { scroll: false });
+  };
+
+  const handleSort = (field) => {
+    const order = field === sortField && sortOrder === 'desc' ? 'asc' : 'desc';
+    updateQuery({ sortField: field, sortOrder: order, page: '' });
+  };
+
+  const toggleSelected = (id) => {
+    setSelected(prev => (prev.includes(id) ? prev.filter(value => value !== id) : [...prev, id]));
+  };
+
+  const toggleAll = () => {
+    setSelected(prev => (prev.length === reports.length ? [] : reports.map(report => report._id)));
+  };
+
+  const handleBulkDone = (result) => {
+    setSummary(result);
+    setSelected(result.results.filter(item => !item.success).map(item => item.id));
+    loadReports();
+  };
+
+  if (userLoading) {
+    return <div className="text-center text-gray-500 py-8">Loading...</div>;
+  }
+
+  if (!user) {
+    return (
+      <div className="max-w-2xl mx-auto px-4 py-8 text-center text-gray-600">
+        <Link href="/login?next=/admin" className="text-blue-600 underline">Login</Link> with an admin account to open the dashboard.
+      </div>
+    );
+  }
+
+  if (!user.isAdmin) {
+    return (
+      <div className="max-w-2xl mx-auto px-4 py-8 text-center text-gray-600">
+        The admin dashboard is only available to administrators.
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 py-8">
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+        <h1 className="text-3xl font-bold">Admin Dashboard</h1>
+        <Link href="/admin/webhooks" className="text-sm text-green-700 hover:underline">Manage webhooks</Link>
+      </div>
+      <ReportFilterPanel filters={filters} onChange={handleFiltersChange} user={user} wards={wards} />
+
+      {selected.length > 0 && <BulkActionBar selectedIds={selected} onDone={handleBulkDone} />}
+
+      {summary && (
+        <div className="mb-4 p-3 bg-blue-50 border border-blue-200 rounded-md text-sm">
+          <div className="flex items-center justify-between">
+            <span>
+              {ACTION_LABELS[summary.action]}: {summary.succeeded} succeeded, {summary.failed} failed
+              {summary.failed > 0 && ' (failed reports are still selected)'}
+            </span>
+            <button onClick={() => setSummary(null)} className="text-blue-700 hover:underline">Dismiss</button>
+          </div>
+          {summary.failed > 0 && (
+            <ul className="mt-2 list-disc list-inside text-red-600">
+              {summary.results.filter(item => !item.success).map(item => (
+                <li key={item.id}>{reports.find(report => report._id === item.id)?.title || item.id}: {item.error}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+        <div className="lg:col-span-2 bg-white rounded-lg shadow border border-gray-100 overflow-x-auto">
+          {error ? (
+            <div className="p-4 text-center text-red-500">{error}</div>
+          ) : (
+            <table className="min-w-full text-sm">
+              <thead className="bg-gray-50 text-left text-gray-600">
+                <tr>
+                  <th className="p-2">
+                    <input
+                      type="checkbox"
+                      checked={reports.length > 0 && selected.length === reports.length}
+                      onChange={toggleAll}
+                      aria-label="Select all"
+                    />
+                  </th>
+                  <th className="p-2">Image</th>
+                  {COLUMNS.map(column => (
+                    <th key={column.field} className="p-2">
+                      <button onClick={() => handleSort(column.field)} className="font-medium hover:text-gray-900">
+                        {column.label}
+                        {sortField === column.field && (sortOrder === 'asc' ? ' ▲' : ' ▼')}
+                      </button>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {reports.map(report => (
+                  <tr
+                    key={report._id}
+                    onClick={() => setFocusedId(report._id)}
+                    className={`border-t border-gray-100 cursor-pointer ${focusedId === report._id ? 'bg-green-50' : 'hover:bg-gray-50'}`}
+                  >
+                    <td className="p-2" onClick={(e) => e.stopPropagation()}>
+                      <input
+                        type="checkbox"
+                        checked={selected.includes(report._id)}
+                        onChange={() => toggleSelected(report._id)}
+                        aria-label={`Select ${report.title}`}
+                      />
+                    </td>
+                    <td className="p-2">
+                      {report.thumbnail && (
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            setPreview(report);
+                          }}
+                          className="block"
+                        >
+                          <img src={report.thumbnail} alt={report.title} className="w-12 h-12 object-cover rounded" />
+                        </button>
+                      )}
+                    </td>
+                    <td className="p-2 max-w-xs">
+                      <Link
+                        href={`/report/${report._id}`}
+                        onClick={(e) => e.stopPropagation()}
+                        className="font-medium text-gray-900 hover:underline"
+                      >
+                        {report.title}
+                      </Link>
+                      <div className="text-xs text-gray-500 truncate">
+                        by {report.createdBy}
+                        {report.assignedTo && ` · assigned to ${report.assignedTo}`}
+                        {report.dueAt && new Date(report.dueAt) < new Date() && (
+                          <span className="text-red-600"> · overdue</span>
+                        )}
+                      </div>
+                    </td>
+                    <td className="p-2 capitalize">{report.category}</td>
+                    <td className="p-2"><StatusBadge status={report.status} /></td>
+                    <td className="p-2">{report.reporterCount}</td>
+                    <td className="p-2 whitespace-nowrap">
+                      <span className="text-green-600">▲ {report.upvotes}</span>{' '}
+                      <span className="text-red-600">▼ {report.downvotes}</span>
+                    </td>
+                    <td className="p-2 whitespace-nowrap">{new Date(report.createdAt).toLocaleDateString()}</td>
+                  </tr>
+                ))}
+                {!loading && reports.length === 0 && (
+                  <tr>
+                    <td colSpan={COLUMNS.length + 2} className="p-4 text-center text-gray-500">No reports match these filters.</td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          )}
+
+          {pagination && pagination.pages > 1 && (
+            <div className="flex items-center justify-between p-3 border-t border-gray-100 text-sm">
+              <button
+                onClick={() => updateQuery({ page: page - 1 > 1 ? String(page - 1) : '' })}
+                disabled={page <= 1}
+                className="px-3 py-1 border border-gray-300 rounded-md disabled:opacity-50"
+              >
+                Previous
+              </button>
+              <span className="text-gray-600">Page {pagination.page} of {pagination.pages} ({pagination.total} reports)</span>
+              <button
+                onClick={() => updateQuery({ page: String(page + 1) })}
+                disabled={page >= pagination.pages}
+                className="px-3 py-1 border border-gray-300 rounded-md disabled:opacity-50"
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </div>
+
+        <div className="space-y-4">
+          <ReportMiniMap reports={reports} selectedId={focusedId} onSelect={setFocusedId} className="h-80" />
+          {preview && (
+            <div className="bg-white rounded-lg shadow border border-gray-100 p-3">
+              <div className="flex items-center justify-between mb-2">
+                <Link href={`/report/${preview._id}`} className="font-medium text-gray-900 hover:underline">{preview.title}</Link>
+                <button onClick={() => setPreview(null)} className="text-sm text-gray-500 hover:text-gray-700">Close</button>
+              </div>
+              <img src={preview.imageUrl} alt={preview.title} className="w-full rounded-md" />
+              {preview.imageCount > 1 && (
+                <p className="mt-1 text-xs text-gray-500">+{preview.imageCount - 1} more image(s) on the report page</p>
+              )}
+              <p className="mt-2 text-sm text-gray-600 line-clamp-4">{preview.description}</p>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default function AdminPage() {
+  return (
+    <Suspense fallback={null}>
+      <AdminView />
+    </Suspense>
+  );
+}
@@ -0,0 +1,421 @@
+'use client';
+
+import { useCallback, useEffect, useState } from 'react';
+import Link from 'next/link';
+import useCurrentUser from '@/lib/useCurrentUser';
+import { WEBHOOK_DELIVERY_STATUSES, WEBHOOK_EVENTS } from '@/lib/webhooks';
+
+const DELIVERY_PAGE_SIZE = 20;
+
+const DELIVERY_STATUS_COLORS = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  delivered: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800'
+};
+
+function DeliveryLog({ webhookId }) {
+  const [deliveries, setDeliveries] = useState([]);
+  const [status, setStatus] = useState('');
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const loadDeliveries = useCallback(async (pageToLoad) => {
+    setLoading(true);
+    try {
+      const params = new URLSearchParams({ page: pageToLoad, limit: DELIVERY_PAGE_SIZE });
+      if (status) params.set('status', status);
+
+      const res = await fetch(`/api/webhooks/${webhookId}/deliveries?${params}`);
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.error || 'Failed to load deliveries');
+      }
+
+      setDeliveries(prev => (pageToLoad === 1 ? data.deliveries : [...prev, ...data.deliveries]));
+      setPage(pageToLoad);
+      setPages(data.pagination.pages);
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [webhookId, status]);
+
+  useEffect(() => {
+    loadDeliveries(1);
+  }, [loadDeliveries]);
+
+  const retry = async (deliveryId) => {
+    setError('');
+    try {
+      const res = await fetch(`/api/webhooks/${webhookId}/deliveries/${deliveryId}`, { method: 'POST' });
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.error || 'Failed to retry delivery');
+      }
+      loadDeliveries(1);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="mt-4 border-t border-gray-100 pt-4">
+      <div className="flex items-center gap-3 mb-2 text-sm">
+        <span className="font-medium text-gray-700">Delivery log</span>
+        <select
+          value={status}
+          onChange={(e) => setStatus(e.target.value)}
+          className="px-2 py-1 border border-gray-300 rounded-md"
+        >
+          <option value="">All</option>
+          {WEBHOOK_DELIVERY_STATUSES.map(value => (
+            <option key={value} value={value}>{value}</option>
+          ))}
+        </select>
+        <button type="button" onClick={() => loadDeliveries(1)} className="text-green-700 hover:underline">
+          Refresh
+        </button>
+      </div>
+
+      {error && <div className="mb-2 text-sm text-red-500">{error}</div>}
+
+      {!loading && !deliveries.length ? (
+        <p className="text-sm text-gray-500">No deliveries yet.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="py-1 pr-4 font-medium">Time</th>
+                <th className="py-1 pr-4 font-medium">Event</th>
+                <th className="py-1 pr-4 font-medium">Report</th>
+                <th className="py-1 pr-4 font-medium">Status</th>
+                <th className="py-1 pr-4 font-medium">Attempts</th>
+                <th className="py-1 pr-4 font-medium">Response</th>
+                <th className="py-1 font-medium" />
+              </tr>
+            </thead>
+            <tbody>
+              {deliveries.map(delivery => (
+                <tr key={delivery._id} className="border-t border-gray-50 align-top">
+                  <td className="py-1 pr-4 whitespace-nowrap">{new Date(delivery.createdAt).toLocaleString()}</td>
+                  <td className="py-1 pr-4 whitespace-nowrap">{delivery.event}</td>
+                  <td className="py-1 pr-4">
+                    {delivery.report && delivery.event !== 'report-deleted' ? (
+                      <Link href={`/report/${delivery.report}`} className="text-blue-600 underline">View</Link>
+                    ) : (
+                      <span className="text-gray-400">{delivery.report || '-'}</span>
+                    )}
+                  </td>
+                  <td className="py-1 pr-4">
+                    <span className={`px-2 py-0.5 rounded-full text-xs capitalize ${DELIVERY_STATUS_COLORS[delivery.status]}`}>
+                      {delivery.status}
+                    </span>
+                    {delivery.nextAttemptAt && (
+                      <div className="text-xs text-gray-500 mt-1">
+                        Next try {new Date(delivery.nextAttemptAt).toLocaleTimeString()}
+                      </div>
+                    )}
+                  </td>
+                  <td className="py-1 pr-4">{delivery.attempts}</td>
+                  <td className="py-1 pr-4 max-w-xs">
+                    {delivery.responseStatus && <div>HTTP {delivery.responseStatus}</div>}
+                    {delivery.lastError && <div className="text-red-600">{delivery.lastError}</div>}
+                    {delivery.responseBody && (
+                      <div className="text-xs text-gray-500 truncate" title={delivery.responseBody}>
+                        {delivery.responseBody}
+                      </div>
+                    )}
+                  </td>
+                  <td className="py-1">
+                    {delivery.status !== 'pending' && (
+                      <button
+                        type="button"
+                        onClick={() => retry(delivery._id)}
+                        className="text-green-700 hover:underline"
+                      >
+                        Redeliver
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {page < pages && (
+        <button
+          type="button"
+          onClick={() => loadDeliveries(page + 1)}
+          disabled={loading}
+          className="mt-2 text-sm text-green-700 hover:underline disabled:opacity-50"
+        >
+          {loading ? 'Loading...' : 'Load more'}
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default function WebhooksPage() {
+  const { user, loading: userLoading } = useCurrentUser();
+  const [webhooks, setWebhooks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [url, setUrl] = useState('');
+  const [description, setDescription] = useState('');
+  const [events, setEvents] = useState(WEBHOOK_EVENTS);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [revealedSecret, setRevealedSecret] = useState(null);
+  const [openLog, setOpenLog] = useState(null);
+
+  useEffect(() => {
+    if (!user?.isAdmin) return;
+
+    async function fetchWebhooks() {
+      setLoading(true);
+      try {
+        const res = await fetch('/api/webhooks');
+        const data = await res.json();
+        if (!res.ok) {
+          throw new Error(data.error || 'Failed to load webhooks');
+        }
+        setWebhooks(data.webhooks);
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    }
+    fetchWebhooks();
+  }, [user]);
+
+  const toggleEvent = (event) => {
+    setEvents(prev => (prev.includes(event) ? prev.filter(value => value !== event) : [...prev, event]));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError('');
+
+    try {
+      const res = await fetch('/api/webhooks', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ url: url.trim(), description, events })
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.error || 'Failed to add webhook');
+      }
+
+      const { secret, ...webhook } = data.webhook;
+      setWebhooks(prev => [webhook, ...prev]);
+      setRevealedSecret({ url: webhook.url, secret });
+      setUrl('');
+      setDescription('');
+      setEvents(WEBHOOK_EVENTS);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const updateWebhook = async (webhookId, changes) => {
+    setError('');
+    try {
+      const res = await fetch(`/api/webhooks/${webhookId}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes)
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.error || 'Failed to update webhook');
+      }
+
+      const { secret, ...webhook } = data.webhook;
+      setWebhooks(prev => prev.map(item => (item._id === webhookId ? webhook : item)));
+      if (secret) setRevealedSecret({ url: webhook.url, secret });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const rotateSecret = (webhook) => {
+    if (!confirm(`Rotate the secret of ${webhook.url}? The receiver must switch to the new secret straight away.`)) return;
+    updateWebhook(webhook._id, { rotateSecret: true });
+  };
+
+  const handleDelete = async (webhook) => {
+    if (!confirm(`Delete the webhook for ${webhook.url} and its delivery log?`)) return;
+
+    setError('');
+    try {
+      const res = await fetch(`/api/webhooks/${webhook._id}`, { method: 'DELETE' });
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.error || 'Failed to delete webhook');
+      }
+      setWebhooks(prev => prev.filter(item => item._id !== webhook._id));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (userLoading) {
+    return <div className="text-center text-gray-500 py-8">Loading...</div>;
+  }
+
+  if (!user) {
+    return (
+      <div className="max-w-2xl mx-auto px-4 py-8 text-center text-gray-600">
+        <Link href="/login?next=/admin/webhooks" className="text-blue-600 underline">Login</Link> with an admin account to manage webhooks.
+      </div>
+    );
+  }
+
+  if (!user.isAdmin) {
+    return (
+      <div className="max-w-2xl mx-auto px-4 py-8 text-center text-gray-600">
+        Webhooks can only be managed by administrators.
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-5xl mx-auto px-4 py-8">
+      <Link href="/admin" className="text-sm text-green-700 hover:underline">&larr; Admin Dashboard</Link>
+      <h1 className="text-3xl font-bold mt-2 mb-2">Webhooks</h1>
+      <p className="text-gray-600 mb-6">
+        Each event is POSTed as JSON with an <code>X-SwachhMap-Signature: t=&lt;timestamp&gt;,v1=&lt;signature&gt;</code> header,
+        where the signature is the hex HMAC-SHA256 of <code>&lt;timestamp&gt;.&lt;body&gt;</code> using the webhook secret.
+        Failed deliveries are retried with increasing delays for about an hour.
+      </p>
+
+      {error && <div className="mb-4 text-red-500">{error}</div>}
+
+      {revealedSecret && (
+        <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-md text-sm">
+          <div className="flex items-start justify-between gap-4">
+            <div>
+              Secret for {revealedSecret.url}. Copy it now, it won&apos;t be shown again:
+              <code className="block mt-1 font-mono break-all">{revealedSecret.secret}</code>
+            </div>
+            <button onClick={() => setRevealedSecret(null)} className="text-yellow-800 hover:underline">Dismiss</button>
+          </div>
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow p-4 border border-gray-100 space-y-3 mb-8">
+        <h2 className="font-semibold">Add a webhook</h2>
+        <input
+          type="url"
+          value={url}
+          onChange={(e) => setUrl(e.target.value)}
+          required
+          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent"
+          placeholder="https://partner.example.org/swachhmap"
+        />
+        <input
+          type="text"
+          value={description}
+          onChange={(e) => setDescription(e.target.value)}
+          maxLength={200}
+          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent"
+          placeholder="Description (optional)"
+        />
+        <div className="flex flex-wrap items-center gap-4 text-sm">
+          <span className="text-gray-700">Events:</span>
+          {WEBHOOK_EVENTS.map(event => (
+            <label key={event} className="flex items-center gap-1">
+              <input type="checkbox" checked={events.includes(event)} onChange={() => toggleEvent(event)} />
+              {event}
+            </label>
+          ))}
+        </div>
+        <button
+          type="submit"
+          disabled={isSubmitting || !url.trim() || !events.length}
+          className="px-4 py-2 bg-green-600 text-white rounded-md text-sm hover:bg-green-700 disabled:opacity-50 transition-colors"
+        >
+          {isSubmitting ? 'Adding...' : 'Add webhook'}
+        </button>
+      </form>
+
+      {loading ? (
+        <div className="text-center text-gray-500">Loading webhooks...</div>
+      ) : !webhooks.length ? (
+        <p className="text-gray-500">No webhooks registered.</p>
+      ) : (
+        <ul className="space-y-3">
+          {webhooks.map(webhook => (
+            <li key={webhook._id} className="bg-white rounded-lg shadow p-4 border border-gray-100">
+              <div className="flex flex-wrap items-start justify-between gap-4">
+                <div className="min-w-0">
+                  <div className={`font-mono text-sm break-all ${webhook.active ? 'text-gray-900' : 'text-gray-400 line-through'}`}>
+                    {webhook.url}
+                  </div>
+                  {webhook.description && <div className="text-sm text-gray-600">{webhook.description}</div>}
+                  <div className="flex flex-wrap gap-3 mt-2 text-xs text-gray-600">
+                    {WEBHOOK_EVENTS.map(event => (
+                      <label key={event} className="flex items-center gap-1">
+                        <input
+                          type="checkbox"
+                          checked={webhook.events.includes(event)}
+                          disabled={webhook.events.length === 1 && webhook.events.includes(event)}
+                          onChange={() => updateWebhook(webhook._id, {
+                            events: webhook.events.includes(event)
+                              ? webhook.events.filter(value => value !== event)
+                              : [...webhook.events, event]
+                          })}
+                        />
+                        {event}
+                      </label>
+                    ))}
+                  </div>
+                  <div className="text-xs text-gray-400 mt-1">
+                    Added {new Date(webhook.createdAt).toLocaleDateString()}
+                    {webhook.createdBy && ` by ${webhook.createdBy}`}
+                  </div>
+                </div>
+                <div className="flex items-center gap-3 text-sm">
+                  <label className="flex items-center gap-1">
+                    <input
+                      type="checkbox"
+                      checked={webhook.active}
+                      onChange={(e) => updateWebhook(webhook._id, { active: e.target.checked })}
+                    />
+                    Active
+                  </label>
+                  <button
+                    type="button"
+                    onClick={() => setOpenLog(openLog === webhook._id ? null : webhook._id)}
+                    className="text-green-700 hover:underline"
+                  >
+                    {openLog === webhook._id ? 'Hide log' : 'Deliveries'}
+                  </button>
+                  <button type="button" onClick={() => rotateSecret(webhook)} className="text-green-700 hover:underline">
+                    Rotate secret
+                  </button>
+                  <button type="button" onClick={() => handleDelete(webhook)} className="text-red-600 hover:underline">
+                    Delete
+                  </button>
+                </div>
+              </div>
+              {openLog === webhook._id && <DeliveryLog webhookId={webhook._id} />}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,39 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase, getFieldWorkers } from '@/lib/db';
+import { getCurrentUser } from '@/lib/auth';
+
+/**
+ * GET /api/admin/field-workers
+ * List field workers, optionally of one department (admin only)
+ */
+export async function GET(request) {
+  try {
+    await connectToDatabase();
+
+    const user = await getCurrentUser(request);
+    if (!user) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+    if (!user.isAdmin) {
+      return NextResponse.json({ error: 'Admin privileges required' }, { status: 403 });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const workers = await getFieldWorkers(searchParams.get('department') || undefined);
+
+    return NextResponse.json({
+      success: true,
+      workers: workers.map(worker => ({
+        _id: worker._id,
+        username: worker.username,
+        email: worker.email,
+        department: worker.department
+          ? { _id: worker.department._id, name: worker.department.name }
+          : null
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching field workers:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,203 @@
+import { NextResponse } from 'next/server';
+import {
+  connectToDatabase,
+  deleteReportById,
+  getReportById,
+  transitionReportStatus,
+  updateReport
+} from '@/lib/db';
+import { getCurrentUser } from '@/lib/auth';
+import { prepareImageUpload } from '@/lib/exif';
+import { readMultipartForm, uploadPreparedImages, validateImageData } from '@/lib/uploads';
+import { deleteReportImages, resolveReportWithProof } from '@/lib/reportActions';
+import { notifyStatusChange } from '@/lib/notifications';
+import { publishReportEvent } from '@/lib/reportEvents';
+import { REPORT_CATEGORIES } from '@/lib/reportFilters';
+import {
+  REJECTION_REASONS,
+  RESOLUTION_NOTES_MAX_LENGTH,
+  STATUS_NOTE_MAX_LENGTH,
+  canTransition,
+  getWorkflowRoles
+} from '@/lib/reportStatus';
+
+const BULK_ACTIONS = ['resolve', 'reject', 'category', 'delete'];
+const MAX_BULK_REPORTS = 100;
+
+/**
+ * Read the bulk action request: JSON, or multipart/form-data when resolving
+ * with after photos (files under "images", one "ids" field per report)
+ */
+async function readBulkBody(request) {
+  const contentType = request.headers.get('content-type') || '';
+  if (!contentType.startsWith('multipart/form-data')) {
+    const body = await request.json();
+    const error = validateImageData(body?.afterImages);
+    return error ? { error } : { body };
+  }
+
+  const { fields, images, error } = await readMultipartForm(request);
+  if (error) return { error };
+  const body = { ids: fields.getAll('ids') };
+  for (const field of ['action', 'notes', 'note', 'rejectionReason', 'category']) {
+    if (fields.has(field)) body[field] = fields.get(field);
+  }
+
+  body.afterImages = images;
+
+  return { body };
+}
+
+/**
+ * Validate the fields each action needs. Runs before any photo is uploaded,
+ * so a body the report schema would refuse never leaves files behind.
+ * @returns {string|null} Error message or null if valid
+ */
+function validateBulkBody({ action, ids, notes, note, afterImages, rejectionReason, category }) {
+  if (!BULK_ACTIONS.includes(action)) {
+    return `Invalid action. Must be one of: ${BULK_ACTIONS.join(', ')}`;
+  }
+  if (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_BULK_REPORTS) {
+    return `ids must list between 1 and ${MAX_BULK_REPORTS} report IDs`;
+  }
+  if (action === 'resolve') {
+    if (!notes || !notes.trim() || !Array.isArray(afterImages) || afterImages.length === 0) {
+      return 'Resolving requires notes and at least one after image';
+    }
+    if (notes.trim().length > RESOLUTION_NOTES_MAX_LENGTH) {
+      return `Notes must be ${RESOLUTION_NOTES_MAX_LENGTH} characters or fewer`;
+    }
+  }
+  if (action === 'reject' && !REJECTION_REASONS.includes(rejectionReason)) {
+    return `Rejecting requires a rejectionReason: ${REJECTION_REASONS.join(', ')}`;
+  }
+  if (note && note.length > STATUS_NOTE_MAX_LENGTH) {
+    return `Note must be ${STATUS_NOTE_MAX_LENGTH} characters or fewer`;
+  }
+  if (action === 'category' && !REPORT_CATEGORIES.includes(category)) {
+    return `Invalid category. Must be one of: ${REPORT_CATEGORIES.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Apply the action to one report
+ * @returns {Promise<string|null>} Error message, or null on success
+ */
+async function applyAction(report, { action, user, notes, note, preparedImages, rejectionReason, category }) {
+  const roles = getWorkflowRoles(user, report);
+
+  switch (action) {
+    case 'resolve': {
+      if (!canTransition(report.status, 'resolved', roles)) {
+        return `Cannot resolve a report that is ${report.status}`;
+      }
+      // Each report gets its own copy of the photos so deleting one report never breaks another
+      const images = await uploadPreparedImages(preparedImages);
+      const updated = await resolveReportWithProof(report, { user, notes, images });
+      if (!updated) return 'Report status changed while processing the request';
+      await notifyStatusChange(updated, user);
+      await publishReportEvent('report-resolved', report._id);
+      return null;
+    }
+    case 'reject': {
+      if (!canTransition(report.status, 'rejected', roles)) {
+        return `Cannot reject a report that is ${report.status}`;
+      }
+      const updated = await transitionReportStatus(report._id, {
+        from: report.status,
+        to: 'rejected',
+        user,
+        note,
+        rejectionReason
+      });
+      if (!updated) return 'Report status changed while processing the request';
+      await notifyStatusChange(updated, user);
+      await publishReportEvent('report-updated', report._id);
+      return null;
+    }
+    case 'category':
+      await updateReport(report._id, { category });
+      await publishReportEvent('report-updated', report._id);
+      return null;
+    case 'delete':
+      await deleteReportImages(report);
+      await deleteReportById(report._id);
+      await publishReportEvent('report-deleted', report._id);
+      return null;
+    default:
+      return 'Unknown action';
+  }
+}
+
+/**
+ * POST /api/admin/reports/bulk
+ * Resolve, reject, recategorise or delete several reports at once (admin only).
+ * Reports are processed one by one and each gets its own result.
+ */
+export async function POST(request) {
+  try {
+    await connectToDatabase();
+
+    const user = await getCurrentUser(request);
+    if (!user) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+    if (!user.isAdmin) {
+      return NextResponse.json({ error: 'Admin privileges required' }, { status: 403 });
+    }
+
+    const { body, error: bodyError } = await readBulkBody(request);
+    if (bodyError) {
+      return NextResponse.json({ error: bodyError }, { status: 400 });
+    }
+
+    const validationError = validateBulkBody(body);
+    if (validationError) {
+      return NextResponse.json({ error: validationError }, { status: 400 });
+    }
+
+    const ids = [...new Set(body.ids)];
+
+    // EXIF stripping only needs to happen once for all reports
+    let preparedImages = [];
+    if (body.action === 'resolve') {
+      try {
+        const prepared = await Promise.all(body.afterImages.map(image => prepareImageUpload(image)));
+        preparedImages = prepared.map(image => image.upload);
+      } catch (error) {
+        return NextResponse.json({ error: error.message }, { status: 400 });
+      }
+    }
+
+    const results = [];
+    for (const id of ids) {
+      try {
+        const report = await getReportById(id);
+        if (!report) {
+          results.push({ id, success: false, error: 'Report not found' });
+          continue;
+        }
+
+        const error = await applyAction(report, { ...body, user, preparedImages });
+        results.push(error ? { id, success: false, error } : { id, success: true });
+      } catch (error) {
+        console.error(`Bulk ${body.action} failed for report ${id}:`, error);
+        results.push({ id, success: false, error: error.message || 'Internal server error' });
+      }
+    }
+
+    const succeeded = results.filter(result => result.success).length;
+
+    return NextResponse.json({
+      success: true,
+      action: body.action,
+      succeeded,
+      failed: results.length - succeeded,
+      results
+    });
+  } catch (error) {
+    console.error('Error running bulk report action:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
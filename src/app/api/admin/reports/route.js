@@ -0,0 +1,81 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase, getReportsForAdmin, toLatLng, ADMIN_SORT_FIELDS } from '@/lib/db';
+import { getCurrentUser } from '@/lib/auth';
+import { parseReportFilters } from '@/lib/reportFilters';
+
+/**
+ * GET /api/admin/reports
+ * Sortable, filterable report list for the admin dashboard (admin only)
+ */
+export async function GET(request) {
+  try {
+    await connectToDatabase();
+
+    const user = await getCurrentUser(request);
+    if (!user) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+    if (!user.isAdmin) {
+      return NextResponse.json({ error: 'Admin privileges required' }, { status: 403 });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const page = parseInt(searchParams.get('page')) || 1;
+    const limit = parseInt(searchParams.get('limit')) || 50;
+    const sortField = searchParams.get('sortField') || 'createdAt';
+    const sortOrder = searchParams.get('sortOrder') || 'desc';
+    const { filters, error } = parseReportFilters(searchParams);
+
+    if (page < 1 || limit < 1 || limit > 200) {
+      return NextResponse.json(
+        { error: 'Invalid pagination parameters' },
+        { status: 400 }
+      );
+    }
+
+    if (error) {
+      return NextResponse.json({ error }, { status: 400 });
+    }
+
+    if (!ADMIN_SORT_FIELDS.includes(sortField) || !['asc', 'desc'].includes(sortOrder)) {
+      return NextResponse.json(
+        { error: `Invalid sort. sortField must be one of: ${ADMIN_SORT_FIELDS.join(', ')}; sortOrder asc or desc` },
+        { status: 400 }
+      );
+    }
+
+    const result = await getReportsForAdmin({ ...filters, page, limit, sortField, sortOrder });
+
+    const formattedReports = result.reports.map(report => ({
+      _id: report._id,
+      title: report.title,
+      description: report.description,
+      category: report.category,
+      location: toLatLng(report.location),
+      imageUrl: report.imageUrl,
+      thumbnail: report.thumbnailUrl || report.imageUrl,
+      imageCount: report.images?.length || 0,
+      status: report.status,
+      rejectionReason: report.rejectionReason,
+      upvotes: report.upvotes,
+      downvotes: report.downvotes,
+      reporterCount: report.reporterCount || 1,
+      mergedInto: report.mergedInto,
+      ward: report.ward?.name || null,
+      department: report.department?.name || null,
+      assignedTo: report.assignedTo?.username || null,
+      dueAt: report.dueAt,
+      createdAt: report.createdAt,
+      createdBy: report.createdBy?.username || 'Unknown'
+    }));
+
+    return NextResponse.json({
+      success: true,
+      reports: formattedReports,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    console.error('Error fetching admin reports:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
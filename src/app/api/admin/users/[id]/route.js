@@ -0,0 +1,66 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase, getDepartmentById, updateUserRole, USER_ROLES } from '@/lib/db';
+import { getCurrentUser } from '@/lib/auth';
+
+/**
+ * PATCH /api/admin/users/[id]
+ * Change a user's role and department, e.g. to make them a field worker (admin only)
+ */
+export async function PATCH(request, { params }) {
+  try {
+    await connectToDatabase();
+    const { id } = params;
+    if (!id) {
+      return NextResponse.json({ error: 'Invalid user ID' }, { status: 400 });
+    }
+
+    const user = await getCurrentUser(request);
+    if (!user) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+    if (!user.isAdmin) {
+      return NextResponse.json({ error: 'Admin privileges required' }, { status: 403 });
+    }
+
+    const body = await request.json();
+    const { role, departmentId } = body;
+
+    if (role !== undefined && !USER_ROLES.includes(role)) {
+      return NextResponse.json(
+        { error: `Invalid role. Must be one of: ${USER_ROLES.join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    if (departmentId) {
+      const department = await getDepartmentById(departmentId);
+      if (!department) {
+        return NextResponse.json({ error: 'Department not found' }, { status: 400 });
+      }
+    }
+
+    const updatedUser = await updateUserRole(id, {
+      role,
+      // Citizens don't belong to a department
+      department: role === 'citizen' ? null : departmentId
+    });
+    if (!updatedUser) {
+      return NextResponse.json({ error: 'User not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({
+      success: true,
+      user: {
+        _id: updatedUser._id,
+        username: updatedUser.username,
+        role: updatedUser.role,
+        department: updatedUser.department
+          ? { _id: updatedUser.department._id, name: updatedUser.department.name }
+          : null
+      }
+    });
+  } catch (error) {
+    console.error('Error updating user role:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
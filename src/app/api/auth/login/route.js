@@ -0,0 +1,43 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase, findUserByEmail } from '@/lib/db';
+import { verifyPassword, setSessionCookie } from '@/lib/auth';
+
+/**
+ * POST /api/auth/login
+ * Check credentials and start a session
+ */
+export async function POST(request) {
+  try {
+    await connectToDatabase();
+
+    const body = await request.json();
+    const { email, password } = body;
+
+    if (!email || !password) {
+      return NextResponse.json(
+        { error: 'Missing required fields: email and password' },
+        { status: 400 }
+      );
+    }
+
+    const user = await findUserByEmail(email.trim());
+    if (!user || !(await verifyPassword(password, user.passwordHash))) {
+      return NextResponse.json({ error: 'Invalid email or password' }, { status: 401 });
+    }
+
+    const response = NextResponse.json({
+      success: true,
+      user: {
+        _id: user._id,
+        username: user.username,
+        email: user.email,
+        isAdmin: user.isAdmin
+      }
+    });
+
+    return setSessionCookie(response, user._id);
+  } catch (error) {
+    console.error('Error logging in:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
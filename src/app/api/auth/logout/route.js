@@ -0,0 +1,10 @@
+import { NextResponse } from 'next/server';
+import { clearSessionCookie } from '@/lib/auth';
+
+/**
+ * POST /api/auth/logout
+ * End the current session
+ */
+export async function POST() {
+  return clearSessionCookie(NextResponse.json({ success: true }));
+}
@@ -0,0 +1,33 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase, getUnreadNotificationCount } from '@/lib/db';
+import { getCurrentUser } from '@/lib/auth';
+
+/**
+ * GET /api/auth/me
+ * Get the currently logged-in user, if any
+ */
+export async function GET(request) {
+  try {
+    await connectToDatabase();
+
+    const user = await getCurrentUser(request);
+    if (!user) {
+      return NextResponse.json({ success: true, user: null });
+    }
+
+    return NextResponse.json({
+      success: true,
+      user: {
+        _id: user._id,
+        username: user.username,
+        email: user.email,
+        isAdmin: user.isAdmin,
+        emailNotifications: user.emailNotifications !== false,
+        unreadNotifications: await getUnreadNotificationCount(user._id)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching current user:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
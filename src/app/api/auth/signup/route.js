@@ -0,0 +1,71 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase, createUser } from '@/lib/db';
+import { hashPassword, setSessionCookie } from '@/lib/auth';
+
+/**
+ * POST /api/auth/signup
+ * Register a new user and start a session
+ */
+export async function POST(request) {
+  try {
+    await connectToDatabase();
+
+    const body = await request.json();
+    const { username, email, password } = body;
+
+    // Validate required fields
+    if (!username || !email || !password) {
+      return NextResponse.json(
+        { error: 'Missing required fields: username, email and password' },
+        { status: 400 }
+      );
+    }
+
+    if (username.trim().length < 3 || username.trim().length > 30) {
+      return NextResponse.json(
+        { error: 'Username must be between 3 and 30 characters' },
+        { status: 400 }
+      );
+    }
+
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) {
+      return NextResponse.json({ error: 'Invalid email address' }, { status: 400 });
+    }
+
+    if (password.length < 8) {
+      return NextResponse.json(
+        { error: 'Password must be at least 8 characters' },
+        { status: 400 }
+      );
+    }
+
+    let user;
+    try {
+      user = await createUser({
+        username: username.trim(),
+        email: email.trim(),
+        passwordHash: await hashPassword(password)
+      });
+    } catch (error) {
+      if (error.message.endsWith('already exists')) {
+        return NextResponse.json({ error: error.message }, { status: 409 });
+      }
+      throw error;
+    }
+
+    const response = NextResponse.json({
+      success: true,
+      user: {
+        _id: user._id,
+        username: user.username,
+        email: user.email,
+        isAdmin: user.isAdmin
+      }
+    }, { status: 201 });
+
+    return setSessionCookie(response, user._id);
+  } catch (error) {
+    console.error('Error signing up:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,83 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase, createDepartment, getAllDepartments } from '@/lib/db';
+import { getCurrentUser } from '@/lib/auth';
+import { REPORT_CATEGORIES } from '@/lib/reportFilters';
+
+function formatDepartment(department) {
+  return {
+    _id: department._id,
+    name: department.name,
+    slug: department.slug,
+    categories: department.categories,
+    slaHours: department.slaHours
+  };
+}
+
+/**
+ * GET /api/departments
+ * List the municipal departments and the categories they handle
+ */
+export async function GET() {
+  try {
+    await connectToDatabase();
+
+    const departments = await getAllDepartments();
+
+    return NextResponse.json({
+      success: true,
+      departments: departments.map(formatDepartment)
+    });
+  } catch (error) {
+    console.error('Error fetching departments:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/departments
+ * Create a department (admin only)
+ */
+export async function POST(request) {
+  try {
+    await connectToDatabase();
+
+    const user = await getCurrentUser(request);
+    if (!user) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+    if (!user.isAdmin) {
+      return NextResponse.json({ error: 'Admin privileges required' }, { status: 403 });
+    }
+
+    const body = await request.json();
+    const { name, slug, categories = [], slaHours } = body;
+
+    if (!name || !name.trim() || !slug || !/^[a-z0-9-]+$/.test(slug)) {
+      return NextResponse.json(
+        { error: 'name is required and slug may only contain lowercase letters, digits and dashes' },
+        { status: 400 }
+      );
+    }
+
+    if (!Array.isArray(categories) || categories.some(category => !REPORT_CATEGORIES.includes(category))) {
+      return NextResponse.json(
+        { error: `Invalid categories. Must be a list of: ${REPORT_CATEGORIES.join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    if (slaHours !== undefined && (!Number.isFinite(slaHours) || slaHours < 1)) {
+      return NextResponse.json({ error: 'slaHours must be a number of at least 1' }, { status: 400 });
+    }
+
+    const department = await createDepartment({ name: name.trim(), slug, categories, slaHours });
+
+    return NextResponse.json({ success: true, department: formatDepartment(department) }, { status: 201 });
+  } catch (error) {
+    if (error.message === 'A department with this name or slug already exists') {
+      return NextResponse.json({ error: error.message }, { status: 409 });
+    }
+    console.error('Error creating department:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,83 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase, getNotificationsForUser, markNotificationsRead } from '@/lib/db';
+import { getCurrentUser } from '@/lib/auth';
+
+/**
+ * GET /api/notifications?page=&limit=&unread=true
+ * The current user's notification inbox, newest first
+ */
+export async function GET(request) {
+  try {
+    await connectToDatabase();
+
+    const user = await getCurrentUser(request);
+    if (!user) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const page = parseInt(searchParams.get('page')) || 1;
+    const limit = parseInt(searchParams.get('limit')) || 20;
+    const unreadOnly = searchParams.get('unread') === 'true';
+
+    if (page < 1 || limit < 1 || limit > 100) {
+      return NextResponse.json(
+        { error: 'Invalid pagination parameters' },
+        { status: 400 }
+      );
+    }
+
+    const result = await getNotificationsForUser(user._id, { page, limit, unreadOnly });
+
+    return NextResponse.json({
+      success: true,
+      notifications: result.notifications.map(notification => ({
+        _id: notification._id,
+        type: notification.type,
+        message: notification.message,
+        report: notification.report
+          ? { _id: notification.report._id, title: notification.report.title, status: notification.report.status }
+          : null,
+        actor: notification.actor?.username || null,
+        read: !!notification.readAt,
+        createdAt: notification.createdAt
+      })),
+      unreadCount: result.unreadCount,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+/**
+ * PATCH /api/notifications
+ * Mark notifications as read: { ids: [...] } for specific ones or { all: true }
+ */
+export async function PATCH(request) {
+  try {
+    await connectToDatabase();
+
+    const user = await getCurrentUser(request);
+    if (!user) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    const { ids, all } = await request.json();
+    if (all !== true && (!Array.isArray(ids) || ids.length === 0 || ids.length > 100 ||
+        ids.some(id => typeof id !== 'string' || !/^[a-f\d]{24}$/i.test(id)))) {
+      return NextResponse.json(
+        { error: 'Provide ids (up to 100 notification IDs) or all: true' },
+        { status: 400 }
+      );
+    }
+
+    const marked = await markNotificationsRead(user._id, all === true ? undefined : ids);
+
+    return NextResponse.json({ success: true, marked });
+  } catch (error) {
+    console.error('Error marking notifications read:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,36 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase, updateNotificationPreferences } from '@/lib/db';
+import { getCurrentUser } from '@/lib/auth';
+
+/**
+ * PATCH /api/notifications/settings
+ * Change the current user's notification preferences: { emailNotifications }
+ */
+export async function PATCH(request) {
+  try {
+    await connectToDatabase();
+
+    const user = await getCurrentUser(request);
+    if (!user) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    const { emailNotifications } = await request.json();
+    if (typeof emailNotifications !== 'boolean') {
+      return NextResponse.json(
+        { error: 'emailNotifications must be a boolean' },
+        { status: 400 }
+      );
+    }
+
+    const updatedUser = await updateNotificationPreferences(user._id, { emailNotifications });
+
+    return NextResponse.json({
+      success: true,
+      emailNotifications: updatedUser.emailNotifications
+    });
+  } catch (error) {
+    console.error('Error updating notification settings:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,235 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase, createReport, findUserById, getAllReports, getReportById } from '@/lib/db';
+import { getCurrentUser } from '@/lib/auth';
+import { geocodeAddress } from '@/lib/geocode';
+import { REPORT_CATEGORIES } from '@/lib/reportFilters';
+import { REPORT_STATUSES } from '@/lib/reportStatus';
+import { alertAreaWatchersInBackground } from '@/lib/notifications';
+import { publishReportEvent } from '@/lib/reportEvents';
+import {
+  CLOSED_STATUSES,
+  OPEN311_SERVICES,
+  findApiKeyUser,
+  getServices,
+  open311Error,
+  open311Response,
+  parseFormat,
+  toServiceRequest
+} from '@/lib/open311';
+
+// Without a date range, requests from this many days back are returned (per the spec)
+const DEFAULT_WINDOW_DAYS = 90;
+const MAX_REQUEST_IDS = 50;
+const OBJECT_ID = /^[a-f\d]{24}$/i;
+
+function parseDate(value) {
+  if (!value) return undefined;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * GET /api/open311/v2/services.{json|xml}
+ * GET /api/open311/v2/requests.{json|xml}
+ * Open311 GeoReport v2 service list and service request search
+ */
+export async function GET(request, { params }) {
+  const { resource } = params;
+  const parsed = parseFormat(resource);
+  if (!parsed) {
+    return NextResponse.json({ error: 'Not found. Use services.json, services.xml, requests.json or requests.xml' }, { status: 404 });
+  }
+  const { name, format } = parsed;
+
+  try {
+    if (name === 'services') {
+      return open311Response(format, 'services', 'service', getServices());
+    }
+    if (name !== 'requests') {
+      return open311Error(format, 404, `Unknown resource "${name}"`);
+    }
+
+    await connectToDatabase();
+
+    const { searchParams, origin } = new URL(request.url);
+
+    // Specific requests by ID; other parameters are ignored (per the spec)
+    const requestIds = searchParams.get('service_request_id');
+    if (requestIds) {
+      const ids = requestIds.split(',').map(value => value.trim()).filter(Boolean);
+      if (ids.length > MAX_REQUEST_IDS || ids.some(id => !OBJECT_ID.test(id))) {
+        return open311Error(format, 400, `service_request_id must be up to ${MAX_REQUEST_IDS} comma separated request IDs`);
+      }
+      const reports = await Promise.all(ids.map(id => getReportById(id)));
+      return open311Response(
+        format,
+        'service_requests',
+        'request',
+        reports.filter(Boolean).map(report => toServiceRequest(report, origin))
+      );
+    }
+
+    const filters = {};
+
+    const serviceCodes = (searchParams.get('service_code') || '').split(',').map(value => value.trim()).filter(Boolean);
+    const invalidCode = serviceCodes.find(code => !REPORT_CATEGORIES.includes(code));
+    if (invalidCode) {
+      return open311Error(format, 400, `Invalid service_code "${invalidCode}"`);
+    }
+    if (serviceCodes.length) filters.category = serviceCodes;
+
+    const status = searchParams.get('status');
+    if (status) {
+      const statuses = status.split(',').map(value => value.trim());
+      if (statuses.some(value => !['open', 'closed'].includes(value))) {
+        return open311Error(format, 400, 'Invalid status. Must be open, closed or open,closed');
+      }
+      if (statuses.length === 1) {
+        filters.status = statuses[0] === 'closed'
+          ? CLOSED_STATUSES
+          : REPORT_STATUSES.filter(value => !CLOSED_STATUSES.includes(value));
+      }
+    }
+
+    const startDate = parseDate(searchParams.get('start_date'));
+    const endDate = parseDate(searchParams.get('end_date'));
+    if (startDate === null || endDate === null) {
+      return open311Error(format, 400, 'Invalid start_date or end_date. Use W3C datetime (ISO 8601)');
+    }
+    filters.from = startDate || (endDate ? undefined : new Date(Date.now() - DEFAULT_WINDOW_DAYS * 24 * 60 * 60 * 1000));
+    if (endDate) filters.to = endDate;
+
+    const page = parseInt(searchParams.get('page')) || 1;
+    const limit = parseInt(searchParams.get('page_size')) || 50;
+    if (page < 1 || limit < 1 || limit > 100) {
+      return open311Error(format, 400, 'Invalid page or page_size. page_size must be between 1 and 100');
+    }
+
+    const result = await getAllReports({ ...filters, page, limit, sort: 'newest' });
+
+    return open311Response(
+      format,
+      'service_requests',
+      'request',
+      result.reports.map(report => toServiceRequest(report, origin))
+    );
+
+  } catch (error) {
+    console.error('Error handling Open311 request:', error);
+    return open311Error(format, 500, 'Internal server error');
+  }
+}
+
+/**
+ * POST /api/open311/v2/requests.{json|xml}
+ * Create a service request. Clients authenticate with an api_key from
+ * OPEN311_API_KEYS (or a session cookie). The photo is linked through
+ * media_url rather than uploaded.
+ */
+export async function POST(request, { params }) {
+  const { resource } = params;
+  const parsed = parseFormat(resource);
+  if (!parsed || parsed.name !== 'requests') {
+    return NextResponse.json({ error: 'Not found. Use requests.json or requests.xml' }, { status: 404 });
+  }
+  const { format } = parsed;
+
+  try {
+    await connectToDatabase();
+
+    let form;
+    try {
+      form = await request.formData();
+    } catch {
+      return open311Error(format, 400, 'Expected application/x-www-form-urlencoded or multipart/form-data');
+    }
+    const field = key => {
+      const value = form.get(key);
+      return typeof value === 'string' ? value.trim() : '';
+    };
+
+    // Authenticate with an API key, falling back to the browser session
+    const apiKey = field('api_key');
+    let user = null;
+    if (apiKey) {
+      const userId = findApiKeyUser(apiKey);
+      if (!userId) {
+        return open311Error(format, 403, 'Invalid api_key');
+      }
+      user = await findUserById(userId);
+    } else {
+      user = await getCurrentUser(request);
+    }
+    if (!user) {
+      return open311Error(format, 401, 'api_key is required');
+    }
+
+    const serviceCode = field('service_code');
+    const description = field('description');
+    const mediaUrl = field('media_url');
+    const addressString = field('address_string');
+
+    if (!REPORT_CATEGORIES.includes(serviceCode)) {
+      return open311Error(format, 400, `service_code must be one of: ${REPORT_CATEGORIES.join(', ')}`);
+    }
+
+    if (description.length < 3 || description.length > 1000) {
+      return open311Error(format, 400, 'description must be between 3 and 1000 characters');
+    }
+
+    // Reports always carry a photo
+    let media;
+    try {
+      media = new URL(mediaUrl);
+    } catch {
+      media = null;
+    }
+    if (!media || !['http:', 'https:'].includes(media.protocol)) {
+      return open311Error(format, 400, 'media_url is required and must be an http(s) URL');
+    }
+
+    let location = null;
+    if (field('lat') || field('long')) {
+      const lat = parseFloat(field('lat'));
+      const lng = parseFloat(field('long'));
+      if (isNaN(lat) || isNaN(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+        return open311Error(format, 400, 'Invalid lat/long');
+      }
+      location = { lat, lng };
+    } else if (addressString) {
+      try {
+        location = await geocodeAddress(addressString);
+      } catch (error) {
+        return open311Error(format, 400, `Failed to geocode address_string: ${error.message}`);
+      }
+    } else {
+      return open311Error(format, 400, 'A location is required: provide lat and long, or address_string');
+    }
+
+    // Open311 has no title, so use the start of the description
+    const firstLine = description.split('\n')[0];
+    const title = firstLine.length > 100 ? `${firstLine.slice(0, 97)}...` : firstLine;
+
+    const savedReport = await createReport({
+      title: title || OPEN311_SERVICES[serviceCode].service_name,
+      description,
+      category: serviceCode,
+      location,
+      imageUrl: media.toString(),
+      images: [],
+      createdBy: user._id
+    });
+    alertAreaWatchersInBackground(savedReport);
+    await publishReportEvent('report-created', savedReport._id);
+
+    return open311Response(format, 'service_requests', 'request', [{
+      service_request_id: savedReport._id.toString(),
+      service_notice: null,
+      account_id: null
+    }], 201);
+
+  } catch (error) {
+    console.error('Error creating Open311 request:', error);
+    return open311Error(format, 500, 'Internal server error');
+  }
+}
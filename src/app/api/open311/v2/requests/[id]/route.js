@@ -0,0 +1,36 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase, getReportById } from '@/lib/db';
+import { open311Error, open311Response, parseFormat, toServiceRequest } from '@/lib/open311';
+
+/**
+ * GET /api/open311/v2/requests/[id].{json|xml}
+ * Get a single Open311 service request
+ */
+export async function GET(request, { params }) {
+  const { id } = params;
+  const parsed = parseFormat(id);
+  if (!parsed) {
+    return NextResponse.json({ error: 'Not found. Use requests/{id}.json or requests/{id}.xml' }, { status: 404 });
+  }
+  const { name: reportId, format } = parsed;
+
+  try {
+    if (!/^[a-f\d]{24}$/i.test(reportId)) {
+      return open311Error(format, 400, 'Invalid service_request_id');
+    }
+
+    await connectToDatabase();
+
+    const report = await getReportById(reportId);
+    if (!report) {
+      return open311Error(format, 404, 'Service request not found');
+    }
+
+    const { origin } = new URL(request.url);
+    return open311Response(format, 'service_requests', 'request', [toServiceRequest(report, origin)]);
+
+  } catch (error) {
+    console.error('Error fetching Open311 request:', error);
+    return open311Error(format, 500, 'Internal server error');
+  }
+}
@@ -0,0 +1,165 @@
+import { NextResponse } from 'next/server';
+import {
+  assignReport,
+  connectToDatabase,
+  findUserById,
+  getDepartmentById,
+  getReportById,
+  transitionReportStatus
+} from '@/lib/db';
+import { getCurrentUser } from '@/lib/auth';
+import { notifyStatusChange } from '@/lib/notifications';
+import { publishReportEvent } from '@/lib/reportEvents';
+import { ACTIVE_STATUSES, canTransition, getWorkflowRoles } from '@/lib/reportStatus';
+
+/**
+ * PATCH /api/report/[id]/assignment
+ * Assign a report to a department and/or field worker with an SLA deadline (admin only).
+ * Body: { departmentId?, assigneeId? (null to unassign), dueAt?, note? }
+ */
+export async function PATCH(request, { params }) {
+  try {
+    await connectToDatabase();
+    const { id } = params;
+    if (!id) {
+      return NextResponse.json({ error: 'Invalid report ID' }, { status: 400 });
+    }
+
+    const user = await getCurrentUser(request);
+    if (!user) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+    if (!user.isAdmin) {
+      return NextResponse.json({ error: 'Admin privileges required' }, { status: 403 });
+    }
+
+    const body = await request.json();
+    const { departmentId, assigneeId, dueAt, note } = body;
+
+    if (departmentId === undefined && assigneeId === undefined && dueAt === undefined) {
+      return NextResponse.json(
+        { error: 'Provide at least one of: departmentId, assigneeId, dueAt' },
+        { status: 400 }
+      );
+    }
+
+    if (note && note.length > 500) {
+      return NextResponse.json({ error: 'Note must be 500 characters or fewer' }, { status: 400 });
+    }
+
+    const report = await getReportById(id);
+    if (!report) {
+      return NextResponse.json({ error: 'Report not found' }, { status: 404 });
+    }
+    if (!ACTIVE_STATUSES.includes(report.status)) {
+      return NextResponse.json(
+        { error: `Cannot assign a report that is ${report.status}` },
+        { status: 409 }
+      );
+    }
+
+    const assignment = { assignedBy: user._id };
+
+    let department = null;
+    if (departmentId) {
+      department = await getDepartmentById(departmentId);
+      if (!department) {
+        return NextResponse.json({ error: 'Department not found' }, { status: 400 });
+      }
+      assignment.department = department._id;
+    }
+
+    let assignee = null;
+    if (assigneeId) {
+      assignee = await findUserById(assigneeId);
+      if (!assignee || assignee.role !== 'field_worker') {
+        return NextResponse.json({ error: 'Assignee must be a field worker' }, { status: 400 });
+      }
+      if (department && assignee.department && !assignee.department.equals(department._id)) {
+        return NextResponse.json(
+          { error: 'Assignee belongs to a different department' },
+          { status: 400 }
+        );
+      }
+      assignment.assignedTo = assignee._id;
+
+      // The worker's department takes over the report unless one was given
+      if (!department && assignee.department) {
+        department = await getDepartmentById(assignee.department);
+        assignment.department = assignee.department;
+      }
+    } else if (assigneeId === null) {
+      assignment.assignedTo = null;
+    }
+
+    if (dueAt !== undefined && dueAt !== null) {
+      const due = new Date(dueAt);
+      if (isNaN(due.getTime())) {
+        return NextResponse.json({ error: 'dueAt must be a valid date' }, { status: 400 });
+      }
+      assignment.dueAt = due;
+    } else if (dueAt === null) {
+      assignment.dueAt = null;
+    } else if (department && !department._id.equals(report.department?._id)) {
+      // A new department brings its own SLA, counted from when the report was filed
+      assignment.dueAt = new Date(report.createdAt.getTime() + department.slaHours * 60 * 60 * 1000);
+    }
+
+    // Assigning a worker moves the report along the workflow when that is allowed
+    const roles = getWorkflowRoles(user, report);
+    let updatedReport;
+    let transition = null;
+    if (assignee && report.status !== 'assigned' && canTransition(report.status, 'assigned', roles)) {
+      updatedReport = await transitionReportStatus(id, {
+        from: report.status,
+        to: 'assigned',
+        user,
+        note: note || `Assigned to ${assignee.username}`,
+        extraFields: {
+          ...assignment,
+          ...(!assignee._id.equals(report.assignedTo?._id) && { assignedAt: new Date() })
+        }
+      });
+      if (!updatedReport) {
+        return NextResponse.json(
+          { error: 'Report status changed while processing the request, please retry' },
+          { status: 409 }
+        );
+      }
+      await notifyStatusChange(updatedReport, user);
+      const latest = updatedReport.statusHistory[updatedReport.statusHistory.length - 1];
+      transition = {
+        from: latest.from,
+        to: latest.to,
+        note: latest.note,
+        at: latest.at,
+        by: user.username
+      };
+      updatedReport = await getReportById(id);
+    } else {
+      updatedReport = await assignReport(id, assignment);
+    }
+    await publishReportEvent('report-updated', id);
+
+    return NextResponse.json({
+      success: true,
+      report: {
+        _id: updatedReport._id,
+        status: updatedReport.status,
+        department: updatedReport.department
+          ? { _id: updatedReport.department._id, name: updatedReport.department.name }
+          : null,
+        assignedTo: updatedReport.assignedTo
+          ? { _id: updatedReport.assignedTo._id, username: updatedReport.assignedTo.username }
+          : null,
+        assignedAt: updatedReport.assignedAt,
+        dueAt: updatedReport.dueAt,
+        // Set when the assignment also moved the report to "assigned"
+        transition
+      }
+    });
+  } catch (error) {
+    console.error('Error assigning report:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
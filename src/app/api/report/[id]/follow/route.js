@@ -0,0 +1,50 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase, followReport, unfollowReport } from '@/lib/db';
+import { getCurrentUser } from '@/lib/auth';
+
+async function setFollowing(request, params, follow) {
+  try {
+    await connectToDatabase();
+    const { id } = params;
+    if (!id) {
+      return NextResponse.json({ error: 'Invalid report ID' }, { status: 400 });
+    }
+
+    const user = await getCurrentUser(request);
+    if (!user) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    const updatedReport = follow
+      ? await followReport(id, user._id)
+      : await unfollowReport(id, user._id);
+    if (!updatedReport) {
+      return NextResponse.json({ error: 'Report not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({
+      success: true,
+      following: follow,
+      followerCount: updatedReport.followers.length
+    });
+  } catch (error) {
+    console.error('Error updating report follow:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/report/[id]/follow
+ * Follow a report to get notified about status changes, reviews and resolution
+ */
+export async function POST(request, { params }) {
+  return setFollowing(request, params, true);
+}
+
+/**
+ * DELETE /api/report/[id]/follow
+ * Stop following a report
+ */
+export async function DELETE(request, { params }) {
+  return setFollowing(request, params, false);
+}
@@ -0,0 +1,91 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase, getReportById, mergeReports } from '@/lib/db';
+import { getCurrentUser } from '@/lib/auth';
+import { notifyStatusChange } from '@/lib/notifications';
+import { publishReportEvent } from '@/lib/reportEvents';
+import { canTransition } from '@/lib/reportStatus';
+
+/**
+ * POST /api/report/[id]/merge
+ * Fold a duplicate report into this one (admin only)
+ */
+export async function POST(request, { params }) {
+  try {
+    await connectToDatabase();
+    const { id } = params;
+    if (!id) {
+      return NextResponse.json({ error: 'Invalid report ID' }, { status: 400 });
+    }
+
+    const user = await getCurrentUser(request);
+    if (!user) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+    if (!user.isAdmin) {
+      return NextResponse.json({ error: 'Admin privileges required' }, { status: 403 });
+    }
+
+    const body = await request.json();
+    const { duplicateId, note } = body;
+
+    if (!duplicateId) {
+      return NextResponse.json({ error: 'duplicateId is required' }, { status: 400 });
+    }
+    if (duplicateId === id) {
+      return NextResponse.json({ error: 'A report cannot be merged into itself' }, { status: 400 });
+    }
+    if (note && note.length > 500) {
+      return NextResponse.json({ error: 'Note must be 500 characters or fewer' }, { status: 400 });
+    }
+
+    const [canonical, duplicate] = await Promise.all([getReportById(id), getReportById(duplicateId)]);
+    if (!canonical || !duplicate) {
+      return NextResponse.json({ error: 'Report not found' }, { status: 404 });
+    }
+
+    if (canonical.mergedInto) {
+      return NextResponse.json(
+        { error: `This report was itself merged into ${canonical.mergedInto}; merge into that report instead` },
+        { status: 409 }
+      );
+    }
+    if (duplicate.mergedInto) {
+      return NextResponse.json({ error: 'The duplicate has already been merged' }, { status: 409 });
+    }
+    if (!canTransition(duplicate.status, 'rejected', ['admin'])) {
+      return NextResponse.json(
+        { error: `Cannot merge a report with status ${duplicate.status}` },
+        { status: 409 }
+      );
+    }
+
+    const merged = await mergeReports(id, duplicateId, { user, note });
+    if (!merged) {
+      return NextResponse.json(
+        { error: 'The duplicate changed while processing the request, please retry' },
+        { status: 409 }
+      );
+    }
+
+    // The duplicate's followers now follow the canonical report as well
+    await notifyStatusChange(await getReportById(duplicateId), user);
+    await publishReportEvent('report-updated', duplicateId);
+    await publishReportEvent('report-updated', id);
+
+    return NextResponse.json({
+      success: true,
+      report: {
+        _id: merged._id,
+        images: merged.images,
+        reporterCount: merged.reporterCount,
+        upvotes: merged.upvotes,
+        downvotes: merged.downvotes,
+        reviewCount: merged.reviewCount
+      },
+      mergedReportId: duplicateId
+    });
+  } catch (error) {
+    console.error('Error merging reports:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
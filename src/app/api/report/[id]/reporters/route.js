@@ -0,0 +1,57 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase, getReportById, addReporter } from '@/lib/db';
+import { getCurrentUser } from '@/lib/auth';
+import { ACTIVE_STATUSES } from '@/lib/reportStatus';
+import { publishReportEvent } from '@/lib/reportEvents';
+
+/**
+ * POST /api/report/[id]/reporters
+ * Add the current user as another reporter of an existing report ("+1")
+ * instead of filing a duplicate
+ */
+export async function POST(request, { params }) {
+  try {
+    await connectToDatabase();
+    const { id } = params;
+    if (!id) {
+      return NextResponse.json({ error: 'Invalid report ID' }, { status: 400 });
+    }
+
+    const user = await getCurrentUser(request);
+    if (!user) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    const report = await getReportById(id);
+    if (!report) {
+      return NextResponse.json({ error: 'Report not found' }, { status: 404 });
+    }
+    if (!ACTIVE_STATUSES.includes(report.status)) {
+      return NextResponse.json(
+        { error: `Report is ${report.status}; file a new report instead` },
+        { status: 409 }
+      );
+    }
+
+    const updatedReport = await addReporter(id, user._id);
+    if (!updatedReport) {
+      return NextResponse.json(
+        { error: 'You have already reported this issue' },
+        { status: 409 }
+      );
+    }
+
+    await publishReportEvent('report-updated', id);
+
+    return NextResponse.json({
+      success: true,
+      report: {
+        _id: updatedReport._id,
+        reporterCount: updatedReport.reporterCount
+      }
+    });
+  } catch (error) {
+    console.error('Error adding reporter:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
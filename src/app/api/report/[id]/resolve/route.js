@@ -1,9 +1,20 @@
 import { NextResponse } from 'next/server';
-import { connectToDatabase, getReportById, updateReport } from '@/lib/db';
+import { connectToDatabase, getReportById } from '@/lib/db';
+import { getCurrentUser } from '@/lib/auth';
+import { readReportBody, uploadImages } from '@/lib/uploads';
+import { resolveReportWithProof } from '@/lib/reportActions';
+import { notifyStatusChange } from '@/lib/notifications';
+import { publishReportEvent } from '@/lib/reportEvents';
+import {
+  RESOLUTION_NOTES_MAX_LENGTH,
+  canTransition,
+  getAllowedTransitions,
+  getWorkflowRoles
+} from '@/lib/reportStatus';
 
 /**
  * PATCH /api/report/[id]/resolve
- * Mark a report as resolved (admin only)
+ * Mark a report as resolved with notes and "after" photos as proof (admin only)
  */
 export async function PATCH(request, { params }) {
   try {
@@ -13,36 +24,95 @@ export async function PATCH(request, { params }) {
       return NextResponse.json({ error: 'Invalid report ID' }, { status: 400 });
     }
 
-    // Replace with your actual authentication logic
-    const isAdmin = request.headers.get('is-admin') === 'true';
-    const adminEmail = request.headers.get('user-email') || '';
-    if (!isAdmin) {
+    const user = await getCurrentUser(request);
+    if (!user) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+    if (!user.isAdmin) {
       return NextResponse.json({ error: 'Admin privileges required' }, { status: 403 });
     }
 
+    // Accepts JSON with base64 afterImages, or multipart/form-data with files under "images"
+    const { body, error: bodyError } = await readReportBody(request);
+    if (bodyError) {
+      return NextResponse.json({ error: bodyError }, { status: 400 });
+    }
+    const { notes } = body;
+    const afterImages = body.afterImages || body.newImages;
+
+    // Validate resolution proof
+    if (!notes || !notes.trim() || !Array.isArray(afterImages) || afterImages.length === 0) {
+      return NextResponse.json(
+        { error: 'Missing required fields: notes and at least one after image' },
+        { status: 400 }
+      );
+    }
+
+    if (notes.trim().length > RESOLUTION_NOTES_MAX_LENGTH) {
+      return NextResponse.json(
+        { error: `Notes must be ${RESOLUTION_NOTES_MAX_LENGTH} characters or fewer` },
+        { status: 400 }
+      );
+    }
+
     const report = await getReportById(id);
     if (!report) {
       return NextResponse.json({ error: 'Report not found' }, { status: 404 });
     }
 
-    const updateData = {
-      resolved: true,
-      resolvedAt: new Date(),
-      resolvedBy: adminEmail
-    };
-    const updatedReport = await updateReport(id, updateData);
+    const roles = getWorkflowRoles(user, report);
+    if (!canTransition(report.status, 'resolved', roles)) {
+      return NextResponse.json(
+        { error: `Cannot resolve a report that is ${report.status}` },
+        { status: 409 }
+      );
+    }
+
+    // Upload after images to storage in parallel
+    let uploadedImages;
+    try {
+      uploadedImages = await uploadImages(afterImages);
+    } catch (error) {
+      return NextResponse.json(
+        { error: `Failed to upload image: ${error.message}` },
+        { status: 500 }
+      );
+    }
+
+    const updatedReport = await resolveReportWithProof(report, { user, notes, images: uploadedImages });
     if (!updatedReport) {
-      return NextResponse.json({ error: 'Failed to resolve report' }, { status: 500 });
+      return NextResponse.json(
+        { error: 'Report status changed while processing the request, please retry' },
+        { status: 409 }
+      );
     }
 
+    await notifyStatusChange(updatedReport, user);
+    await publishReportEvent('report-resolved', updatedReport._id);
+
+    const latest = updatedReport.statusHistory[updatedReport.statusHistory.length - 1];
+
     return NextResponse.json({ success: true, report: {
       _id: updatedReport._id,
+      status: updatedReport.status,
       resolved: updatedReport.resolved,
       resolvedAt: updatedReport.resolvedAt,
-      resolvedBy: updatedReport.resolvedBy
+      resolvedBy: updatedReport.resolvedBy,
+      resolution: {
+        notes: updatedReport.resolution.notes,
+        images: updatedReport.resolution.images
+      },
+      transition: {
+        from: latest.from,
+        to: latest.to,
+        note: latest.note,
+        at: latest.at,
+        by: user.username
+      },
+      allowedTransitions: getAllowedTransitions(updatedReport.status, roles)
     }});
   } catch (error) {
     console.error('Error resolving report:', error);
     return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
   }
-} 
\ No newline at end of file
+}
@@ -0,0 +1,47 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase, getReviewById, deleteReviewByAuthor, getReviewTallies } from '@/lib/db';
+import { getCurrentUser } from '@/lib/auth';
+import { publishReportEvent } from '@/lib/reportEvents';
+
+/**
+ * DELETE /api/report/[id]/reviews/[reviewId]
+ * Delete a review written by the current user
+ */
+export async function DELETE(request, { params }) {
+  try {
+    await connectToDatabase();
+
+    const { id, reviewId } = params;
+    if (!id || !reviewId) {
+      return NextResponse.json({ error: 'Invalid report or review ID' }, { status: 400 });
+    }
+
+    const user = await getCurrentUser(request);
+    if (!user) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+    const userId = user._id.toString();
+
+    const review = await getReviewById(reviewId);
+    if (!review || review.report.toString() !== id) {
+      return NextResponse.json({ error: 'Review not found' }, { status: 404 });
+    }
+    if (review.author.toString() !== userId) {
+      return NextResponse.json({ error: 'Unauthorized: You can only delete your own reviews' }, { status: 403 });
+    }
+
+    const deleted = await deleteReviewByAuthor(reviewId, userId);
+    if (!deleted) {
+      return NextResponse.json({ error: 'Failed to delete review' }, { status: 500 });
+    }
+
+    await publishReportEvent('report-updated', id);
+
+    const tallies = await getReviewTallies(id);
+
+    return NextResponse.json({ success: true, tallies });
+  } catch (error) {
+    console.error('Error deleting review:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
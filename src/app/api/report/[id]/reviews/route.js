@@ -0,0 +1,126 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase, getReportById, addReview, getReviewsForReport, getReviewTallies } from '@/lib/db';
+import { getCurrentUser } from '@/lib/auth';
+import { notifyReportEvent } from '@/lib/notifications';
+import { publishReportEvent } from '@/lib/reportEvents';
+
+function formatReview(review) {
+  return {
+    _id: review._id,
+    comment: review.comment,
+    upvote: review.upvote,
+    createdAt: review.createdAt,
+    author: {
+      _id: review.author._id,
+      username: review.author.username
+    }
+  };
+}
+
+/**
+ * GET /api/report/[id]/reviews
+ * Get all reviews for a report along with vote tallies
+ */
+export async function GET(request, { params }) {
+  try {
+    await connectToDatabase();
+
+    const { id } = params;
+    if (!id || id === 'undefined' || id === 'null') {
+      return NextResponse.json({ error: 'Invalid report ID' }, { status: 400 });
+    }
+
+    const report = await getReportById(id);
+    if (!report) {
+      return NextResponse.json({ error: 'Report not found' }, { status: 404 });
+    }
+
+    const reviews = await getReviewsForReport(id);
+    const tallies = await getReviewTallies(id);
+
+    return NextResponse.json({
+      success: true,
+      reviews: reviews.map(formatReview),
+      tallies
+    });
+  } catch (error) {
+    console.error('Error fetching reviews:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/report/[id]/reviews
+ * Add an upvote/downvote review to a report
+ */
+export async function POST(request, { params }) {
+  try {
+    await connectToDatabase();
+
+    const { id } = params;
+    if (!id || id === 'undefined' || id === 'null') {
+      return NextResponse.json({ error: 'Invalid report ID' }, { status: 400 });
+    }
+
+    const user = await getCurrentUser(request);
+    if (!user) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    const body = await request.json();
+    const { comment, upvote } = body;
+
+    // Validate required fields
+    if (!comment || !comment.trim() || typeof upvote !== 'boolean') {
+      return NextResponse.json(
+        { error: 'Missing required fields: comment and upvote (boolean)' },
+        { status: 400 }
+      );
+    }
+
+    if (comment.trim().length > 500) {
+      return NextResponse.json(
+        { error: 'Comment must be 500 characters or fewer' },
+        { status: 400 }
+      );
+    }
+
+    const report = await getReportById(id);
+    if (!report) {
+      return NextResponse.json({ error: 'Report not found' }, { status: 404 });
+    }
+
+    let review;
+    try {
+      review = await addReview({
+        report: id,
+        author: user._id,
+        comment: comment.trim(),
+        upvote
+      });
+    } catch (error) {
+      if (error.message === 'You have already reviewed this report') {
+        return NextResponse.json({ error: error.message }, { status: 409 });
+      }
+      throw error;
+    }
+
+    await notifyReportEvent(report, {
+      type: 'review',
+      message: `${user.username} ${upvote ? 'upvoted' : 'downvoted'} "${report.title}": ${review.comment}`,
+      actor: user
+    });
+    await publishReportEvent('report-updated', id);
+
+    const tallies = await getReviewTallies(id);
+
+    return NextResponse.json({
+      success: true,
+      review: formatReview(review),
+      tallies
+    }, { status: 201 });
+  } catch (error) {
+    console.error('Error adding review:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
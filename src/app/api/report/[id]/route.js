@@ -1,7 +1,11 @@
 import { NextResponse } from 'next/server';
-import { connectToDatabase, getReportById, updateReport, deleteReportIfOwner } from '@/lib/db';
-import { uploadImage, deleteImage } from '@/lib/cloudinary';
+import { connectToDatabase, getReportById, updateReport, deleteReportIfOwner, toLatLng } from '@/lib/db';
+import { deleteImage } from '@/lib/storage';
 import { geocodeAddress } from '@/lib/geocode';
+import { getCurrentUser } from '@/lib/auth';
+import { readReportBody, uploadImages } from '@/lib/uploads';
+import { deleteReportImages } from '@/lib/reportActions';
+import { publishReportEvent } from '@/lib/reportEvents';
 
 /**
  * GET /api/report/[id]
@@ -26,6 +30,7 @@ export async function GET(request, { params }) {
 
     // Get report with optional reviews
     const report = await getReportById(id, includeReviews);
+    const user = await getCurrentUser(request);
 
     if (!report) {
       return NextResponse.json(
@@ -40,12 +45,48 @@ export async function GET(request, { params }) {
       title: report.title,
       description: report.description,
       category: report.category,
-      location: report.location,
+      location: toLatLng(report.location),
       imageUrl: report.imageUrl,
       images: report.images || [],
+      status: report.status,
+      rejectionReason: report.rejectionReason,
+      statusHistory: (report.statusHistory || []).map(entry => ({
+        from: entry.from,
+        to: entry.to,
+        note: entry.note,
+        at: entry.at,
+        by: entry.by?.username || 'Unknown'
+      })),
       resolved: report.resolved,
       resolvedAt: report.resolvedAt,
       resolvedBy: report.resolvedBy,
+      resolution: {
+        notes: report.resolution?.notes || '',
+        images: report.resolution?.images || []
+      },
+      photoMetadata: {
+        capturedAt: report.photoMetadata?.capturedAt || null,
+        distanceFromReported: report.photoMetadata?.distanceFromReported ?? null,
+        locationMismatch: report.photoMetadata?.locationMismatch || false
+      },
+      reporterCount: report.reporterCount || 1,
+      followerCount: report.followers?.length || 0,
+      following: !!user && (report.followers || []).some(follower => follower.equals(user._id)),
+      mergedInto: report.mergedInto,
+      ward: report.ward
+        ? { _id: report.ward._id, name: report.ward.name, code: report.ward.code }
+        : null,
+      department: report.department
+        ? { _id: report.department._id, name: report.department.name }
+        : null,
+      assignedTo: report.assignedTo
+        ? { _id: report.assignedTo._id, username: report.assignedTo.username }
+        : null,
+      assignedAt: report.assignedAt,
+      dueAt: report.dueAt,
+      upvotes: report.upvotes,
+      downvotes: report.downvotes,
+      reviewCount: report.reviewCount,
       createdAt: report.createdAt,
       createdBy: {
         _id: report.createdBy._id,
@@ -101,19 +142,21 @@ export async function PATCH(request, { params }) {
       );
     }
 
-    // Parse request body
-    const body = await request.json();
-    const { title, description, category, location, address, newImages, imagesToDelete } = body;
-
-    // Get user ID from request (replace with actual authentication)
-    const userId = request.headers.get('user-id') || 'placeholder-user-id';
-    
-    if (userId === 'placeholder-user-id') {
+    const user = await getCurrentUser(request);
+    if (!user) {
       return NextResponse.json(
         { error: 'Authentication required' },
         { status: 401 }
       );
     }
+    const userId = user._id.toString();
+
+    // Parse request body (JSON with base64 images, or multipart/form-data)
+    const { body, error: bodyError } = await readReportBody(request);
+    if (bodyError) {
+      return NextResponse.json({ error: bodyError }, { status: 400 });
+    }
+    const { title, description, category, location, address, newImages, imagesToDelete } = body;
 
     // Get current report to check ownership
     const currentReport = await getReportById(id);
@@ -144,6 +187,16 @@ export async function PATCH(request, { params }) {
       }
     }
 
+    if (location && (
+      typeof location.lat !== 'number' || typeof location.lng !== 'number' ||
+      location.lat < -90 || location.lat > 90 || location.lng < -180 || location.lng > 180
+    )) {
+      return NextResponse.json(
+        { error: 'Invalid location. Expected numeric lat (-90 to 90) and lng (-180 to 180)' },
+        { status: 400 }
+      );
+    }
+
     let finalLocation = location;
 
     // If address is provided, geocode it
@@ -159,9 +212,14 @@ export async function PATCH(request, { params }) {
       }
     }
 
+    // Only this report's own images may be deleted
+    const ownImagesToDelete = Array.isArray(imagesToDelete)
+      ? imagesToDelete.filter(publicId => currentReport.images?.some(image => image.publicId === publicId))
+      : undefined;
+
     // Handle image deletions first
-    if (imagesToDelete && imagesToDelete.length > 0) {
-      for (const publicId of imagesToDelete) {
+    if (ownImagesToDelete && ownImagesToDelete.length > 0) {
+      for (const publicId of ownImagesToDelete) {
         try {
           await deleteImage(publicId);
         } catch (error) {
@@ -174,28 +232,13 @@ export async function PATCH(request, { params }) {
     // Handle new image uploads
     let uploadedNewImages = [];
     if (newImages && newImages.length > 0) {
-      for (const image of newImages) {
-        try {
-          const uploadResult = await uploadImage(image);
-          uploadedNewImages.push({
-            url: uploadResult.secure_url,
-            publicId: uploadResult.public_id
-          });
-        } catch (error) {
-          // If image upload fails, clean up any previously uploaded images
-          for (const uploadedImage of uploadedNewImages) {
-            try {
-              await deleteImage(uploadedImage.publicId);
-            } catch (cleanupError) {
-              console.error('Failed to cleanup image:', cleanupError);
-            }
-          }
-          
-          return NextResponse.json(
-            { error: `Failed to upload image: ${error.message}` },
-            { status: 500 }
-          );
-        }
+      try {
+        uploadedNewImages = await uploadImages(newImages);
+      } catch (error) {
+        return NextResponse.json(
+          { error: `Failed to upload image: ${error.message}` },
+          { status: 500 }
+        );
       }
     }
 
@@ -206,7 +249,7 @@ export async function PATCH(request, { params }) {
     if (description !== undefined) updateData.description = description;
     if (category !== undefined) updateData.category = category;
     if (finalLocation !== undefined) updateData.location = finalLocation;
-    if (imagesToDelete !== undefined) updateData.imagesToDelete = imagesToDelete;
+    if (ownImagesToDelete !== undefined) updateData.imagesToDelete = ownImagesToDelete;
     if (uploadedNewImages.length > 0) updateData.newImages = uploadedNewImages;
 
     // Update the report
@@ -219,15 +262,19 @@ export async function PATCH(request, { params }) {
       );
     }
 
+    await publishReportEvent('report-updated', id);
+
     // Format response
     const formattedReport = {
       _id: updatedReport._id,
       title: updatedReport.title,
       description: updatedReport.description,
       category: updatedReport.category,
-      location: updatedReport.location,
+      location: toLatLng(updatedReport.location),
       imageUrl: updatedReport.imageUrl,
       images: updatedReport.images || [],
+      status: updatedReport.status,
+      rejectionReason: updatedReport.rejectionReason,
       resolved: updatedReport.resolved,
       resolvedAt: updatedReport.resolvedAt,
       resolvedBy: updatedReport.resolvedBy,
@@ -265,11 +312,11 @@ export async function DELETE(request, { params }) {
       return NextResponse.json({ error: 'Invalid report ID' }, { status: 400 });
     }
 
-    // Replace with your actual authentication logic
-    const userId = request.headers.get('user-id') || 'placeholder-user-id';
-    if (userId === 'placeholder-user-id') {
+    const user = await getCurrentUser(request);
+    if (!user) {
       return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
     }
+    const userId = user._id.toString();
 
     const report = await getReportById(id);
     if (!report) {
@@ -279,21 +326,14 @@ export async function DELETE(request, { params }) {
       return NextResponse.json({ error: 'Unauthorized: You can only delete your own reports' }, { status: 403 });
     }
 
-    // Delete all images from Cloudinary
-    if (report.images && report.images.length > 0) {
-      for (const img of report.images) {
-        try { await deleteImage(img.publicId); } catch (e) { /* ignore */ }
-      }
-    } else if (report.imageUrl && report.images?.length === 0) {
-      // fallback: try to delete main image if images array is empty
-      try { await deleteImage(report.imageUrl); } catch (e) { /* ignore */ }
-    }
+    await deleteReportImages(report);
 
     // Delete the report
     const deleted = await deleteReportIfOwner(id, userId);
     if (!deleted) {
       return NextResponse.json({ error: 'Failed to delete report' }, { status: 500 });
     }
+    await publishReportEvent('report-deleted', id);
     return NextResponse.json({ success: true });
   } catch (error) {
     console.error('Error deleting report:', error);
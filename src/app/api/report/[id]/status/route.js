@@ -0,0 +1,111 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase, getReportById, transitionReportStatus } from '@/lib/db';
+import { getCurrentUser } from '@/lib/auth';
+import { notifyStatusChange } from '@/lib/notifications';
+import { publishReportEvent, statusEventType } from '@/lib/reportEvents';
+import {
+  REPORT_STATUSES,
+  REJECTION_REASONS,
+  canTransition,
+  getAllowedTransitions,
+  getWorkflowRoles
+} from '@/lib/reportStatus';
+
+/**
+ * PATCH /api/report/[id]/status
+ * Move a report through its workflow (open → acknowledged → ... → closed)
+ */
+export async function PATCH(request, { params }) {
+  try {
+    await connectToDatabase();
+    const { id } = params;
+    if (!id) {
+      return NextResponse.json({ error: 'Invalid report ID' }, { status: 400 });
+    }
+
+    const user = await getCurrentUser(request);
+    if (!user) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    const body = await request.json();
+    const { status, note, rejectionReason } = body;
+
+    if (!REPORT_STATUSES.includes(status)) {
+      return NextResponse.json(
+        { error: `Invalid status. Must be one of: ${REPORT_STATUSES.join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    if (status === 'resolved') {
+      return NextResponse.json(
+        { error: 'Resolving requires proof: use PATCH /api/report/[id]/resolve with notes and afterImages' },
+        { status: 400 }
+      );
+    }
+
+    if (status === 'rejected' && !REJECTION_REASONS.includes(rejectionReason)) {
+      return NextResponse.json(
+        { error: `Rejecting a report requires a rejectionReason: ${REJECTION_REASONS.join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    if (note && note.length > 500) {
+      return NextResponse.json({ error: 'Note must be 500 characters or fewer' }, { status: 400 });
+    }
+
+    const report = await getReportById(id);
+    if (!report) {
+      return NextResponse.json({ error: 'Report not found' }, { status: 404 });
+    }
+
+    const roles = getWorkflowRoles(user, report);
+    if (!canTransition(report.status, status, roles)) {
+      return NextResponse.json({
+        error: `Cannot change status from ${report.status} to ${status}`,
+        allowedTransitions: getAllowedTransitions(report.status, roles)
+      }, { status: 403 });
+    }
+
+    const updatedReport = await transitionReportStatus(id, {
+      from: report.status,
+      to: status,
+      user,
+      note,
+      rejectionReason
+    });
+    if (!updatedReport) {
+      return NextResponse.json(
+        { error: 'Report status changed while processing the request, please retry' },
+        { status: 409 }
+      );
+    }
+
+    await notifyStatusChange(updatedReport, user);
+    await publishReportEvent(statusEventType(updatedReport.status), updatedReport._id);
+
+    const latest = updatedReport.statusHistory[updatedReport.statusHistory.length - 1];
+
+    return NextResponse.json({ success: true, report: {
+      _id: updatedReport._id,
+      status: updatedReport.status,
+      rejectionReason: updatedReport.rejectionReason,
+      resolved: updatedReport.resolved,
+      resolvedAt: updatedReport.resolvedAt,
+      resolvedBy: updatedReport.resolvedBy,
+      transition: {
+        from: latest.from,
+        to: latest.to,
+        note: latest.note,
+        at: latest.at,
+        by: user.username
+      },
+      allowedTransitions: getAllowedTransitions(updatedReport.status, roles)
+    }});
+  } catch (error) {
+    console.error('Error changing report status:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
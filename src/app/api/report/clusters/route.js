@@ -0,0 +1,66 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase, getReportClusters } from '@/lib/db';
+import { parseBbox } from '@/lib/geo';
+import { parseReportFilters } from '@/lib/reportFilters';
+
+/**
+ * GET /api/report/clusters?zoom=&bbox=minLng,minLat,maxLng,maxLat
+ * Get report counts aggregated into grid cells as a GeoJSON FeatureCollection
+ */
+export async function GET(request) {
+  try {
+    await connectToDatabase();
+
+    const { searchParams } = new URL(request.url);
+    const bbox = parseBbox(searchParams.get('bbox'));
+    const zoom = parseInt(searchParams.get('zoom'));
+    const { filters, error } = parseReportFilters(searchParams);
+
+    // Validate parameters
+    if (error) {
+      return NextResponse.json({ error }, { status: 400 });
+    }
+
+    if (!bbox) {
+      return NextResponse.json(
+        { error: 'Invalid bbox. Expected minLng,minLat,maxLng,maxLat' },
+        { status: 400 }
+      );
+    }
+
+    if (isNaN(zoom) || zoom < 0 || zoom > 22) {
+      return NextResponse.json(
+        { error: 'Zoom must be an integer between 0 and 22' },
+        { status: 400 }
+      );
+    }
+
+    const cells = await getReportClusters({ ...filters, bbox, zoom });
+
+    return NextResponse.json({
+      type: 'FeatureCollection',
+      features: cells.map(cell => ({
+        type: 'Feature',
+        geometry: {
+          type: 'Point',
+          coordinates: cell.center
+        },
+        properties: {
+          count: cell.count,
+          resolved: cell.resolved,
+          pending: cell.pending,
+          rejected: cell.statuses.rejected || 0,
+          categories: cell.categories,
+          statuses: cell.statuses
+        }
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error fetching report clusters:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,84 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase, reportMatchesFilters } from '@/lib/db';
+import { parseReportFilters } from '@/lib/reportFilters';
+import { subscribeToReportEvents } from '@/lib/reportEvents';
+
+// Comment lines sent while idle so proxies don't close the stream
+const HEARTBEAT_INTERVAL = 25 * 1000;
+
+// How long the browser waits before reconnecting a dropped stream (ms)
+const RECONNECT_DELAY = 5000;
+
+/**
+ * GET /api/report/events
+ * Server-Sent Events stream of report-created, report-updated,
+ * report-resolved and report-deleted events. Accepts the same filters as
+ * GET /api/report; each event says whether the report still matches them,
+ * so clients can drop reports that moved out of their filters.
+ */
+export async function GET(request) {
+  try {
+    await connectToDatabase();
+
+    const { searchParams } = new URL(request.url);
+    const { filters, error } = parseReportFilters(searchParams);
+    if (error) {
+      return NextResponse.json({ error }, { status: 400 });
+    }
+    const hasFilters = Object.keys(filters).length > 0;
+
+    const encoder = new TextEncoder();
+    let stop = () => {};
+
+    const stream = new ReadableStream({
+      start(controller) {
+        let closed = false;
+        const send = (chunk) => {
+          if (!closed) controller.enqueue(encoder.encode(chunk));
+        };
+
+        const unsubscribe = subscribeToReportEvents(async ({ id, type, reportId, feature }) => {
+          try {
+            // Deleted reports can't be matched any more, so every client hears about them
+            const matches = type === 'report-deleted' || !hasFilters || await reportMatchesFilters(reportId, filters);
+            send(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify({ id: reportId, matches, feature })}\n\n`);
+          } catch (error) {
+            console.error('Error streaming report event:', error);
+          }
+        });
+        const heartbeat = setInterval(() => send(': keep-alive\n\n'), HEARTBEAT_INTERVAL);
+
+        stop = () => {
+          if (closed) return;
+          closed = true;
+          clearInterval(heartbeat);
+          unsubscribe();
+        };
+
+        request.signal.addEventListener('abort', () => {
+          if (closed) return;
+          stop();
+          controller.close();
+        });
+
+        send(`retry: ${RECONNECT_DELAY}\n\n`);
+      },
+      cancel() {
+        stop();
+      }
+    });
+
+    return new Response(stream, {
+      headers: {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        // Stop nginx from buffering the stream
+        'X-Accel-Buffering': 'no'
+      }
+    });
+  } catch (error) {
+    console.error('Error opening report event stream:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,89 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase, getReportsCursor } from '@/lib/db';
+import { parseBbox } from '@/lib/geo';
+import { parseReportFilters } from '@/lib/reportFilters';
+import { EXPORT_FORMATS, toExportRecord } from '@/lib/reportExport';
+
+/**
+ * GET /api/report/export?format=csv|geojson|kml
+ * Download every report matching the list filters (including bbox).
+ * Reports are streamed from a cursor, so exports of any size use
+ * constant memory.
+ */
+export async function GET(request) {
+  try {
+    await connectToDatabase();
+
+    const { searchParams, origin } = new URL(request.url);
+    const format = searchParams.get('format') || 'csv';
+    const { filters, error } = parseReportFilters(searchParams);
+
+    // Validate parameters
+    if (!EXPORT_FORMATS[format]) {
+      return NextResponse.json(
+        { error: `Invalid format. Must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    if (error) {
+      return NextResponse.json({ error }, { status: 400 });
+    }
+
+    if (searchParams.get('bbox')) {
+      const bbox = parseBbox(searchParams.get('bbox'));
+      if (!bbox) {
+        return NextResponse.json(
+          { error: 'Invalid bbox. Expected minLng,minLat,maxLng,maxLat' },
+          { status: 400 }
+        );
+      }
+      filters.bbox = bbox;
+    }
+
+    const serializer = EXPORT_FORMATS[format];
+    const cursor = getReportsCursor(filters);
+    const encoder = new TextEncoder();
+    let index = 0;
+
+    const stream = new ReadableStream({
+      start(controller) {
+        controller.enqueue(encoder.encode(serializer.header()));
+      },
+      async pull(controller) {
+        try {
+          const report = await cursor.next();
+          if (!report) {
+            controller.enqueue(encoder.encode(serializer.footer()));
+            controller.close();
+            return;
+          }
+          controller.enqueue(encoder.encode(serializer.record(toExportRecord(report, origin), index++)));
+        } catch (streamError) {
+          console.error('Error streaming report export:', streamError);
+          await cursor.close().catch(() => {});
+          controller.error(streamError);
+        }
+      },
+      async cancel() {
+        await cursor.close();
+      }
+    });
+
+    const date = new Date().toISOString().slice(0, 10);
+    return new Response(stream, {
+      headers: {
+        'Content-Type': serializer.contentType,
+        'Content-Disposition': `attachment; filename="swachhmap-reports-${date}.${serializer.extension}"`,
+        'Cache-Control': 'no-store'
+      }
+    });
+
+  } catch (error) {
+    console.error('Error exporting reports:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,66 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase, getOverdueReports, toLatLng } from '@/lib/db';
+import { getCurrentUser } from '@/lib/auth';
+
+/**
+ * GET /api/report/overdue
+ * Active reports past their SLA deadline, most overdue first.
+ * Admins see all of them (optionally ?department= / ?assignedTo=);
+ * field workers see the ones assigned to them.
+ */
+export async function GET(request) {
+  try {
+    await connectToDatabase();
+
+    const user = await getCurrentUser(request);
+    if (!user) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+    if (!user.isAdmin && user.role !== 'field_worker') {
+      return NextResponse.json({ error: 'Admin or field worker privileges required' }, { status: 403 });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const page = parseInt(searchParams.get('page')) || 1;
+    const limit = parseInt(searchParams.get('limit')) || 50;
+
+    if (page < 1 || limit < 1 || limit > 200) {
+      return NextResponse.json(
+        { error: 'Invalid pagination parameters' },
+        { status: 400 }
+      );
+    }
+
+    const options = user.isAdmin
+      ? {
+          department: searchParams.get('department') || undefined,
+          assignedTo: searchParams.get('assignedTo') || undefined
+        }
+      : { assignedTo: user._id };
+
+    const result = await getOverdueReports({ ...options, page, limit });
+    const now = Date.now();
+
+    return NextResponse.json({
+      success: true,
+      reports: result.reports.map(report => ({
+        _id: report._id,
+        title: report.title,
+        category: report.category,
+        location: toLatLng(report.location),
+        thumbnail: report.thumbnailUrl || report.imageUrl,
+        status: report.status,
+        department: report.department?.name || null,
+        assignedTo: report.assignedTo?.username || null,
+        assignedAt: report.assignedAt,
+        dueAt: report.dueAt,
+        hoursOverdue: Math.floor((now - report.dueAt.getTime()) / (60 * 60 * 1000)),
+        createdAt: report.createdAt
+      })),
+      pagination: result.pagination
+    });
+  } catch (error) {
+    console.error('Error fetching overdue reports:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
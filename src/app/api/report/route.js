@@ -1,7 +1,33 @@
 import { NextResponse } from 'next/server';
-import { connectToDatabase, createReport, getAllReports } from '@/lib/db';
-import { uploadImage, deleteImage } from '@/lib/cloudinary';
+import {
+  connectToDatabase,
+  createReport,
+  findPossibleDuplicates,
+  getAllReports,
+  getReportsInBounds,
+  getReportsNear,
+  toLatLng
+} from '@/lib/db';
 import { geocodeAddress } from '@/lib/geocode';
+import { getCurrentUser } from '@/lib/auth';
+import { parseBbox, distanceInMeters } from '@/lib/geo';
+import { prepareImageUpload } from '@/lib/exif';
+import { readReportBody, uploadPreparedImages } from '@/lib/uploads';
+import { parseReportFilters } from '@/lib/reportFilters';
+import { alertAreaWatchersInBackground } from '@/lib/notifications';
+import { publishReportEvent, toReportFeature } from '@/lib/reportEvents';
+
+// Photos taken further than this from the reported location get flagged
+const PHOTO_LOCATION_MAX_DISTANCE = parseInt(process.env.PHOTO_LOCATION_MAX_DISTANCE) || 1000;
+
+// Active reports of the same category this close (metres) and this recent
+// (days) are offered as possible duplicates before a new report is filed
+const DUPLICATE_RADIUS = parseInt(process.env.DUPLICATE_RADIUS) || 50;
+const DUPLICATE_WINDOW_DAYS = parseInt(process.env.DUPLICATE_WINDOW_DAYS) || 30;
+
+// Radius (metres) of a ?near= search when none is given, and the largest allowed
+const NEAR_DEFAULT_RADIUS = 2000;
+const NEAR_MAX_RADIUS = 50000;
 
 /**
  * POST /api/report
@@ -12,12 +38,23 @@ export async function POST(request) {
     // Connect to database
     await connectToDatabase();
 
-    // Parse request body
-    const body = await request.json();
-    const { title, description, category, location, address, newImages } = body;
+    const user = await getCurrentUser(request);
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      );
+    }
+
+    // Parse request body (JSON with base64 images, or multipart/form-data)
+    const { body, error: bodyError } = await readReportBody(request);
+    if (bodyError) {
+      return NextResponse.json({ error: bodyError }, { status: 400 });
+    }
+    const { title, description, category, location, address, newImages, ignoreDuplicates } = body;
 
-    // Validate required fields
-    if (!title || !description || !category || !newImages || (!location && !address)) {
+    // Validate required fields (location may also come from photo GPS)
+    if (!title || !description || !category || !Array.isArray(newImages) || newImages.length === 0) {
       return NextResponse.json(
         { error: 'Missing required fields: title, description, category, images, and location/address' },
         { status: 400 }
@@ -33,13 +70,28 @@ export async function POST(request) {
       );
     }
 
-    // Get user ID from request (you'll need to implement authentication middleware)
-    // For now, we'll use a placeholder - replace with actual user authentication
-    let userId = request.headers.get('user-id') || 'placeholder-user-id';
-    // Bypass authentication for local testing
-    if (userId === 'placeholder-user-id') {
-      userId = '000000000000000000000001'; // Use a dummy ObjectId for local testing
+    if (location && (
+      typeof location.lat !== 'number' || typeof location.lng !== 'number' ||
+      location.lat < -90 || location.lat > 90 || location.lng < -180 || location.lng > 180
+    )) {
+      return NextResponse.json(
+        { error: 'Invalid location. Expected numeric lat (-90 to 90) and lng (-180 to 180)' },
+        { status: 400 }
+      );
+    }
+
+    // Read EXIF (GPS, capture time) and strip location tags before upload
+    let preparedImages;
+    try {
+      preparedImages = await Promise.all(newImages.map(image => prepareImageUpload(image)));
+    } catch (error) {
+      return NextResponse.json({ error: error.message }, { status: 400 });
     }
+    const photoLocation = preparedImages.find(image => image.metadata.location)?.metadata.location || null;
+    const captureTimes = preparedImages
+      .map(image => image.metadata.capturedAt)
+      .filter(Boolean)
+      .sort((a, b) => a - b);
 
     let finalLocation = location;
 
@@ -56,31 +108,65 @@ export async function POST(request) {
       }
     }
 
-    // Upload images to Cloudinary
-    const uploadedImages = [];
-    
-    for (const image of newImages) {
-      try {
-        const uploadResult = await uploadImage(image);
-        uploadedImages.push({
-          url: uploadResult.secure_url,
-          publicId: uploadResult.public_id
-        });
-      } catch (error) {
-        // If image upload fails, clean up any previously uploaded images
-        for (const uploadedImage of uploadedImages) {
-          try {
-            await deleteImage(uploadedImage.publicId);
-          } catch (cleanupError) {
-            console.error('Failed to cleanup image:', cleanupError);
-          }
-        }
-        
+    // Fall back to where the photo was taken
+    if (!finalLocation) {
+      if (!photoLocation) {
         return NextResponse.json(
-          { error: `Failed to upload image: ${error.message}` },
-          { status: 500 }
+          { error: 'Missing location: provide a location, an address, or photos with GPS data' },
+          { status: 400 }
         );
       }
+      finalLocation = photoLocation;
+    }
+
+    const photoMetadata = {
+      capturedAt: captureTimes[0] || null,
+      gpsLocation: photoLocation,
+      distanceFromReported: null,
+      locationMismatch: false
+    };
+    if (photoLocation && finalLocation !== photoLocation) {
+      photoMetadata.distanceFromReported = Math.round(distanceInMeters(photoLocation, finalLocation));
+      photoMetadata.locationMismatch = photoMetadata.distanceFromReported > PHOTO_LOCATION_MAX_DISTANCE;
+    }
+
+    // Let the user "+1" an existing report instead of filing the same problem again
+    if (!ignoreDuplicates) {
+      const duplicates = await findPossibleDuplicates({
+        location: finalLocation,
+        category,
+        radius: DUPLICATE_RADIUS,
+        since: new Date(Date.now() - DUPLICATE_WINDOW_DAYS * 24 * 60 * 60 * 1000)
+      });
+
+      if (duplicates.length > 0) {
+        return NextResponse.json({
+          error: 'Similar reports already exist nearby. Add yourself to one of them, or resubmit with ignoreDuplicates to file a new report',
+          duplicates: duplicates.map(report => ({
+            _id: report._id,
+            title: report.title,
+            category: report.category,
+            location: toLatLng(report.location),
+            thumbnail: report.thumbnailUrl || report.imageUrl,
+            status: report.status,
+            reporterCount: report.reporterCount || 1,
+            upvotes: report.upvotes,
+            distance: Math.round(report.distance),
+            createdAt: report.createdAt
+          }))
+        }, { status: 409 });
+      }
+    }
+
+    // Upload images to storage in parallel
+    let uploadedImages;
+    try {
+      uploadedImages = await uploadPreparedImages(preparedImages.map(image => image.upload));
+    } catch (error) {
+      return NextResponse.json(
+        { error: `Failed to upload image: ${error.message}` },
+        { status: 500 }
+      );
     }
 
     // Create report data
@@ -90,12 +176,16 @@ export async function POST(request) {
       category,
       location: finalLocation,
       imageUrl: uploadedImages[0]?.url || '', // Use first image as main image
+      thumbnailUrl: uploadedImages[0]?.thumbnailUrl,
       images: uploadedImages, // Store all images with their public IDs
-      createdBy: userId
+      photoMetadata,
+      createdBy: user._id
     };
 
     // Save report to database
     const savedReport = await createReport(reportData);
+    alertAreaWatchersInBackground(savedReport);
+    await publishReportEvent('report-created', savedReport._id);
 
     return NextResponse.json({
       success: true,
@@ -103,8 +193,14 @@ export async function POST(request) {
         _id: savedReport._id,
         title: savedReport.title,
         category: savedReport.category,
-        location: savedReport.location,
+        location: toLatLng(savedReport.location),
         imageUrl: savedReport.imageUrl,
+        photoMetadata: {
+          capturedAt: savedReport.photoMetadata.capturedAt,
+          distanceFromReported: savedReport.photoMetadata.distanceFromReported,
+          locationMismatch: savedReport.photoMetadata.locationMismatch,
+          locationFromPhoto: finalLocation === photoLocation
+        },
         createdAt: savedReport.createdAt
       }
     }, { status: 201 });
@@ -118,9 +214,73 @@ export async function POST(request) {
   }
 }
 
+/**
+ * Handle GET /api/report?bbox=minLng,minLat,maxLng,maxLat
+ * Returns every report in the viewport as a GeoJSON FeatureCollection
+ */
+async function getReportsFeatureCollection(searchParams) {
+  const bbox = parseBbox(searchParams.get('bbox'));
+  const limit = parseInt(searchParams.get('limit')) || 1000;
+  const { filters, error } = parseReportFilters(searchParams);
+
+  if (error) {
+    return NextResponse.json({ error }, { status: 400 });
+  }
+
+  if (!bbox) {
+    return NextResponse.json(
+      { error: 'Invalid bbox. Expected minLng,minLat,maxLng,maxLat' },
+      { status: 400 }
+    );
+  }
+
+  if (limit < 1 || limit > 5000) {
+    return NextResponse.json(
+      { error: 'Limit must be between 1 and 5000' },
+      { status: 400 }
+    );
+  }
+
+  const { reports, truncated } = await getReportsInBounds({ ...filters, bbox, limit });
+
+  return NextResponse.json({
+    type: 'FeatureCollection',
+    truncated,
+    features: reports.map(toReportFeature)
+  });
+}
+
+/**
+ * Parse the near=lat,lng and radius=metres parameters
+ * @param {URLSearchParams} searchParams - Request query parameters
+ * @returns {Object} { near } with lat, lng and radius, { error }, or {} if no near search was requested
+ */
+function parseNear(searchParams) {
+  const near = searchParams.get('near');
+  const radiusParam = searchParams.get('radius');
+  if (near === null) {
+    return radiusParam === null ? {} : { error: 'radius can only be used together with near=lat,lng' };
+  }
+
+  const parts = near.split(',');
+  const [lat, lng] = parts.map(value => (value.trim() === '' ? NaN : Number(value)));
+  if (parts.length !== 2 || isNaN(lat) || isNaN(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+    return { error: 'Invalid near. Expected lat,lng with lat between -90 and 90 and lng between -180 and 180' };
+  }
+
+  const radius = radiusParam === null ? NEAR_DEFAULT_RADIUS : Number(radiusParam);
+  if (isNaN(radius) || radius < 1 || radius > NEAR_MAX_RADIUS) {
+    return { error: `Radius must be between 1 and ${NEAR_MAX_RADIUS} metres` };
+  }
+
+  return { near: { lat, lng, radius } };
+}
+
 /**
  * GET /api/report
- * Get all reports with pagination and filtering
+ * Get all reports with pagination and filtering. With near=lat,lng (and an
+ * optional radius in metres) only reports within the radius are returned,
+ * nearest first, each with its distance.
  */
 export async function GET(request) {
   try {
@@ -129,10 +289,26 @@ export async function GET(request) {
 
     // Parse query parameters
     const { searchParams } = new URL(request.url);
+    const { near, error: nearError } = parseNear(searchParams);
+    if (nearError) {
+      return NextResponse.json({ error: nearError }, { status: 400 });
+    }
+
+    if (near && searchParams.has('bbox')) {
+      return NextResponse.json(
+        { error: 'near cannot be combined with bbox' },
+        { status: 400 }
+      );
+    }
+
+    if (searchParams.has('bbox')) {
+      return await getReportsFeatureCollection(searchParams);
+    }
+
     const page = parseInt(searchParams.get('page')) || 1;
     const limit = parseInt(searchParams.get('limit')) || 20;
-    const category = searchParams.get('category');
-    const resolved = searchParams.get('resolved');
+    const sort = searchParams.get('sort');
+    const { filters, error } = parseReportFilters(searchParams);
 
     // Validate parameters
     if (page < 1 || limit < 1 || limit > 100) {
@@ -142,22 +318,56 @@ export async function GET(request) {
       );
     }
 
+    if (error) {
+      return NextResponse.json({ error }, { status: 400 });
+    }
+
+    if (sort && !['newest', 'oldest', 'upvotes'].includes(sort)) {
+      return NextResponse.json(
+        { error: 'Invalid sort. Must be one of: newest, oldest, upvotes' },
+        { status: 400 }
+      );
+    }
+
+    // $geoNear orders by distance and can't run a text search
+    if (near && filters.q) {
+      return NextResponse.json(
+        { error: 'near cannot be combined with q' },
+        { status: 400 }
+      );
+    }
+
+    if (near && sort) {
+      return NextResponse.json(
+        { error: 'near results are ordered by distance; sort cannot be used with near' },
+        { status: 400 }
+      );
+    }
+
     // Build options object
-    const options = { page, limit };
-    if (category) options.category = category;
-    if (resolved !== null) options.resolved = resolved === 'true';
+    const options = { ...filters, page, limit };
+    if (sort) options.sort = sort;
 
     // Get reports
-    const result = await getAllReports(options);
+    const result = near
+      ? await getReportsNear({ ...options, ...near })
+      : await getAllReports(options);
 
     // Format response
     const formattedReports = result.reports.map(report => ({
       _id: report._id,
       title: report.title,
       category: report.category,
-      location: report.location,
-      thumbnail: report.imageUrl,
-      status: report.resolved ? 'resolved' : 'pending',
+      location: toLatLng(report.location),
+      thumbnail: report.thumbnailUrl || report.imageUrl,
+      status: report.status,
+      ward: report.ward?.name || null,
+      department: report.department?.name || null,
+      assignedTo: report.assignedTo?.username || null,
+      upvotes: report.upvotes,
+      downvotes: report.downvotes,
+      reviewCount: report.reviewCount,
+      ...(near && { distance: Math.round(report.distance) }),
       createdAt: report.createdAt,
       createdBy: report.createdBy?.username || 'Unknown'
     }));
@@ -0,0 +1,50 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase, getReportStats } from '@/lib/db';
+import { parseReportFilters } from '@/lib/reportFilters';
+
+/**
+ * GET /api/stats?weeks=&top=
+ * Public report statistics: counts by category, status, ward and week,
+ * median time to resolve and top reporters. Accepts the same filters as
+ * the report list.
+ */
+export async function GET(request) {
+  try {
+    await connectToDatabase();
+
+    const { searchParams } = new URL(request.url);
+    const { filters, error } = parseReportFilters(searchParams);
+    const weeks = parseInt(searchParams.get('weeks')) || 12;
+    const topReporters = parseInt(searchParams.get('top')) || 10;
+
+    // Validate parameters
+    if (error) {
+      return NextResponse.json({ error }, { status: 400 });
+    }
+
+    if (weeks < 1 || weeks > 104) {
+      return NextResponse.json(
+        { error: 'Weeks must be between 1 and 104' },
+        { status: 400 }
+      );
+    }
+
+    if (topReporters < 1 || topReporters > 50) {
+      return NextResponse.json(
+        { error: 'Top must be between 1 and 50' },
+        { status: 400 }
+      );
+    }
+
+    const stats = await getReportStats({ ...filters, weeks, topReporters });
+
+    return NextResponse.json({ success: true, stats });
+
+  } catch (error) {
+    console.error('Error fetching report stats:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
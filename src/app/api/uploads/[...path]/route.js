@@ -0,0 +1,31 @@
+import { NextResponse } from 'next/server';
+import { readStoredFile } from '@/lib/storage/localDisk';
+
+/**
+ * GET /api/uploads/[...path]
+ * Serve images saved by the local storage provider
+ */
+export async function GET(request, { params }) {
+  try {
+    const { path } = params;
+
+    const file = await readStoredFile(path.join('/'));
+    if (!file) {
+      return NextResponse.json({ error: 'File not found' }, { status: 404 });
+    }
+
+    // File names are random and never rewritten, so they can be cached forever
+    return new NextResponse(file, {
+      headers: {
+        'Content-Type': 'image/jpeg',
+        'Cache-Control': 'public, max-age=31536000, immutable'
+      }
+    });
+  } catch (error) {
+    console.error('Error serving uploaded file:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,35 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase, deleteWard } from '@/lib/db';
+import { getCurrentUser } from '@/lib/auth';
+
+/**
+ * DELETE /api/wards/[id]
+ * Delete a ward; its reports are left untagged (admin only)
+ */
+export async function DELETE(request, { params }) {
+  try {
+    await connectToDatabase();
+    const { id } = params;
+    if (!id) {
+      return NextResponse.json({ error: 'Invalid ward ID' }, { status: 400 });
+    }
+
+    const user = await getCurrentUser(request);
+    if (!user) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+    if (!user.isAdmin) {
+      return NextResponse.json({ error: 'Admin privileges required' }, { status: 403 });
+    }
+
+    const deleted = await deleteWard(id);
+    if (!deleted) {
+      return NextResponse.json({ error: 'Ward not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting ward:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
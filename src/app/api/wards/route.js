@@ -0,0 +1,144 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase, getAllWards, upsertWard } from '@/lib/db';
+import { getCurrentUser } from '@/lib/auth';
+import { validatePolygonGeometry } from '@/lib/geo';
+
+const MAX_WARDS_PER_UPLOAD = 500;
+
+/**
+ * GET /api/wards
+ * List wards. With ?geometry=true the boundaries are returned as a GeoJSON
+ * FeatureCollection for map overlays.
+ */
+export async function GET(request) {
+  try {
+    await connectToDatabase();
+
+    const { searchParams } = new URL(request.url);
+    const includeGeometry = searchParams.get('geometry') === 'true';
+    const wards = await getAllWards(includeGeometry);
+
+    if (includeGeometry) {
+      return NextResponse.json({
+        type: 'FeatureCollection',
+        features: wards.map(ward => ({
+          type: 'Feature',
+          geometry: ward.geometry,
+          properties: { id: ward._id, name: ward.name, code: ward.code }
+        }))
+      });
+    }
+
+    return NextResponse.json({
+      success: true,
+      wards: wards.map(ward => ({ _id: ward._id, name: ward.name, code: ward.code }))
+    });
+  } catch (error) {
+    console.error('Error fetching wards:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/wards
+ * Upload ward boundaries as a GeoJSON Feature or FeatureCollection (admin only).
+ * Each feature needs a name and a code in its properties; use ?nameProperty=
+ * and ?codeProperty= when the file uses other keys. Wards are matched on code,
+ * so re-uploading replaces their boundaries. Reports inside are re-tagged.
+ */
+export async function POST(request) {
+  try {
+    await connectToDatabase();
+
+    const user = await getCurrentUser(request);
+    if (!user) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+    if (!user.isAdmin) {
+      return NextResponse.json({ error: 'Admin privileges required' }, { status: 403 });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const nameProperty = searchParams.get('nameProperty') || 'name';
+    const codeProperty = searchParams.get('codeProperty') || 'code';
+
+    let body;
+    try {
+      body = await request.json();
+    } catch {
+      return NextResponse.json({ error: 'Body must be GeoJSON' }, { status: 400 });
+    }
+
+    const features = body?.type === 'FeatureCollection' ? body.features : [body];
+    if (!Array.isArray(features) || features.length === 0 || features.some(feature => feature?.type !== 'Feature')) {
+      return NextResponse.json(
+        { error: 'Body must be a GeoJSON Feature or a FeatureCollection of Features' },
+        { status: 400 }
+      );
+    }
+    if (features.length > MAX_WARDS_PER_UPLOAD) {
+      return NextResponse.json(
+        { error: `Upload at most ${MAX_WARDS_PER_UPLOAD} wards at a time` },
+        { status: 400 }
+      );
+    }
+
+    // Validate everything before writing anything
+    const wards = [];
+    for (const [index, feature] of features.entries()) {
+      const name = feature.properties?.[nameProperty];
+      const code = feature.properties?.[codeProperty];
+      if (name === undefined || name === null || name === '' || code === undefined || code === null || code === '') {
+        return NextResponse.json(
+          { error: `Feature ${index}: properties "${nameProperty}" and "${codeProperty}" are required` },
+          { status: 400 }
+        );
+      }
+
+      const geometryError = validatePolygonGeometry(feature.geometry);
+      if (geometryError) {
+        return NextResponse.json({ error: `Feature ${index} (${name}): ${geometryError}` }, { status: 400 });
+      }
+
+      wards.push({
+        name: String(name).trim(),
+        code: String(code).trim(),
+        geometry: { type: feature.geometry.type, coordinates: feature.geometry.coordinates }
+      });
+    }
+
+    const codes = wards.map(ward => ward.code);
+    const duplicateCode = codes.find((code, index) => codes.indexOf(code) !== index);
+    if (duplicateCode) {
+      return NextResponse.json({ error: `Ward code "${duplicateCode}" appears more than once` }, { status: 400 });
+    }
+
+    let created = 0;
+    let updated = 0;
+    let reportsTagged = 0;
+    const failed = [];
+    for (const ward of wards) {
+      try {
+        const result = await upsertWard(ward);
+        if (result.created) created++;
+        else updated++;
+        reportsTagged += result.reportsTagged;
+      } catch (error) {
+        // MongoDB rejects self-intersecting or otherwise invalid polygons
+        console.error(`Error importing ward ${ward.code}:`, error);
+        failed.push({ code: ward.code, error: 'Invalid boundary: MongoDB could not index this polygon' });
+      }
+    }
+
+    return NextResponse.json({
+      success: failed.length === 0,
+      created,
+      updated,
+      reportsTagged,
+      failed
+    }, { status: failed.length === wards.length ? 400 : 200 });
+  } catch (error) {
+    console.error('Error importing wards:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
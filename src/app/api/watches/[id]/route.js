@@ -0,0 +1,73 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase, deleteWatch, updateWatch } from '@/lib/db';
+import { getCurrentUser } from '@/lib/auth';
+import { formatWatch, validateWatchOptions } from '@/lib/watches';
+
+/**
+ * PATCH /api/watches/[id]
+ * Rename a watch or change its categories or frequency. To change the area,
+ * delete the watch and draw a new one.
+ */
+export async function PATCH(request, { params }) {
+  try {
+    await connectToDatabase();
+    const { id } = params;
+    if (!id || !/^[a-f\d]{24}$/i.test(id)) {
+      return NextResponse.json({ error: 'Invalid watch ID' }, { status: 400 });
+    }
+
+    const user = await getCurrentUser(request);
+    if (!user) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    const { name, categories, frequency } = await request.json();
+    const optionsError = validateWatchOptions({ name, categories, frequency }, true);
+    if (optionsError) {
+      return NextResponse.json({ error: optionsError }, { status: 400 });
+    }
+
+    const watch = await updateWatch(id, user._id, {
+      name: name?.trim(),
+      categories,
+      frequency
+    });
+    if (!watch) {
+      return NextResponse.json({ error: 'Watch not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({ success: true, watch: formatWatch(watch) });
+  } catch (error) {
+    console.error('Error updating watch:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+/**
+ * DELETE /api/watches/[id]
+ * Delete one of the current user's watches
+ */
+export async function DELETE(request, { params }) {
+  try {
+    await connectToDatabase();
+    const { id } = params;
+    if (!id || !/^[a-f\d]{24}$/i.test(id)) {
+      return NextResponse.json({ error: 'Invalid watch ID' }, { status: 400 });
+    }
+
+    const user = await getCurrentUser(request);
+    if (!user) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    const deleted = await deleteWatch(id, user._id);
+    if (!deleted) {
+      return NextResponse.json({ error: 'Watch not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting watch:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,28 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase } from '@/lib/db';
+import { authorizeScheduledJob } from '@/lib/auth';
+import { sendWatchDigests } from '@/lib/notifications';
+
+/**
+ * POST /api/watches/digest
+ * Email the daily digests of watch areas. Meant to be called once a day by a
+ * scheduler with "Authorization: Bearer <CRON_SECRET>"; admins can also
+ * trigger it from a logged-in session.
+ */
+export async function POST(request) {
+  try {
+    await connectToDatabase();
+
+    const denied = await authorizeScheduledJob(request);
+    if (denied) {
+      return NextResponse.json({ error: denied.error }, { status: denied.status });
+    }
+
+    const result = await sendWatchDigests();
+
+    return NextResponse.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error sending watch digests:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
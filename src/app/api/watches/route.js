@@ -0,0 +1,121 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase, countWatchesForUser, createWatch, getWatchesForUser } from '@/lib/db';
+import { getCurrentUser } from '@/lib/auth';
+import { circleToPolygon, validatePolygonGeometry } from '@/lib/geo';
+import { WATCH_RADIUS_LIMITS, formatWatch, validateWatchOptions } from '@/lib/watches';
+
+const MAX_WATCHES_PER_USER = 10;
+const MAX_POLYGON_VERTICES = 500;
+
+/**
+ * GET /api/watches
+ * The current user's watch areas
+ */
+export async function GET(request) {
+  try {
+    await connectToDatabase();
+
+    const user = await getCurrentUser(request);
+    if (!user) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    const watches = await getWatchesForUser(user._id);
+
+    return NextResponse.json({ success: true, watches: watches.map(formatWatch) });
+  } catch (error) {
+    console.error('Error fetching watches:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/watches
+ * Save a watch area: { name, shape: 'circle', center: { lat, lng }, radius }
+ * or { name, shape: 'polygon', area: GeoJSON Polygon }, plus optional
+ * categories and frequency (instant or daily)
+ */
+export async function POST(request) {
+  try {
+    await connectToDatabase();
+
+    const user = await getCurrentUser(request);
+    if (!user) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    const body = await request.json();
+    const { name, shape, center, radius, area, categories = [], frequency = 'instant' } = body;
+
+    const optionsError = validateWatchOptions({ name, categories, frequency });
+    if (optionsError) {
+      return NextResponse.json({ error: optionsError }, { status: 400 });
+    }
+
+    const watchData = {
+      user: user._id,
+      name: name.trim(),
+      shape,
+      categories,
+      frequency
+    };
+
+    if (shape === 'circle') {
+      if (!center || typeof center.lat !== 'number' || typeof center.lng !== 'number' ||
+          center.lat < -90 || center.lat > 90 || center.lng < -180 || center.lng > 180) {
+        return NextResponse.json(
+          { error: 'Invalid center. Expected numeric lat (-90 to 90) and lng (-180 to 180)' },
+          { status: 400 }
+        );
+      }
+      if (typeof radius !== 'number' || radius < WATCH_RADIUS_LIMITS.min || radius > WATCH_RADIUS_LIMITS.max) {
+        return NextResponse.json(
+          { error: `radius must be between ${WATCH_RADIUS_LIMITS.min} and ${WATCH_RADIUS_LIMITS.max} metres` },
+          { status: 400 }
+        );
+      }
+      watchData.center = { lat: center.lat, lng: center.lng };
+      watchData.radius = Math.round(radius);
+      watchData.area = circleToPolygon(center, radius);
+    } else if (shape === 'polygon') {
+      const geometryError = area?.type === 'Polygon'
+        ? validatePolygonGeometry(area)
+        : 'area must be a GeoJSON Polygon';
+      if (geometryError) {
+        return NextResponse.json({ error: geometryError }, { status: 400 });
+      }
+      if (area.coordinates.flat().length > MAX_POLYGON_VERTICES) {
+        return NextResponse.json(
+          { error: `area can have at most ${MAX_POLYGON_VERTICES} vertices` },
+          { status: 400 }
+        );
+      }
+      watchData.area = { type: 'Polygon', coordinates: area.coordinates };
+    } else {
+      return NextResponse.json({ error: 'shape must be circle or polygon' }, { status: 400 });
+    }
+
+    if (await countWatchesForUser(user._id) >= MAX_WATCHES_PER_USER) {
+      return NextResponse.json(
+        { error: `You can have at most ${MAX_WATCHES_PER_USER} watch areas` },
+        { status: 409 }
+      );
+    }
+
+    let watch;
+    try {
+      watch = await createWatch(watchData);
+    } catch (error) {
+      // MongoDB rejects self-intersecting or otherwise invalid polygons
+      if (error.code === 16755) {
+        return NextResponse.json({ error: 'area is not a valid polygon (check for crossing edges)' }, { status: 400 });
+      }
+      throw error;
+    }
+
+    return NextResponse.json({ success: true, watch: formatWatch(watch) }, { status: 201 });
+  } catch (error) {
+    console.error('Error creating watch:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
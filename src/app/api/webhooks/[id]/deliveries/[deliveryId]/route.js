@@ -0,0 +1,39 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase, retryWebhookDelivery } from '@/lib/db';
+import { getCurrentUser } from '@/lib/auth';
+import { attemptWebhookDelivery } from '@/lib/webhookDelivery';
+
+/**
+ * POST /api/webhooks/[id]/deliveries/[deliveryId]
+ * Send a delivery again now, with a fresh set of retries if this attempt
+ * fails (admin only)
+ */
+export async function POST(request, { params }) {
+  try {
+    await connectToDatabase();
+    const { id, deliveryId } = params;
+    if (!/^[a-f\d]{24}$/i.test(id || '') || !/^[a-f\d]{24}$/i.test(deliveryId || '')) {
+      return NextResponse.json({ error: 'Invalid webhook or delivery ID' }, { status: 400 });
+    }
+
+    const user = await getCurrentUser(request);
+    if (!user) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+    if (!user.isAdmin) {
+      return NextResponse.json({ error: 'Admin privileges required' }, { status: 403 });
+    }
+
+    const delivery = await retryWebhookDelivery(deliveryId, id);
+    if (!delivery) {
+      return NextResponse.json({ error: 'Delivery not found' }, { status: 404 });
+    }
+
+    const status = await attemptWebhookDelivery(deliveryId);
+
+    return NextResponse.json({ success: true, status });
+  } catch (error) {
+    console.error('Error retrying webhook delivery:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,59 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase, getWebhookById, getWebhookDeliveries } from '@/lib/db';
+import { getCurrentUser } from '@/lib/auth';
+import { WEBHOOK_DELIVERY_STATUSES, formatDelivery } from '@/lib/webhooks';
+
+/**
+ * GET /api/webhooks/[id]/deliveries?status=&page=&limit=
+ * Delivery log of a webhook, newest first (admin only)
+ */
+export async function GET(request, { params }) {
+  try {
+    await connectToDatabase();
+    const { id } = params;
+    if (!id || !/^[a-f\d]{24}$/i.test(id)) {
+      return NextResponse.json({ error: 'Invalid webhook ID' }, { status: 400 });
+    }
+
+    const user = await getCurrentUser(request);
+    if (!user) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+    if (!user.isAdmin) {
+      return NextResponse.json({ error: 'Admin privileges required' }, { status: 403 });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const page = parseInt(searchParams.get('page')) || 1;
+    const limit = parseInt(searchParams.get('limit')) || 20;
+    const status = searchParams.get('status') || undefined;
+
+    // Validate parameters
+    if (page < 1 || limit < 1 || limit > 100) {
+      return NextResponse.json({ error: 'Invalid pagination parameters' }, { status: 400 });
+    }
+
+    if (status && !WEBHOOK_DELIVERY_STATUSES.includes(status)) {
+      return NextResponse.json(
+        { error: `Invalid status. Must be one of: ${WEBHOOK_DELIVERY_STATUSES.join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    const webhook = await getWebhookById(id);
+    if (!webhook) {
+      return NextResponse.json({ error: 'Webhook not found' }, { status: 404 });
+    }
+
+    const { deliveries, pagination } = await getWebhookDeliveries(id, { page, limit, status });
+
+    return NextResponse.json({
+      success: true,
+      deliveries: deliveries.map(formatDelivery),
+      pagination
+    });
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,86 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase, deleteWebhook, updateWebhook } from '@/lib/db';
+import { getCurrentUser } from '@/lib/auth';
+import { formatWebhook, validateWebhookOptions } from '@/lib/webhooks';
+import { generateWebhookSecret } from '@/lib/webhookDelivery';
+
+/**
+ * PATCH /api/webhooks/[id]
+ * Change a webhook's URL, description, events or active flag, or rotate its
+ * secret with { rotateSecret: true } (admin only). A rotated secret is
+ * returned once in the response.
+ */
+export async function PATCH(request, { params }) {
+  try {
+    await connectToDatabase();
+    const { id } = params;
+    if (!id || !/^[a-f\d]{24}$/i.test(id)) {
+      return NextResponse.json({ error: 'Invalid webhook ID' }, { status: 400 });
+    }
+
+    const user = await getCurrentUser(request);
+    if (!user) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+    if (!user.isAdmin) {
+      return NextResponse.json({ error: 'Admin privileges required' }, { status: 403 });
+    }
+
+    const { url, events, description, active, rotateSecret } = await request.json();
+    const optionsError = validateWebhookOptions({ url, events, description }, true);
+    if (optionsError) {
+      return NextResponse.json({ error: optionsError }, { status: 400 });
+    }
+    if (active !== undefined && typeof active !== 'boolean') {
+      return NextResponse.json({ error: 'active must be true or false' }, { status: 400 });
+    }
+
+    const webhook = await updateWebhook(id, {
+      url,
+      events: events && [...new Set(events)],
+      description: description?.trim(),
+      active,
+      secret: rotateSecret === true ? generateWebhookSecret() : undefined
+    });
+    if (!webhook) {
+      return NextResponse.json({ error: 'Webhook not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({ success: true, webhook: formatWebhook(webhook, rotateSecret === true) });
+  } catch (error) {
+    console.error('Error updating webhook:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+/**
+ * DELETE /api/webhooks/[id]
+ * Delete a webhook and its delivery log (admin only)
+ */
+export async function DELETE(request, { params }) {
+  try {
+    await connectToDatabase();
+    const { id } = params;
+    if (!id || !/^[a-f\d]{24}$/i.test(id)) {
+      return NextResponse.json({ error: 'Invalid webhook ID' }, { status: 400 });
+    }
+
+    const user = await getCurrentUser(request);
+    if (!user) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+    if (!user.isAdmin) {
+      return NextResponse.json({ error: 'Admin privileges required' }, { status: 403 });
+    }
+
+    const deleted = await deleteWebhook(id);
+    if (!deleted) {
+      return NextResponse.json({ error: 'Webhook not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
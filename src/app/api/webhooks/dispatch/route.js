@@ -0,0 +1,29 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase } from '@/lib/db';
+import { authorizeScheduledJob } from '@/lib/auth';
+import { sendDueWebhookDeliveries } from '@/lib/webhookDelivery';
+
+/**
+ * POST /api/webhooks/dispatch
+ * Send webhook deliveries whose retry is due. Retries normally run on timers
+ * inside the server; a scheduler calling this every few minutes with
+ * "Authorization: Bearer <CRON_SECRET>" picks up any lost to a restart.
+ * Admins can also trigger it from a logged-in session.
+ */
+export async function POST(request) {
+  try {
+    await connectToDatabase();
+
+    const denied = await authorizeScheduledJob(request);
+    if (denied) {
+      return NextResponse.json({ error: denied.error }, { status: denied.status });
+    }
+
+    const result = await sendDueWebhookDeliveries();
+
+    return NextResponse.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error dispatching webhooks:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
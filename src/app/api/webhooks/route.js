@@ -0,0 +1,74 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase, createWebhook, getWebhooks } from '@/lib/db';
+import { getCurrentUser } from '@/lib/auth';
+import { formatWebhook, validateWebhookOptions } from '@/lib/webhooks';
+import { generateWebhookSecret } from '@/lib/webhookDelivery';
+
+/**
+ * GET /api/webhooks
+ * List the registered webhooks (admin only)
+ */
+export async function GET(request) {
+  try {
+    await connectToDatabase();
+
+    const user = await getCurrentUser(request);
+    if (!user) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+    if (!user.isAdmin) {
+      return NextResponse.json({ error: 'Admin privileges required' }, { status: 403 });
+    }
+
+    const webhooks = await getWebhooks();
+
+    return NextResponse.json({
+      success: true,
+      webhooks: webhooks.map(webhook => formatWebhook(webhook))
+    });
+  } catch (error) {
+    console.error('Error fetching webhooks:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/webhooks
+ * Register a webhook for report events (admin only). The response contains
+ * the signing secret, which is not shown again.
+ */
+export async function POST(request) {
+  try {
+    await connectToDatabase();
+
+    const user = await getCurrentUser(request);
+    if (!user) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+    if (!user.isAdmin) {
+      return NextResponse.json({ error: 'Admin privileges required' }, { status: 403 });
+    }
+
+    const { url, events, description } = await request.json();
+    const optionsError = validateWebhookOptions({ url, events, description });
+    if (optionsError) {
+      return NextResponse.json({ error: optionsError }, { status: 400 });
+    }
+
+    const webhook = await createWebhook({
+      url,
+      events: [...new Set(events)],
+      description: description?.trim(),
+      secret: generateWebhookSecret(),
+      createdBy: user._id
+    });
+
+    return NextResponse.json({
+      success: true,
+      webhook: formatWebhook({ ...webhook.toObject(), createdBy: user }, true)
+    }, { status: 201 });
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -1,39 +1,61 @@
 'use client';
 
-import { useEffect, useRef, useState } from 'react';
+import { Suspense, useEffect, useRef, useState } from 'react';
+import { usePathname, useRouter, useSearchParams } from 'next/navigation';
 import mapboxgl from 'mapbox-gl';
 import 'mapbox-gl/dist/mapbox-gl.css';
 import Link from 'next/link';
+import ReportFilterPanel from '@/components/ReportFilterPanel';
+import StatusBadge from '@/components/StatusBadge';
+import useCurrentUser from '@/lib/useCurrentUser';
+import { filtersFromSearchParams, filtersToQueryString } from '@/lib/reportFilters';
+import { RESOLVED_STATUSES, STATUS_COLORS } from '@/lib/reportStatus';
 
 mapboxgl.accessToken = process.env.NEXT_PUBLIC_MAPBOX_TOKEN;
 
-export default function ExplorePage() {
+// Below this zoom the map shows server-aggregated cells instead of individual reports
+const SERVER_CLUSTER_MAX_ZOOM = 9;
+
+const EMPTY_COLLECTION = { type: 'FeatureCollection', features: [] };
+
+// Events sent by /api/report/events
+const LIVE_EVENT_TYPES = ['report-created', 'report-updated', 'report-resolved', 'report-deleted'];
+
+// Aggregated cells can't be patched locally, so they are refetched at most this often (ms)
+const CELL_REFRESH_DELAY = 5000;
+
+// How long new reports stay highlighted on the map and in the list (ms)
+const HIGHLIGHT_DURATION = 4000;
+
+const byNewest = (a, b) => new Date(b.properties.createdAt) - new Date(a.properties.createdAt);
+
+function ExploreView() {
+  const router = useRouter();
+  const pathname = usePathname();
+  const searchParams = useSearchParams();
+  const { user } = useCurrentUser();
+  const filters = filtersFromSearchParams(searchParams);
+  const filterQuery = filtersToQueryString(filters);
+  const filterQueryRef = useRef(filterQuery);
+  const loadViewportRef = useRef(null);
   const mapContainer = useRef(null);
   const mapRef = useRef(null);
+  const featuresRef = useRef([]);
+  const highlightRef = useRef({ features: [], frame: null });
   const [reports, setReports] = useState([]);
+  const [highlighted, setHighlighted] = useState([]);
+  const [live, setLive] = useState(false);
+  const [truncated, setTruncated] = useState(false);
+  const [cellTotal, setCellTotal] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
-
-  // Fetch reports
-  useEffect(() => {
-    async function fetchReports() {
-      setLoading(true);
-      try {
-        const res = await fetch('/api/report?limit=100');
-        const data = await res.json();
-        setReports(data.reports || []);
-      } catch (err) {
-        setError('Failed to load reports');
-      } finally {
-        setLoading(false);
-      }
-    }
-    fetchReports();
-  }, []);
+  const [wards, setWards] = useState([]);
+  const [showWards, setShowWards] = useState(false);
+  const wardBoundariesLoaded = useRef(false);
 
   // Initialize Mapbox map and clustering
   useEffect(() => {
-    if (!mapContainer.current || !reports.length) return;
+    if (!mapContainer.current) return;
     if (mapRef.current) return; // Only initialize once
 
     const map = new mapboxgl.Map({
@@ -43,35 +65,169 @@ export default function ExplorePage() {
       zoom: 4
     });
     mapRef.current = map;
+    let controller = null;
 
     // Add navigation controls
     map.addControl(new mapboxgl.NavigationControl());
 
-    map.on('load', () => {
-      // Prepare GeoJSON features
-      const features = reports.map(report => ({
-        type: 'Feature',
-        properties: {
-          id: report._id,
-          title: report.title,
-          thumbnail: report.thumbnail,
-          status: report.status
-        },
-        geometry: {
-          type: 'Point',
-          coordinates: [report.location.lng, report.location.lat]
+    // Fetch reports inside the current viewport and refresh the map source
+    async function loadViewport() {
+      controller?.abort();
+      const currentController = new AbortController();
+      controller = currentController;
+
+      const bounds = map.getBounds();
+      const bbox = [
+        Math.max(bounds.getWest(), -180),
+        Math.max(bounds.getSouth(), -90),
+        Math.min(bounds.getEast(), 180),
+        Math.min(bounds.getNorth(), 90)
+      ].map(value => value.toFixed(5)).join(',');
+
+      const zoom = Math.floor(map.getZoom());
+      const useServerClusters = zoom <= SERVER_CLUSTER_MAX_ZOOM;
+      const filterSuffix = filterQueryRef.current ? `&${filterQueryRef.current}` : '';
+      const url = useServerClusters
+        ? `/api/report/clusters?zoom=${zoom}&bbox=${bbox}${filterSuffix}`
+        : `/api/report?bbox=${bbox}${filterSuffix}`;
+
+      setLoading(true);
+      try {
+        const res = await fetch(url, { signal: currentController.signal });
+        const data = await res.json();
+        if (!res.ok) {
+          throw new Error(data.error || 'Failed to load reports');
+        }
+
+        if (useServerClusters) {
+          map.getSource('report-cells')?.setData(data);
+          map.getSource('reports')?.setData(EMPTY_COLLECTION);
+          featuresRef.current = [];
+          setReports([]);
+          setTruncated(false);
+          setCellTotal(data.features.reduce((sum, feature) => sum + feature.properties.count, 0));
+        } else {
+          map.getSource('report-cells')?.setData(EMPTY_COLLECTION);
+          map.getSource('reports')?.setData(data);
+          featuresRef.current = data.features;
+          setReports(data.features.map(feature => feature.properties));
+          setTruncated(data.truncated);
+          setCellTotal(null);
         }
-      }));
+        setError('');
+      } catch (err) {
+        if (err.name === 'AbortError') return;
+        setError('Failed to load reports');
+      } finally {
+        if (!currentController.signal.aborted) setLoading(false);
+      }
+    }
+
+    loadViewportRef.current = loadViewport;
 
+    map.on('load', () => {
       map.addSource('reports', {
         type: 'geojson',
-        data: {
-          type: 'FeatureCollection',
-          features
-        },
+        data: EMPTY_COLLECTION,
         cluster: true,
         clusterMaxZoom: 14,
-        clusterRadius: 50
+        clusterRadius: 50,
+        clusterProperties: {
+          resolved: ['+', ['case', ['in', ['get', 'status'], ['literal', RESOLVED_STATUSES]], 1, 0]],
+          rejected: ['+', ['case', ['==', ['get', 'status'], 'rejected'], 1, 0]]
+        }
+      });
+
+      // Ward boundaries, hidden until the overlay is switched on
+      map.addSource('wards', {
+        type: 'geojson',
+        data: EMPTY_COLLECTION
+      });
+
+      map.addLayer({
+        id: 'ward-fill',
+        type: 'fill',
+        source: 'wards',
+        layout: { visibility: 'none' },
+        paint: {
+          'fill-color': '#6366f1', // indigo-500
+          'fill-opacity': 0.08
+        }
+      });
+
+      map.addLayer({
+        id: 'ward-outline',
+        type: 'line',
+        source: 'wards',
+        layout: { visibility: 'none' },
+        paint: {
+          'line-color': '#4f46e5', // indigo-600
+          'line-width': 1.5
+        }
+      });
+
+      map.addLayer({
+        id: 'ward-label',
+        type: 'symbol',
+        source: 'wards',
+        layout: {
+          visibility: 'none',
+          'text-field': ['get', 'name'],
+          'text-font': ['DIN Offc Pro Medium', 'Arial Unicode MS Bold'],
+          'text-size': 12
+        },
+        paint: {
+          'text-color': '#3730a3', // indigo-800
+          'text-halo-color': '#fff',
+          'text-halo-width': 1
+        }
+      });
+
+      // Grid cells aggregated on the server for low zoom levels
+      map.addSource('report-cells', {
+        type: 'geojson',
+        data: EMPTY_COLLECTION
+      });
+
+      map.addLayer({
+        id: 'report-cells',
+        type: 'circle',
+        source: 'report-cells',
+        paint: {
+          // Greener cells have a higher share of resolved reports
+          'circle-color': [
+            'interpolate',
+            ['linear'],
+            // Rejected reports don't count towards the share still to be fixed
+            ['/', ['get', 'resolved'], ['max', 1, ['-', ['get', 'count'], ['get', 'rejected']]]],
+            0, '#f87171', // red-400
+            0.5, '#fbbf24', // yellow-400
+            1, '#34d399' // green-400
+          ],
+          'circle-opacity': 0.85,
+          'circle-radius': [
+            'interpolate',
+            ['linear'],
+            ['get', 'count'],
+            1, 14,
+            100, 24,
+            1000, 34,
+            10000, 44
+          ],
+          'circle-stroke-width': 1,
+          'circle-stroke-color': '#fff'
+        }
+      });
+
+      map.addLayer({
+        id: 'report-cells-count',
+        type: 'symbol',
+        source: 'report-cells',
+        layout: {
+          'text-field': ['number-format', ['get', 'count'], { locale: 'en-IN' }],
+          'text-font': ['DIN Offc Pro Medium', 'Arial Unicode MS Bold'],
+          'text-size': 13
+        }
       });
 
       // Cluster circles
@@ -81,12 +237,14 @@ export default function ExplorePage() {
         source: 'reports',
         filter: ['has', 'point_count'],
         paint: {
+          // Same resolved-share scale as the server-side cells
           'circle-color': [
-            'step',
-            ['get', 'point_count'],
-            '#34d399', // green-400
-            10, '#fbbf24', // yellow-400
-            30, '#f87171' // red-400
+            'interpolate',
+            ['linear'],
+            ['/', ['get', 'resolved'], ['max', 1, ['-', ['get', 'point_count'], ['get', 'rejected']]]],
+            0, '#f87171', // red-400
+            0.5, '#fbbf24', // yellow-400
+            1, '#34d399' // green-400
           ],
           'circle-radius': [
             'step',
@@ -118,21 +276,54 @@ export default function ExplorePage() {
         source: 'reports',
         filter: ['!', ['has', 'point_count']],
         paint: {
-          'circle-color': '#2563eb', // blue-600
+          'circle-color': [
+            'match',
+            ['get', 'status'],
+            ...Object.entries(STATUS_COLORS).flat(),
+            '#2563eb' // blue-600
+          ],
           'circle-radius': 10,
           'circle-stroke-width': 2,
           'circle-stroke-color': '#fff'
         }
       });
 
+      // Expanding rings around reports that just came in over the live feed
+      map.addSource('report-highlights', {
+        type: 'geojson',
+        data: EMPTY_COLLECTION
+      });
+
+      map.addLayer({
+        id: 'report-highlights',
+        type: 'circle',
+        source: 'report-highlights',
+        paint: {
+          'circle-color': '#16a34a', // green-600
+          'circle-radius': ['interpolate', ['linear'], ['get', 'progress'], 0, 10, 1, 30],
+          'circle-opacity': ['interpolate', ['linear'], ['get', 'progress'], 0, 0.6, 1, 0]
+        }
+      });
+
       // Popup on click
       map.on('click', 'unclustered-point', (e) => {
         const feature = e.features[0];
         const { id, title } = feature.properties;
         const coordinates = feature.geometry.coordinates.slice();
+
+        // Built from nodes so a report title is never parsed as HTML
+        const content = document.createElement('div');
+        const heading = document.createElement('strong');
+        heading.textContent = title;
+        const link = document.createElement('a');
+        link.href = `/report/${encodeURIComponent(id)}`;
+        link.className = 'text-blue-600 underline';
+        link.textContent = 'View Report';
+        content.append(heading, document.createElement('br'), link);
+
         new mapboxgl.Popup()
           .setLngLat(coordinates)
-          .setHTML(`<div><strong>${title}</strong><br/><a href="/report/${id}" class="text-blue-600 underline">View Report</a></div>`)
+          .setDOMContent(content)
           .addTo(map);
       });
 
@@ -153,19 +344,208 @@ export default function ExplorePage() {
           map.easeTo({ center: features[0].geometry.coordinates, zoom });
         });
       });
+
+      // Zoom into an aggregated cell on click
+      map.on('click', 'report-cells', (e) => {
+        const feature = e.features[0];
+        map.easeTo({
+          center: feature.geometry.coordinates,
+          zoom: Math.min(map.getZoom() + 2, SERVER_CLUSTER_MAX_ZOOM + 1)
+        });
+      });
+      map.on('mouseenter', 'report-cells', () => {
+        map.getCanvas().style.cursor = 'pointer';
+      });
+      map.on('mouseleave', 'report-cells', () => {
+        map.getCanvas().style.cursor = '';
+      });
+
+      loadViewport();
+      map.on('moveend', loadViewport);
     });
 
     // Cleanup on unmount
-    return () => map.remove();
-  }, [reports]);
+    return () => {
+      controller?.abort();
+      cancelAnimationFrame(highlightRef.current.frame);
+      highlightRef.current = { features: [], frame: null };
+      map.remove();
+      mapRef.current = null;
+      loadViewportRef.current = null;
+    };
+  }, []);
+
+  // Patch the map and list in place as reports are created, updated or resolved
+  useEffect(() => {
+    const source = new EventSource(`/api/report/events${filterQuery ? `?${filterQuery}` : ''}`);
+    let refreshTimer = null;
+    let dropped = false;
+
+    // Pulse a ring around each new pin for a few seconds
+    const highlightReport = (feature) => {
+      const map = mapRef.current;
+      const highlight = highlightRef.current;
+      const id = feature.properties.id;
+
+      highlight.features = [
+        ...highlight.features.filter(item => item.properties.id !== id),
+        { ...feature, properties: { id, startedAt: performance.now() } }
+      ];
+      setHighlighted(ids => [...ids.filter(item => item !== id), id]);
+      setTimeout(() => setHighlighted(ids => ids.filter(item => item !== id)), HIGHLIGHT_DURATION);
+
+      if (highlight.frame) return;
+      const animate = (now) => {
+        highlight.features = highlight.features.filter(item => now - item.properties.startedAt < HIGHLIGHT_DURATION);
+        map.getSource('report-highlights')?.setData({
+          type: 'FeatureCollection',
+          features: highlight.features.map(item => ({
+            ...item,
+            properties: { progress: ((now - item.properties.startedAt) % 1000) / 1000 }
+          }))
+        });
+        highlight.frame = highlight.features.length ? requestAnimationFrame(animate) : null;
+      };
+      highlight.frame = requestAnimationFrame(animate);
+    };
+
+    const handleEvent = (e) => {
+      const map = mapRef.current;
+      if (!map?.getSource('reports')) return;
+      const { id, matches, feature } = JSON.parse(e.data);
+
+      if (Math.floor(map.getZoom()) <= SERVER_CLUSTER_MAX_ZOOM) {
+        refreshTimer ??= setTimeout(() => {
+          refreshTimer = null;
+          loadViewportRef.current?.();
+        }, CELL_REFRESH_DELAY);
+        return;
+      }
+
+      const others = featuresRef.current.filter(item => item.properties.id !== id);
+      const inView = !!feature && matches && map.getBounds().contains(feature.geometry.coordinates);
+      if (!inView && others.length === featuresRef.current.length) return;
+
+      const features = inView ? [...others, feature].sort(byNewest) : others;
+      featuresRef.current = features;
+      map.getSource('reports').setData({ type: 'FeatureCollection', features });
+      setReports(features.map(item => item.properties));
+      if (inView && e.type === 'report-created') highlightReport(feature);
+    };
+
+    LIVE_EVENT_TYPES.forEach(type => source.addEventListener(type, handleEvent));
+    source.onopen = () => {
+      setLive(true);
+      // Catch up on anything missed while disconnected
+      if (dropped) loadViewportRef.current?.();
+      dropped = false;
+    };
+    source.onerror = () => {
+      setLive(false);
+      dropped = true;
+    };
+
+    return () => {
+      source.close();
+      clearTimeout(refreshTimer);
+      setLive(false);
+    };
+  }, [filterQuery]);
+
+  // Load the ward list for the filter panel
+  useEffect(() => {
+    fetch('/api/wards')
+      .then(res => (res.ok ? res.json() : { wards: [] }))
+      .then(data => setWards(data.wards || []))
+      .catch(() => setWards([]));
+  }, []);
+
+  // Show or hide the ward overlay, fetching the boundaries the first time
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map) return;
+
+    const apply = async () => {
+      if (showWards && !wardBoundariesLoaded.current) {
+        try {
+          const res = await fetch('/api/wards?geometry=true');
+          if (!res.ok) throw new Error('Failed to load wards');
+          map.getSource('wards')?.setData(await res.json());
+          wardBoundariesLoaded.current = true;
+        } catch (err) {
+          setError('Failed to load ward boundaries');
+          return;
+        }
+      }
+      ['ward-fill', 'ward-outline', 'ward-label'].forEach(layer => {
+        if (map.getLayer(layer)) {
+          map.setLayoutProperty(layer, 'visibility', showWards ? 'visible' : 'none');
+        }
+      });
+    };
+
+    if (map.getSource('wards')) apply();
+    else map.once('load', apply);
+  }, [showWards]);
+
+  // Reload the map and list whenever the filters in the URL change
+  useEffect(() => {
+    if (filterQueryRef.current === filterQuery) return;
+    filterQueryRef.current = filterQuery;
+    if (mapRef.current?.getSource('reports')) loadViewportRef.current?.();
+  }, [filterQuery]);
+
+  const handleFiltersChange = (newFilters) => {
+    const query = filtersToQueryString(newFilters);
+    router.replace(query ? `${pathname}?${query}` : pathname, { scroll: false });
+  };
 
   return (
     <div className="max-w-5xl mx-auto px-4 py-8">
       <h1 className="text-3xl font-bold mb-4">Explore Civic Reports</h1>
+      <ReportFilterPanel filters={filters} onChange={handleFiltersChange} user={user} wards={wards} />
+      <div className="flex flex-wrap items-center gap-4 mb-2 text-sm text-gray-700">
+        {wards.length > 0 && (
+          <label className="flex items-center gap-1">
+            <input
+              type="checkbox"
+              checked={showWards}
+              onChange={(e) => setShowWards(e.target.checked)}
+            />
+            Show ward boundaries
+          </label>
+        )}
+        <span className="flex items-center gap-1" title={live ? 'New and updated reports appear automatically' : 'Reconnecting to live updates'}>
+          <span className={`w-2 h-2 rounded-full ${live ? 'bg-green-500 animate-pulse' : 'bg-gray-400'}`} />
+          {live ? 'Live' : 'Offline'}
+        </span>
+        <span className="ml-auto">
+          Download matching reports:{' '}
+          {['csv', 'geojson', 'kml'].map((format, index) => (
+            <span key={format}>
+              {index > 0 && ' · '}
+              <a
+                href={`/api/report/export?format=${format}${filterQuery ? `&${filterQuery}` : ''}`}
+                className="text-green-700 hover:underline uppercase"
+              >
+                {format}
+              </a>
+            </span>
+          ))}
+        </span>
+      </div>
       <div className="w-full h-[400px] rounded-lg overflow-hidden mb-8 border border-gray-200">
         <div ref={mapContainer} className="w-full h-full" />
       </div>
-      {loading ? (
+      {!loading && !error && (
+        <p className="text-sm text-gray-500 mb-4">
+          {cellTotal !== null
+            ? `${cellTotal} report${cellTotal === 1 ? '' : 's'} in view. Zoom in to see individual reports.`
+            : `${reports.length} report${reports.length === 1 ? '' : 's'} in view`}
+          {truncated && ' (showing the most recent; zoom in to see more)'}
+        </p>
+      )}
+      {loading && !reports.length ? (
         <div className="text-center text-gray-500">Loading reports...</div>
       ) : error ? (
         <div className="text-center text-red-500">{error}</div>
@@ -173,9 +553,11 @@ export default function ExplorePage() {
         <div className="max-h-[400px] overflow-y-auto space-y-4">
           {reports.map((report) => (
             <Link
-              key={report._id}
-              href={`/report/${report._id}`}
-              className="block bg-white rounded-lg shadow hover:shadow-md transition p-4 border border-gray-100"
+              key={report.id}
+              href={`/report/${report.id}`}
+              className={`block rounded-lg shadow hover:shadow-md transition p-4 border ${
+                highlighted.includes(report.id) ? 'bg-green-50 border-green-300' : 'bg-white border-gray-100'
+              }`}
             >
               <div className="flex items-center gap-4">
                 <img
@@ -186,11 +568,18 @@ export default function ExplorePage() {
                 <div className="flex-1">
                   <div className="flex items-center gap-2 mb-1">
                     <span className="font-semibold text-lg text-gray-900">{report.title}</span>
-                    <span className={`text-xs px-2 py-1 rounded ${report.status === 'resolved' ? 'bg-green-100 text-green-700' : 'bg-yellow-100 text-yellow-700'}`}>{report.status}</span>
+                    <StatusBadge status={report.status} />
                   </div>
                   <div className="text-gray-600 text-sm truncate">
                     {report.description || 'No description.'}
                   </div>
+                  <div className="text-gray-500 text-xs mt-1">
+                    {report.assignedTo
+                      ? `Assigned to ${report.assignedTo}${report.department ? ` (${report.department})` : ''}`
+                      : report.department
+                        ? `${report.department} · not yet assigned`
+                        : 'Not yet assigned'}
+                  </div>
                 </div>
               </div>
             </Link>
@@ -199,4 +588,12 @@ export default function ExplorePage() {
       )}
     </div>
   );
-} 
\ No newline at end of file
+}
+
+export default function ExplorePage() {
+  return (
+    <Suspense fallback={null}>
+      <ExploreView />
+    </Suspense>
+  );
+}
@@ -0,0 +1,193 @@
+'use client';
+
+import { useCallback, useEffect, useState } from 'react';
+import Link from 'next/link';
+import StatusBadge from '@/components/StatusBadge';
+import useCurrentUser from '@/lib/useCurrentUser';
+
+const PAGE_SIZE = 20;
+
+const TYPE_LABELS = {
+  status_change: 'Status change',
+  review: 'New review',
+  resolved: 'Resolved',
+  area_watch: 'Watch area'
+};
+
+export default function NotificationsPage() {
+  const { user, loading: userLoading } = useCurrentUser();
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
+  const [unreadOnly, setUnreadOnly] = useState(false);
+  const [emailNotifications, setEmailNotifications] = useState(true);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (user) setEmailNotifications(user.emailNotifications !== false);
+  }, [user]);
+
+  const loadNotifications = useCallback(async (pageToLoad) => {
+    setLoading(true);
+    try {
+      const params = new URLSearchParams({ page: pageToLoad, limit: PAGE_SIZE });
+      if (unreadOnly) params.set('unread', 'true');
+
+      const res = await fetch(`/api/notifications?${params}`);
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.error || 'Failed to load notifications');
+      }
+
+      setNotifications(prev => (pageToLoad === 1 ? data.notifications : [...prev, ...data.notifications]));
+      setUnreadCount(data.unreadCount);
+      setPage(pageToLoad);
+      setPages(data.pagination.pages);
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [unreadOnly]);
+
+  useEffect(() => {
+    if (user) loadNotifications(1);
+  }, [user, loadNotifications]);
+
+  const markRead = async (ids) => {
+    const res = await fetch('/api/notifications', {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(ids ? { ids } : { all: true })
+    });
+    if (!res.ok) return;
+
+    const { marked } = await res.json();
+    setUnreadCount(count => Math.max(0, count - marked));
+    setNotifications(items => items.map(item =>
+      !ids || ids.includes(item._id) ? { ...item, read: true } : item
+    ));
+  };
+
+  const toggleEmail = async (enabled) => {
+    setEmailNotifications(enabled);
+    const res = await fetch('/api/notifications/settings', {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ emailNotifications: enabled })
+    });
+    if (!res.ok) {
+      setEmailNotifications(!enabled);
+      setError('Failed to update email notifications');
+    }
+  };
+
+  if (userLoading) {
+    return <div className="max-w-3xl mx-auto px-4 py-8 text-center text-gray-500">Loading...</div>;
+  }
+
+  if (!user) {
+    return (
+      <div className="max-w-3xl mx-auto px-4 py-8 text-center text-gray-600">
+        <Link href="/login?next=/notifications" className="text-blue-600 underline">Login</Link> to see your notifications.
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-3xl mx-auto px-4 py-8">
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+        <h1 className="text-3xl font-bold">Notifications</h1>
+        {unreadCount > 0 && (
+          <button
+            type="button"
+            onClick={() => markRead()}
+            className="text-sm text-green-700 hover:underline"
+          >
+            Mark all {unreadCount} as read
+          </button>
+        )}
+      </div>
+
+      <div className="flex flex-wrap gap-6 mb-4 text-sm text-gray-700">
+        <label className="flex items-center gap-1">
+          <input
+            type="checkbox"
+            checked={unreadOnly}
+            onChange={(e) => setUnreadOnly(e.target.checked)}
+          />
+          Unread only
+        </label>
+        <label className="flex items-center gap-1">
+          <input
+            type="checkbox"
+            checked={emailNotifications}
+            onChange={(e) => toggleEmail(e.target.checked)}
+          />
+          Also email me about reports I follow
+        </label>
+      </div>
+
+      {error && <div className="mb-4 text-red-500">{error}</div>}
+
+      {!loading && !notifications.length ? (
+        <p className="text-center text-gray-500 py-8">
+          No notifications. Follow a report to hear when its status changes, it gets reviewed or it is resolved.
+        </p>
+      ) : (
+        <ul className="space-y-2">
+          {notifications.map(notification => (
+            <li
+              key={notification._id}
+              className={`bg-white rounded-lg shadow p-4 border ${notification.read ? 'border-gray-100' : 'border-green-300'}`}
+            >
+              <div className="flex items-center gap-2 mb-1 text-xs text-gray-500">
+                <span>{TYPE_LABELS[notification.type] || notification.type}</span>
+                <span>·</span>
+                <span>{new Date(notification.createdAt).toLocaleString()}</span>
+                {notification.report && <StatusBadge status={notification.report.status} />}
+              </div>
+              <p className={notification.read ? 'text-gray-600' : 'text-gray-900'}>{notification.message}</p>
+              <div className="flex gap-4 mt-2 text-sm">
+                {notification.report && (
+                  <Link
+                    href={`/report/${notification.report._id}`}
+                    onClick={() => !notification.read && markRead([notification._id])}
+                    className="text-blue-600 underline"
+                  >
+                    View report
+                  </Link>
+                )}
+                {!notification.read && (
+                  <button
+                    type="button"
+                    onClick={() => markRead([notification._id])}
+                    className="text-green-700 hover:underline"
+                  >
+                    Mark as read
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {page < pages && (
+        <div className="text-center mt-4">
+          <button
+            type="button"
+            onClick={() => loadNotifications(page + 1)}
+            disabled={loading}
+            className="px-4 py-2 bg-white border border-gray-300 text-gray-700 rounded-md text-sm hover:bg-gray-50 disabled:opacity-50 transition-colors"
+          >
+            {loading ? 'Loading...' : 'Load more'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
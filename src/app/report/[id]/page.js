@@ -0,0 +1,450 @@
+'use client';
+
+import { useEffect, useRef, useState } from 'react';
+import { useParams, useRouter } from 'next/navigation';
+import mapboxgl from 'mapbox-gl';
+import 'mapbox-gl/dist/mapbox-gl.css';
+import Link from 'next/link';
+import useCurrentUser from '@/lib/useCurrentUser';
+import ReviewSection from '@/components/ReviewSection';
+import StatusBadge from '@/components/StatusBadge';
+import StatusControls from '@/components/StatusControls';
+import AssignmentControls from '@/components/AssignmentControls';
+import FollowButton from '@/components/FollowButton';
+import { ACTIVE_STATUSES, STATUS_LABELS } from '@/lib/reportStatus';
+import { ALLOWED_IMAGE_TYPES } from '@/lib/imageLimits';
+
+mapboxgl.accessToken = process.env.NEXT_PUBLIC_MAPBOX_TOKEN;
+
+export default function ReportDetailPage() {
+  const { id } = useParams();
+  const router = useRouter();
+  const { user } = useCurrentUser();
+  const mapContainer = useRef(null);
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [activeImage, setActiveImage] = useState(0);
+  const [isEditing, setIsEditing] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [editData, setEditData] = useState(null);
+
+  // Fetch report with its review thread
+  useEffect(() => {
+    async function fetchReport() {
+      setLoading(true);
+      try {
+        const res = await fetch(`/api/report/${id}?includeReviews=true`);
+        const data = await res.json();
+        if (!res.ok) {
+          throw new Error(data.error || 'Failed to load report');
+        }
+        setReport(data.report);
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    }
+    fetchReport();
+  }, [id]);
+
+  // Small map centred on the report location
+  useEffect(() => {
+    if (!mapContainer.current || !report?.location) return;
+
+    const center = [report.location.lng, report.location.lat];
+    const map = new mapboxgl.Map({
+      container: mapContainer.current,
+      style: 'mapbox://styles/mapbox/streets-v11',
+      center,
+      zoom: 14
+    });
+    map.addControl(new mapboxgl.NavigationControl());
+    new mapboxgl.Marker({ color: '#16a34a' }).setLngLat(center).addTo(map);
+
+    return () => map.remove();
+  }, [report?.location]);
+
+  const isOwner = user && report && user._id === report.createdBy?._id;
+
+  const startEditing = () => {
+    setEditData({
+      title: report.title,
+      description: report.description,
+      category: report.category,
+      imagesToDelete: [],
+      newImages: []
+    });
+    setIsEditing(true);
+  };
+
+  const handleEditChange = (e) => {
+    const { name, value } = e.target;
+    setEditData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const toggleImageDelete = (publicId) => {
+    setEditData(prev => ({
+      ...prev,
+      imagesToDelete: prev.imagesToDelete.includes(publicId)
+        ? prev.imagesToDelete.filter(imageId => imageId !== publicId)
+        : [...prev.imagesToDelete, publicId]
+    }));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError('');
+
+    try {
+      const body = new FormData();
+      body.append('title', editData.title.trim());
+      body.append('description', editData.description.trim());
+      body.append('category', editData.category);
+      for (const publicId of editData.imagesToDelete) {
+        body.append('imagesToDelete', publicId);
+      }
+      for (const image of editData.newImages) {
+        body.append('images', image);
+      }
+
+      const response = await fetch(`/api/report/${id}`, { method: 'PATCH', body });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to update report');
+      }
+
+      setReport(prev => ({ ...prev, ...data.report }));
+      setActiveImage(0);
+      setIsEditing(false);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleStatusChange = ({ transition, ...updates }) => {
+    setReport(prev => ({
+      ...prev,
+      ...updates,
+      statusHistory: [...(prev.statusHistory || []), transition]
+    }));
+  };
+
+  const handleAssignmentChange = ({ transition, ...updates }) => {
+    if (transition) {
+      handleStatusChange({ transition, ...updates });
+    } else {
+      setReport(prev => ({ ...prev, ...updates }));
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm('Delete this report? This cannot be undone.')) return;
+    setIsSubmitting(true);
+    setError('');
+
+    try {
+      const response = await fetch(`/api/report/${id}`, { method: 'DELETE' });
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || 'Failed to delete report');
+      }
+      router.push('/explore');
+    } catch (err) {
+      setError(err.message);
+      setIsSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="max-w-5xl mx-auto px-4 py-8 text-center text-gray-500">Loading report...</div>;
+  }
+
+  if (!report) {
+    return (
+      <div className="max-w-5xl mx-auto px-4 py-8 text-center">
+        <p className="text-red-500 mb-4">{error || 'Report not found'}</p>
+        <Link href="/explore" className="text-blue-600 underline">Back to explore</Link>
+      </div>
+    );
+  }
+
+  const images = report.images?.length
+    ? report.images
+    : [{ url: report.imageUrl, publicId: 'main' }];
+
+  return (
+    <div className="max-w-5xl mx-auto px-4 py-8">
+      <Link href="/explore" className="text-sm text-blue-600 underline">&larr; Back to explore</Link>
+
+      {error && (
+        <div className="mt-4 p-4 bg-red-50 border border-red-200 rounded-md">
+          <p className="text-red-600">{error}</p>
+        </div>
+      )}
+
+      <div className="mt-4 bg-white rounded-lg shadow-md p-6">
+        <div className="flex items-start justify-between gap-4 mb-4">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">{report.title}</h1>
+            <div className="flex items-center gap-2 mt-2 text-sm">
+              <span className="px-2 py-1 rounded bg-gray-100 text-gray-700 capitalize">{report.category}</span>
+              <StatusBadge status={report.status} className="" />
+              <span className="text-gray-500">
+                Reported by {report.createdBy?.username || 'Unknown'} on {new Date(report.createdAt).toLocaleDateString()}
+              </span>
+            </div>
+            {report.resolved && (
+              <p className="mt-2 text-sm text-green-700">
+                Resolved{report.resolvedAt && ` on ${new Date(report.resolvedAt).toLocaleDateString()}`}
+                {report.resolvedBy && ` by ${report.resolvedBy}`}
+              </p>
+            )}
+            {report.photoMetadata?.capturedAt && (
+              <p className="mt-2 text-sm text-gray-500">
+                Photo taken on {new Date(report.photoMetadata.capturedAt).toLocaleString()}
+              </p>
+            )}
+            {report.photoMetadata?.locationMismatch && (
+              <p className="mt-2 text-sm text-orange-600">
+                Photo location is about {(report.photoMetadata.distanceFromReported / 1000).toFixed(1)} km from the reported location
+              </p>
+            )}
+            {report.status === 'rejected' && report.rejectionReason && (
+              <p className="mt-2 text-sm text-gray-600">Rejected as {report.rejectionReason}</p>
+            )}
+            {report.mergedInto && (
+              <p className="mt-2 text-sm text-gray-600">
+                Merged into <Link href={`/report/${report.mergedInto}`} className="text-blue-600 underline">another report</Link>
+              </p>
+            )}
+            {(report.department || report.assignedTo) && (
+              <p className="mt-2 text-sm text-gray-600">
+                {report.assignedTo ? `Assigned to ${report.assignedTo.username}` : 'Not yet assigned'}
+                {report.department && ` · ${report.department.name}`}
+                {report.dueAt && ACTIVE_STATUSES.includes(report.status) && (
+                  <span className={new Date(report.dueAt) < new Date() ? 'text-red-600' : ''}>
+                    {new Date(report.dueAt) < new Date() ? ' · overdue since ' : ' · due '}
+                    {new Date(report.dueAt).toLocaleString()}
+                  </span>
+                )}
+              </p>
+            )}
+            {report.ward && (
+              <p className="mt-2 text-sm text-gray-600">
+                Ward: <Link href={`/explore?ward=${report.ward._id}`} className="text-blue-600 underline">{report.ward.name}</Link>
+              </p>
+            )}
+            {report.reporterCount > 1 && (
+              <p className="mt-2 text-sm text-gray-600">Reported by {report.reporterCount} people</p>
+            )}
+            {user && (
+              <FollowButton
+                key={`${report._id}-${user._id}`}
+                reportId={report._id}
+                initialFollowing={report.following}
+                initialCount={report.followerCount}
+              />
+            )}
+          </div>
+
+          {isOwner && !isEditing && (
+            <div className="flex gap-2 shrink-0">
+              <button
+                onClick={startEditing}
+                className="px-4 py-2 bg-white border border-gray-300 text-gray-700 rounded-md text-sm hover:bg-gray-50 transition-colors"
+              >
+                Edit
+              </button>
+              <button
+                onClick={handleDelete}
+                disabled={isSubmitting}
+                className="px-4 py-2 bg-red-600 text-white rounded-md text-sm hover:bg-red-700 disabled:opacity-50 transition-colors"
+              >
+                Delete
+              </button>
+            </div>
+          )}
+        </div>
+
+        {isEditing ? (
+          <form onSubmit={handleSave} className="space-y-4">
+            <input
+              type="text"
+              name="title"
+              value={editData.title}
+              onChange={handleEditChange}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent"
+              required
+            />
+            <textarea
+              name="description"
+              value={editData.description}
+              onChange={handleEditChange}
+              rows={4}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent"
+              required
+            />
+            <select
+              name="category"
+              value={editData.category}
+              onChange={handleEditChange}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent"
+            >
+              <option value="garbage">Garbage</option>
+              <option value="waterlogging">Waterlogging</option>
+              <option value="other">Other</option>
+            </select>
+
+            <div>
+              <p className="text-sm font-medium text-gray-700 mb-2">Select images to remove</p>
+              <div className="grid grid-cols-4 gap-2">
+                {(report.images || []).map(image => (
+                  <button
+                    type="button"
+                    key={image.publicId}
+                    onClick={() => toggleImageDelete(image.publicId)}
+                    className={`relative rounded-md overflow-hidden border-2 ${editData.imagesToDelete.includes(image.publicId) ? 'border-red-500 opacity-50' : 'border-transparent'}`}
+                  >
+                    <img src={image.url} alt="" className="w-full h-20 object-cover" />
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <input
+              type="file"
+              multiple
+              accept={ALLOWED_IMAGE_TYPES.join(',')}
+              onChange={(e) => setEditData(prev => ({ ...prev, newImages: Array.from(e.target.files) }))}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md"
+            />
+
+            <div className="flex justify-end gap-2">
+              <button
+                type="button"
+                onClick={() => setIsEditing(false)}
+                className="px-4 py-2 bg-white border border-gray-300 text-gray-700 rounded-md text-sm hover:bg-gray-50 transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={isSubmitting}
+                className="px-4 py-2 bg-green-600 text-white rounded-md text-sm hover:bg-green-700 disabled:opacity-50 transition-colors"
+              >
+                {isSubmitting ? 'Saving...' : 'Save Changes'}
+              </button>
+            </div>
+          </form>
+        ) : (
+          <p className="text-gray-700 whitespace-pre-line">{report.description}</p>
+        )}
+
+        {user && <StatusControls report={report} user={user} onChange={handleStatusChange} />}
+        {user?.isAdmin && ACTIVE_STATUSES.includes(report.status) && (
+          <AssignmentControls report={report} onChange={handleAssignmentChange} />
+        )}
+      </div>
+
+      <div className="mt-6 grid md:grid-cols-2 gap-6">
+        {/* Image gallery */}
+        <div className="bg-white rounded-lg shadow-md p-4">
+          <img
+            src={images[activeImage]?.url}
+            alt={report.title}
+            className="w-full h-72 object-cover rounded-md border"
+          />
+          {images.length > 1 && (
+            <div className="mt-3 grid grid-cols-5 gap-2">
+              {images.map((image, index) => (
+                <button
+                  key={image.publicId}
+                  onClick={() => setActiveImage(index)}
+                  className={`rounded-md overflow-hidden border-2 ${index === activeImage ? 'border-green-600' : 'border-transparent'}`}
+                >
+                  <img src={image.url} alt={`${report.title} ${index + 1}`} className="w-full h-14 object-cover" />
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Location map */}
+        <div className="bg-white rounded-lg shadow-md p-4">
+          <div className="w-full h-72 rounded-md overflow-hidden border border-gray-200">
+            <div ref={mapContainer} className="w-full h-full" />
+          </div>
+        </div>
+      </div>
+
+      {/* Before/after comparison */}
+      {report.resolved && report.resolution?.images?.length > 0 && (
+        <div className="mt-6 bg-white rounded-lg shadow-md p-6">
+          <h2 className="text-xl font-semibold text-gray-900 mb-2">Before &amp; After</h2>
+          {report.resolution.notes && (
+            <p className="text-gray-700 mb-4 whitespace-pre-line">{report.resolution.notes}</p>
+          )}
+          <div className="space-y-4">
+            {Array.from({ length: Math.max(images.length, report.resolution.images.length) }).map((_, index) => (
+              <div key={index} className="grid grid-cols-2 gap-4">
+                <div>
+                  {images[index] && (
+                    <>
+                      <p className="text-xs font-medium text-gray-500 mb-1">Before</p>
+                      <img src={images[index].url} alt={`Before ${index + 1}`} className="w-full h-48 object-cover rounded-md border" />
+                    </>
+                  )}
+                </div>
+                <div>
+                  {report.resolution.images[index] && (
+                    <>
+                      <p className="text-xs font-medium text-gray-500 mb-1">After</p>
+                      <img src={report.resolution.images[index].url} alt={`After ${index + 1}`} className="w-full h-48 object-cover rounded-md border" />
+                    </>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Status history */}
+      {report.statusHistory?.length > 0 && (
+        <div className="mt-6 bg-white rounded-lg shadow-md p-6">
+          <h2 className="text-xl font-semibold text-gray-900 mb-4">Status History</h2>
+          <ol className="space-y-3 border-l-2 border-gray-200 pl-4">
+            {report.statusHistory.map((entry, index) => (
+              <li key={index} className="text-sm">
+                <div className="text-gray-900">
+                  {entry.from ? `${STATUS_LABELS[entry.from]} → ` : ''}{STATUS_LABELS[entry.to]}
+                  <span className="text-gray-500"> by {entry.by} on {new Date(entry.at).toLocaleString()}</span>
+                </div>
+                {entry.note && <p className="text-gray-600">{entry.note}</p>}
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+
+      {/* Review thread */}
+      <div className="mt-6">
+        <ReviewSection
+          reportId={id}
+          initialReviews={report.reviews}
+          initialTallies={{ upvotes: report.upvotes, downvotes: report.downvotes, total: report.reviewCount }}
+          user={user}
+        />
+      </div>
+    </div>
+  );
+}
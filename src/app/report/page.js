@@ -2,16 +2,35 @@
 
 import { useState } from 'react';
 import { useRouter } from 'next/navigation';
+import LocationPicker from '@/components/LocationPicker';
+import { ALLOWED_IMAGE_TYPES, MAX_IMAGES_PER_REQUEST, validateImageFile } from '@/lib/imageLimits';
+
+// fetch() cannot report upload progress, so the form is posted with XHR
+function postFormWithProgress(url, body, onProgress) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open('POST', url);
+    xhr.responseType = 'json';
+    xhr.upload.onprogress = (e) => {
+      if (e.lengthComputable) onProgress(Math.round((e.loaded / e.total) * 100));
+    };
+    xhr.onload = () => resolve({ status: xhr.status, ok: xhr.status >= 200 && xhr.status < 300, data: xhr.response || {} });
+    xhr.onerror = () => reject(new Error('Network error while uploading. Please try again.'));
+    xhr.send(body);
+  });
+}
 
 export default function ReportPage() {
   const router = useRouter();
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [error, setError] = useState('');
+  const [uploadProgress, setUploadProgress] = useState(null);
+  const [duplicates, setDuplicates] = useState([]);
   const [formData, setFormData] = useState({
     title: '',
     description: '',
     category: 'garbage',
-    location: '',
+    location: null,
     images: []
   });
 
@@ -25,29 +44,28 @@ export default function ReportPage() {
 
   const handleImageChange = (e) => {
     const files = Array.from(e.target.files);
+    const invalid = files.map(validateImageFile).find(Boolean);
+    if (invalid) {
+      setError(invalid);
+    } else if (files.length > MAX_IMAGES_PER_REQUEST) {
+      setError(`Please select at most ${MAX_IMAGES_PER_REQUEST} images`);
+    } else {
+      setError('');
+    }
     setFormData(prev => ({
       ...prev,
       images: files
     }));
   };
 
-  const convertFileToBase64 = (file) => {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.readAsDataURL(file);
-      reader.onload = () => resolve(reader.result);
-      reader.onerror = error => reject(error);
-    });
-  };
-
-  const handleSubmit = async (e) => {
-    e.preventDefault();
+  const submitReport = async (ignoreDuplicates) => {
     setIsSubmitting(true);
     setError('');
+    setDuplicates([]);
 
     try {
       // Validate form data
-      if (!formData.title.trim() || !formData.description.trim() || !formData.location.trim()) {
+      if (!formData.title.trim() || !formData.description.trim()) {
         throw new Error('Please fill in all required fields');
       }
 
@@ -55,40 +73,84 @@ export default function ReportPage() {
         throw new Error('Please upload at least one image');
       }
 
-      // Convert images to base64
-      const base64Images = [];
+      if (formData.images.length > MAX_IMAGES_PER_REQUEST) {
+        throw new Error(`Please select at most ${MAX_IMAGES_PER_REQUEST} images`);
+      }
+
+      const invalid = formData.images.map(validateImageFile).find(Boolean);
+      if (invalid) {
+        throw new Error(invalid);
+      }
+
+      // Send the files as multipart/form-data instead of base64 JSON
+      const body = new FormData();
+      body.append('title', formData.title.trim());
+      body.append('description', formData.description.trim());
+      body.append('category', formData.category);
+      // Without a pin the server falls back to the photos' GPS data
+      if (formData.location) {
+        body.append('location', JSON.stringify(formData.location));
+      }
       for (const image of formData.images) {
-        const base64 = await convertFileToBase64(image);
-        base64Images.push(base64);
+        body.append('images', image);
+      }
+      if (ignoreDuplicates) {
+        body.append('ignoreDuplicates', 'true');
       }
 
-      // Prepare report data
-      const reportData = {
-        title: formData.title.trim(),
-        description: formData.description.trim(),
-        category: formData.category,
-        address: formData.location.trim(),
-        newImages: base64Images
-      };
-
-      // Submit to API
-      const response = await fetch('/api/report', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'user-id': 'placeholder-user-id' // Replace with actual user ID
-        },
-        body: JSON.stringify(reportData)
-      });
+      setUploadProgress(0);
+      const response = await postFormWithProgress('/api/report', body, setUploadProgress);
+
+      if (response.status === 401) {
+        router.push('/login?next=/report');
+        return;
+      }
+
+      // Similar reports nearby: let the user +1 one of them instead
+      if (response.status === 409 && response.data.duplicates) {
+        setDuplicates(response.data.duplicates);
+        return;
+      }
 
       if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error || 'Failed to submit report');
+        throw new Error(response.data.error || 'Failed to submit report');
       }
 
       // Redirect to explore page on success
       router.push('/explore');
       
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+      setUploadProgress(null);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    submitReport(false);
+  };
+
+  const handlePlusOne = async (reportId) => {
+    setIsSubmitting(true);
+    setError('');
+
+    try {
+      const response = await fetch(`/api/report/${reportId}/reporters`, { method: 'POST' });
+      const data = await response.json();
+
+      if (response.status === 401) {
+        router.push('/login?next=/report');
+        return;
+      }
+
+      // Already counted on that report is fine, just show it
+      if (!response.ok && response.status !== 409) {
+        throw new Error(data.error || 'Failed to add you to the report');
+      }
+
+      router.push(`/report/${reportId}`);
     } catch (err) {
       setError(err.message);
     } finally {
@@ -107,6 +169,50 @@ export default function ReportPage() {
           </div>
         )}
 
+        {duplicates.length > 0 && (
+          <div className="mb-6 p-4 bg-yellow-50 border border-yellow-200 rounded-md">
+            <h2 className="font-semibold text-gray-900 mb-1">Has this already been reported?</h2>
+            <p className="text-sm text-gray-600 mb-3">
+              We found similar reports close to this spot. Adding yourself to an existing report helps it get fixed sooner.
+            </p>
+            <ul className="space-y-3">
+              {duplicates.map(report => (
+                <li key={report._id} className="flex items-center gap-3 bg-white rounded-md p-2 border border-gray-200">
+                  {report.thumbnail && (
+                    <img src={report.thumbnail} alt={report.title} className="w-16 h-16 object-cover rounded" />
+                  )}
+                  <div className="flex-1 min-w-0">
+                    <a href={`/report/${report._id}`} target="_blank" rel="noreferrer" className="font-medium text-gray-900 hover:underline">
+                      {report.title}
+                    </a>
+                    <p className="text-xs text-gray-500">
+                      {report.distance} m away · reported by {report.reporterCount} {report.reporterCount === 1 ? 'person' : 'people'} · {new Date(report.createdAt).toLocaleDateString()}
+                    </p>
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => handlePlusOne(report._id)}
+                    disabled={isSubmitting}
+                    className="px-3 py-1 bg-green-600 text-white rounded-md text-sm hover:bg-green-700 disabled:opacity-50 transition-colors"
+                  >
+                    +1 this report
+                  </button>
+                </li>
+              ))}
+            </ul>
+            <div className="mt-3 flex justify-end">
+              <button
+                type="button"
+                onClick={() => submitReport(true)}
+                disabled={isSubmitting}
+                className="text-sm text-gray-700 underline disabled:opacity-50"
+              >
+                It&apos;s a different problem, submit a new report
+              </button>
+            </div>
+          </div>
+        )}
+
         <form onSubmit={handleSubmit} className="space-y-6">
           {/* Title */}
           <div>
@@ -163,21 +269,15 @@ export default function ReportPage() {
 
           {/* Location */}
           <div>
-            <label htmlFor="location" className="block text-sm font-medium text-gray-700 mb-2">
-              Location *
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Location
             </label>
-            <input
-              type="text"
-              id="location"
-              name="location"
+            <LocationPicker
               value={formData.location}
-              onChange={handleInputChange}
-              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent"
-              placeholder="Enter address or locality name"
-              required
+              onChange={(location) => setFormData(prev => ({ ...prev, location }))}
             />
             <p className="mt-1 text-sm text-gray-500">
-              We'll automatically get the exact coordinates for this location
+              If you skip this, we&apos;ll use the GPS position stored in your photo when available
             </p>
           </div>
 
@@ -192,12 +292,12 @@ export default function ReportPage() {
               name="images"
               onChange={handleImageChange}
               multiple
-              accept="image/*"
+              accept={ALLOWED_IMAGE_TYPES.join(',')}
               className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent"
               required
             />
             <p className="mt-1 text-sm text-gray-500">
-              Upload one or more images of the issue (JPEG, PNG, etc.)
+              Upload up to {MAX_IMAGES_PER_REQUEST} images of the issue (JPEG, PNG or WebP)
             </p>
             
             {/* Preview selected images */}
@@ -219,6 +319,22 @@ export default function ReportPage() {
             )}
           </div>
 
+          {/* Upload progress */}
+          {uploadProgress !== null && (
+            <div>
+              <div className="flex justify-between text-sm text-gray-600 mb-1">
+                <span>{uploadProgress < 100 ? 'Uploading images...' : 'Processing...'}</span>
+                <span>{uploadProgress}%</span>
+              </div>
+              <div className="w-full h-2 bg-gray-200 rounded-full overflow-hidden">
+                <div
+                  className="h-full bg-green-600 transition-all"
+                  style={{ width: `${uploadProgress}%` }}
+                />
+              </div>
+            </div>
+          )}
+
           {/* Submit Button */}
           <div className="flex justify-end">
             <button
@@ -0,0 +1,270 @@
+'use client';
+
+import { Suspense, useEffect, useState } from 'react';
+import { usePathname, useRouter, useSearchParams } from 'next/navigation';
+import { REPORT_CATEGORIES } from '@/lib/reportFilters';
+import { REPORT_STATUSES, STATUS_COLORS, STATUS_LABELS } from '@/lib/reportStatus';
+
+const WEEK_OPTIONS = [4, 12, 26, 52];
+
+const CATEGORY_COLORS = {
+  garbage: '#16a34a', // green-600
+  waterlogging: '#0284c7', // sky-600
+  other: '#6b7280' // gray-500
+};
+
+function formatDuration(hours) {
+  if (hours === null) return '—';
+  if (hours < 48) return `${hours} h`;
+  return `${Math.round(hours / 24 * 10) / 10} days`;
+}
+
+function StatCard({ label, value, hint }) {
+  return (
+    <div className="bg-white rounded-lg shadow p-4 border border-gray-100">
+      <div className="text-sm text-gray-500">{label}</div>
+      <div className="text-2xl font-bold text-gray-900">{value}</div>
+      {hint && <div className="text-xs text-gray-400 mt-1">{hint}</div>}
+    </div>
+  );
+}
+
+// Horizontal bars, one per item, scaled to the largest value
+function BarList({ items, capitalize = false, emptyText = 'No reports yet' }) {
+  const max = Math.max(1, ...items.map(item => item.value));
+  if (!items.some(item => item.value > 0)) {
+    return <p className="text-sm text-gray-500">{emptyText}</p>;
+  }
+
+  return (
+    <ul className="space-y-2">
+      {items.map(item => (
+        <li key={item.key} className="text-sm">
+          <div className="flex justify-between mb-1">
+            <span className={capitalize ? 'capitalize' : ''}>{item.label}</span>
+            <span className="text-gray-600">
+              {item.value}
+              {item.hint && <span className="text-gray-400"> · {item.hint}</span>}
+            </span>
+          </div>
+          <div className="h-2 bg-gray-100 rounded">
+            <div
+              className="h-2 rounded"
+              style={{ width: `${(item.value / max) * 100}%`, backgroundColor: item.color || '#16a34a' }}
+            />
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+// Side-by-side bars of reports created and resolved per week
+function WeeklyChart({ weeks }) {
+  const height = 160;
+  const barWidth = 10;
+  const groupWidth = barWidth * 2 + 8;
+  const width = Math.max(weeks.length * groupWidth, 200);
+  const max = Math.max(1, ...weeks.map(week => Math.max(week.created, week.resolved)));
+  const labelEvery = Math.ceil(weeks.length / 8);
+
+  return (
+    <div>
+      <div className="overflow-x-auto">
+        <svg viewBox={`0 0 ${width} ${height + 20}`} className="w-full min-w-[320px]" role="img" aria-label="Reports created and resolved per week">
+          {weeks.map((week, index) => {
+            const x = index * groupWidth;
+            const createdHeight = (week.created / max) * height;
+            const resolvedHeight = (week.resolved / max) * height;
+            const label = new Date(week.weekStart).toLocaleDateString(undefined, { day: 'numeric', month: 'short' });
+            return (
+              <g key={week.weekStart}>
+                <rect x={x} y={height - createdHeight} width={barWidth} height={createdHeight} fill="#f87171">
+                  <title>{`Week of ${label}: ${week.created} reported`}</title>
+                </rect>
+                <rect x={x + barWidth} y={height - resolvedHeight} width={barWidth} height={resolvedHeight} fill="#22c55e">
+                  <title>{`Week of ${label}: ${week.resolved} resolved`}</title>
+                </rect>
+                {index % labelEvery === 0 && (
+                  <text x={x} y={height + 14} fontSize="9" fill="#6b7280">{label}</text>
+                )}
+              </g>
+            );
+          })}
+          <line x1="0" y1={height} x2={width} y2={height} stroke="#e5e7eb" />
+        </svg>
+      </div>
+      <div className="flex gap-4 text-xs text-gray-600 mt-2">
+        <span className="flex items-center gap-1"><span className="w-3 h-3 rounded-sm bg-red-400" /> Reported</span>
+        <span className="flex items-center gap-1"><span className="w-3 h-3 rounded-sm bg-green-500" /> Resolved</span>
+      </div>
+    </div>
+  );
+}
+
+function StatsView() {
+  const router = useRouter();
+  const pathname = usePathname();
+  const searchParams = useSearchParams();
+  const weeks = parseInt(searchParams.get('weeks')) || 12;
+  const ward = searchParams.get('ward') || '';
+  const [stats, setStats] = useState(null);
+  const [wards, setWards] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetch('/api/wards')
+      .then(res => (res.ok ? res.json() : { wards: [] }))
+      .then(data => setWards(data.wards || []))
+      .catch(() => setWards([]));
+  }, []);
+
+  useEffect(() => {
+    const params = new URLSearchParams({ weeks });
+    if (ward) params.set('ward', ward);
+
+    setLoading(true);
+    fetch(`/api/stats?${params}`)
+      .then(async res => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to load statistics');
+        setStats(data.stats);
+        setError('');
+      })
+      .catch(err => setError(err.message))
+      .finally(() => setLoading(false));
+  }, [weeks, ward]);
+
+  const updateQuery = (changes) => {
+    const params = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value) params.set(key, value);
+      else params.delete(key);
+    });
+    const query = params.toString();
+    router.replace(query ? `${pathname}?${query}` : pathname, { scroll: false });
+  };
+
+  const resolvedShare = stats && stats.total - stats.rejected > 0
+    ? Math.round((stats.resolved / (stats.total - stats.rejected)) * 100)
+    : null;
+
+  return (
+    <div className="max-w-5xl mx-auto px-4 py-8">
+      <h1 className="text-3xl font-bold mb-2">Statistics</h1>
+      <p className="text-gray-600 mb-4">How many civic issues are being reported and how quickly they get fixed.</p>
+
+      <div className="flex flex-wrap gap-4 items-center mb-6 text-sm">
+        <label className="flex items-center gap-1">
+          Weekly trend
+          <select
+            value={weeks}
+            onChange={(e) => updateQuery({ weeks: e.target.value === '12' ? '' : e.target.value })}
+            className="px-2 py-1 border border-gray-300 rounded-md"
+          >
+            {WEEK_OPTIONS.map(option => (
+              <option key={option} value={option}>Last {option} weeks</option>
+            ))}
+          </select>
+        </label>
+        {wards.length > 0 && (
+          <select
+            value={ward}
+            onChange={(e) => updateQuery({ ward: e.target.value })}
+            className="px-2 py-1 border border-gray-300 rounded-md"
+          >
+            <option value="">All wards</option>
+            {wards.map(item => (
+              <option key={item._id} value={item._id}>{item.name}</option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {loading && !stats ? (
+        <div className="text-center text-gray-500">Loading statistics...</div>
+      ) : error ? (
+        <div className="text-center text-red-500">{error}</div>
+      ) : (
+        <div className={`space-y-6 ${loading ? 'opacity-60' : ''}`}>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <StatCard label="Total reports" value={stats.total} />
+            <StatCard label="Resolved" value={stats.resolved} hint={resolvedShare !== null ? `${resolvedShare}% of valid reports` : null} />
+            <StatCard
+              label="Median time to resolve"
+              value={formatDuration(stats.medianTimeToResolveHours)}
+              hint={stats.resolvedSampleSize ? `from ${stats.resolvedSampleSize} resolved reports` : null}
+            />
+            <StatCard label="Rejected" value={stats.rejected} hint="duplicates and invalid reports" />
+          </div>
+
+          <div className="bg-white rounded-lg shadow p-4 border border-gray-100">
+            <h2 className="font-semibold mb-3">Reported vs resolved per week</h2>
+            <WeeklyChart weeks={stats.byWeek} />
+          </div>
+
+          <div className="grid md:grid-cols-2 gap-6">
+            <div className="bg-white rounded-lg shadow p-4 border border-gray-100">
+              <h2 className="font-semibold mb-3">By category</h2>
+              <BarList
+                capitalize
+                items={REPORT_CATEGORIES.map(category => ({
+                  key: category,
+                  label: category,
+                  value: stats.byCategory[category] || 0,
+                  color: CATEGORY_COLORS[category]
+                }))}
+              />
+            </div>
+
+            <div className="bg-white rounded-lg shadow p-4 border border-gray-100">
+              <h2 className="font-semibold mb-3">By status</h2>
+              <BarList
+                items={REPORT_STATUSES.map(status => ({
+                  key: status,
+                  label: STATUS_LABELS[status],
+                  value: stats.byStatus[status] || 0,
+                  color: STATUS_COLORS[status]
+                }))}
+              />
+            </div>
+
+            <div className="bg-white rounded-lg shadow p-4 border border-gray-100">
+              <h2 className="font-semibold mb-3">By ward</h2>
+              <BarList
+                items={stats.byWard.map(item => ({
+                  key: item.wardId || 'none',
+                  label: item.name || 'Outside any ward',
+                  value: item.count,
+                  hint: `${item.resolved} resolved`
+                }))}
+              />
+            </div>
+
+            <div className="bg-white rounded-lg shadow p-4 border border-gray-100">
+              <h2 className="font-semibold mb-3">Top reporters</h2>
+              <BarList
+                items={stats.topReporters.map(reporter => ({
+                  key: reporter.userId,
+                  label: reporter.username || 'Deleted user',
+                  value: reporter.count,
+                  hint: `${reporter.resolved} resolved`,
+                  color: '#0d9488' // teal-600
+                }))}
+              />
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function StatsPage() {
+  return (
+    <Suspense fallback={null}>
+      <StatsView />
+    </Suspense>
+  );
+}
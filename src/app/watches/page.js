@@ -0,0 +1,302 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import WatchAreaPicker from '@/components/WatchAreaPicker';
+import useCurrentUser from '@/lib/useCurrentUser';
+import { REPORT_CATEGORIES } from '@/lib/reportFilters';
+import { WATCH_FREQUENCIES, WATCH_RADIUS_LIMITS } from '@/lib/watches';
+
+const FREQUENCY_LABELS = {
+  instant: 'Email me about every new report',
+  daily: 'Send me a daily email digest'
+};
+
+const EMPTY_DRAFT = { center: null, radius: 500, vertices: [] };
+
+function formatRadius(radius) {
+  return radius >= 1000 ? `${(radius / 1000).toFixed(1)} km` : `${radius} m`;
+}
+
+export default function WatchesPage() {
+  const { user, loading: userLoading } = useCurrentUser();
+  const [watches, setWatches] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [name, setName] = useState('');
+  const [shape, setShape] = useState('circle');
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [categories, setCategories] = useState([]);
+  const [frequency, setFrequency] = useState('instant');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (!user) return;
+
+    async function fetchWatches() {
+      setLoading(true);
+      try {
+        const res = await fetch('/api/watches');
+        const data = await res.json();
+        if (!res.ok) {
+          throw new Error(data.error || 'Failed to load watch areas');
+        }
+        setWatches(data.watches);
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    }
+    fetchWatches();
+  }, [user]);
+
+  const toggleCategory = (category) => {
+    setCategories(prev => (prev.includes(category)
+      ? prev.filter(value => value !== category)
+      : [...prev, category]));
+  };
+
+  const changeShape = (value) => {
+    setShape(value);
+    setDraft(EMPTY_DRAFT);
+  };
+
+  const isDraftComplete = shape === 'circle' ? !!draft.center : draft.vertices.length >= 3;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError('');
+
+    try {
+      const payload = { name: name.trim(), shape, categories, frequency };
+      if (shape === 'circle') {
+        payload.center = draft.center;
+        payload.radius = draft.radius;
+      } else {
+        payload.area = { type: 'Polygon', coordinates: [[...draft.vertices, draft.vertices[0]]] };
+      }
+
+      const res = await fetch('/api/watches', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.error || 'Failed to save watch area');
+      }
+
+      setWatches(prev => [data.watch, ...prev]);
+      setName('');
+      setDraft(EMPTY_DRAFT);
+      setCategories([]);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const updateWatch = async (watchId, changes) => {
+    setError('');
+    try {
+      const res = await fetch(`/api/watches/${watchId}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes)
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.error || 'Failed to update watch area');
+      }
+      setWatches(prev => prev.map(watch => (watch._id === watchId ? data.watch : watch)));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = async (watchId) => {
+    if (!confirm('Stop watching this area?')) return;
+
+    setError('');
+    try {
+      const res = await fetch(`/api/watches/${watchId}`, { method: 'DELETE' });
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.error || 'Failed to delete watch area');
+      }
+      setWatches(prev => prev.filter(watch => watch._id !== watchId));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (userLoading) {
+    return <div className="max-w-4xl mx-auto px-4 py-8 text-center text-gray-500">Loading...</div>;
+  }
+
+  if (!user) {
+    return (
+      <div className="max-w-4xl mx-auto px-4 py-8 text-center text-gray-600">
+        <Link href="/login?next=/watches" className="text-blue-600 underline">Login</Link> to watch an area for new reports.
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto px-4 py-8">
+      <h1 className="text-3xl font-bold mb-2">Watch areas</h1>
+      <p className="text-gray-600 mb-6">
+        Get notified when new issues are reported in your neighbourhood or ward.
+      </p>
+
+      {error && <div className="mb-4 text-red-500">{error}</div>}
+
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow p-4 border border-gray-100 space-y-4 mb-8">
+        <h2 className="font-semibold">New watch area</h2>
+
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          maxLength={100}
+          required
+          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent"
+          placeholder="Name, e.g. Our colony"
+        />
+
+        <div className="flex flex-wrap items-center gap-4 text-sm">
+          <label className="flex items-center gap-1">
+            <input type="radio" checked={shape === 'circle'} onChange={() => changeShape('circle')} />
+            Circle
+          </label>
+          <label className="flex items-center gap-1">
+            <input type="radio" checked={shape === 'polygon'} onChange={() => changeShape('polygon')} />
+            Draw an area
+          </label>
+
+          {shape === 'circle' ? (
+            <label className="flex items-center gap-2">
+              Radius
+              <input
+                type="range"
+                min={WATCH_RADIUS_LIMITS.min}
+                max={5000}
+                step={50}
+                value={draft.radius}
+                onChange={(e) => setDraft(prev => ({ ...prev, radius: Number(e.target.value) }))}
+              />
+              <span className="w-16">{formatRadius(draft.radius)}</span>
+            </label>
+          ) : (
+            <span className="flex items-center gap-3">
+              <button
+                type="button"
+                onClick={() => setDraft(prev => ({ ...prev, vertices: prev.vertices.slice(0, -1) }))}
+                disabled={!draft.vertices.length}
+                className="text-green-700 hover:underline disabled:opacity-50"
+              >
+                Undo point
+              </button>
+              <button
+                type="button"
+                onClick={() => setDraft(EMPTY_DRAFT)}
+                disabled={!draft.vertices.length}
+                className="text-green-700 hover:underline disabled:opacity-50"
+              >
+                Clear
+              </button>
+            </span>
+          )}
+        </div>
+
+        <WatchAreaPicker shape={shape} draft={draft} onChange={setDraft} watches={watches} />
+        <p className="text-sm text-gray-500">
+          {shape === 'circle'
+            ? 'Click the map to place the centre of the circle.'
+            : 'Click the map to add corners of the area; at least three are needed.'}
+        </p>
+
+        <div className="flex flex-wrap items-center gap-4 text-sm">
+          <span className="text-gray-700">Categories:</span>
+          {REPORT_CATEGORIES.map(category => (
+            <label key={category} className="flex items-center gap-1 capitalize">
+              <input
+                type="checkbox"
+                checked={categories.includes(category)}
+                onChange={() => toggleCategory(category)}
+              />
+              {category}
+            </label>
+          ))}
+          <span className="text-gray-400">(none selected means all)</span>
+        </div>
+
+        <select
+          value={frequency}
+          onChange={(e) => setFrequency(e.target.value)}
+          className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+        >
+          {WATCH_FREQUENCIES.map(value => (
+            <option key={value} value={value}>{FREQUENCY_LABELS[value]}</option>
+          ))}
+        </select>
+
+        <div>
+          <button
+            type="submit"
+            disabled={isSubmitting || !isDraftComplete || !name.trim()}
+            className="px-4 py-2 bg-green-600 text-white rounded-md text-sm hover:bg-green-700 disabled:opacity-50 transition-colors"
+          >
+            {isSubmitting ? 'Saving...' : 'Save watch area'}
+          </button>
+        </div>
+      </form>
+
+      <h2 className="text-xl font-semibold mb-3">Your watch areas</h2>
+      {loading ? (
+        <div className="text-center text-gray-500">Loading watch areas...</div>
+      ) : !watches.length ? (
+        <p className="text-gray-500">You are not watching any areas yet.</p>
+      ) : (
+        <ul className="space-y-3">
+          {watches.map(watch => (
+            <li key={watch._id} className="bg-white rounded-lg shadow p-4 border border-gray-100">
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <div>
+                  <div className="font-semibold">{watch.name}</div>
+                  <div className="text-sm text-gray-500">
+                    {watch.shape === 'circle' ? `${formatRadius(watch.radius)} radius` : 'Drawn area'}
+                    {' · '}
+                    <span className="capitalize">{watch.categories.length ? watch.categories.join(', ') : 'all categories'}</span>
+                    {watch.pendingDigest > 0 && ` · ${watch.pendingDigest} in the next digest`}
+                  </div>
+                </div>
+                <div className="flex items-center gap-3 text-sm">
+                  <select
+                    value={watch.frequency}
+                    onChange={(e) => updateWatch(watch._id, { frequency: e.target.value })}
+                    className="px-2 py-1 border border-gray-300 rounded-md"
+                  >
+                    {WATCH_FREQUENCIES.map(value => (
+                      <option key={value} value={value}>{FREQUENCY_LABELS[value]}</option>
+                    ))}
+                  </select>
+                  <button
+                    type="button"
+                    onClick={() => handleDelete(watch._id)}
+                    className="text-red-600 hover:underline"
+                  >
+                    Delete
+                  </button>
+                </div>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,126 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+
+// <input type="datetime-local"> wants local time without a zone
+function toLocalInputValue(date) {
+  if (!date) return '';
+  const value = new Date(date);
+  value.setMinutes(value.getMinutes() - value.getTimezoneOffset());
+  return value.toISOString().slice(0, 16);
+}
+
+export default function AssignmentControls({ report, onChange }) {
+  const [departments, setDepartments] = useState([]);
+  const [workers, setWorkers] = useState([]);
+  const [departmentId, setDepartmentId] = useState(report.department?._id || '');
+  const [assigneeId, setAssigneeId] = useState(report.assignedTo?._id || '');
+  const [dueAt, setDueAt] = useState(toLocalInputValue(report.dueAt));
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    async function loadOptions() {
+      try {
+        const [departmentsRes, workersRes] = await Promise.all([
+          fetch('/api/departments'),
+          fetch('/api/admin/field-workers')
+        ]);
+        const departmentsData = await departmentsRes.json();
+        const workersData = await workersRes.json();
+        setDepartments(departmentsData.departments || []);
+        setWorkers(workersData.workers || []);
+      } catch (err) {
+        setError('Failed to load departments and field workers');
+      }
+    }
+    loadOptions();
+  }, []);
+
+  // Only offer workers of the chosen department (or those without one)
+  const availableWorkers = workers.filter(worker =>
+    !departmentId || !worker.department || worker.department._id === departmentId
+  );
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError('');
+
+    try {
+      const response = await fetch(`/api/report/${report._id}/assignment`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          departmentId: departmentId || undefined,
+          assigneeId: assigneeId || null,
+          dueAt: dueAt ? new Date(dueAt).toISOString() : undefined
+        })
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to update assignment');
+      }
+
+      setDueAt(toLocalInputValue(data.report.dueAt));
+      onChange(data.report);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-6 border-t border-gray-100 pt-4 space-y-3">
+      <h2 className="text-sm font-semibold text-gray-900">Assignment</h2>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <select
+          value={departmentId}
+          onChange={(e) => setDepartmentId(e.target.value)}
+          className="px-2 py-1 border border-gray-300 rounded-md"
+        >
+          <option value="">No department</option>
+          {departments.map(department => (
+            <option key={department._id} value={department._id}>{department.name}</option>
+          ))}
+        </select>
+
+        <select
+          value={assigneeId}
+          onChange={(e) => setAssigneeId(e.target.value)}
+          className="px-2 py-1 border border-gray-300 rounded-md"
+        >
+          <option value="">Unassigned</option>
+          {availableWorkers.map(worker => (
+            <option key={worker._id} value={worker._id}>{worker.username}</option>
+          ))}
+        </select>
+
+        <label className="flex items-center gap-1">
+          Due
+          <input
+            type="datetime-local"
+            value={dueAt}
+            onChange={(e) => setDueAt(e.target.value)}
+            className="px-2 py-1 border border-gray-300 rounded-md"
+          />
+        </label>
+
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="px-4 py-2 bg-green-600 text-white rounded-md text-sm hover:bg-green-700 disabled:opacity-50 transition-colors"
+        >
+          {isSubmitting ? 'Saving...' : 'Save Assignment'}
+        </button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,52 @@
+'use client';
+
+import { useState } from 'react';
+
+/**
+ * Follow / unfollow a report to get notified about its progress
+ */
+export default function FollowButton({ reportId, initialFollowing, initialCount }) {
+  const [following, setFollowing] = useState(initialFollowing);
+  const [count, setCount] = useState(initialCount);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const toggle = async () => {
+    setIsSubmitting(true);
+    setError('');
+    try {
+      const res = await fetch(`/api/report/${reportId}/follow`, { method: following ? 'DELETE' : 'POST' });
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.error || 'Failed to update follow');
+      }
+      setFollowing(data.following);
+      setCount(data.followerCount);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="mt-3 flex items-center gap-3 text-sm">
+      <button
+        type="button"
+        onClick={toggle}
+        disabled={isSubmitting}
+        className={`px-3 py-1 rounded-md border transition-colors disabled:opacity-50 ${
+          following
+            ? 'bg-green-50 border-green-600 text-green-700 hover:bg-green-100'
+            : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+        }`}
+      >
+        {following ? 'Following' : 'Follow'}
+      </button>
+      <span className="text-gray-500">
+        {count} follower{count === 1 ? '' : 's'}
+      </span>
+      {error && <span className="text-red-600">{error}</span>}
+    </div>
+  );
+}
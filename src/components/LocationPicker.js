@@ -0,0 +1,184 @@
+'use client';
+
+import { useEffect, useRef, useState } from 'react';
+import mapboxgl from 'mapbox-gl';
+import 'mapbox-gl/dist/mapbox-gl.css';
+import { searchPlaces, reverseGeocode } from '@/lib/geocode';
+
+mapboxgl.accessToken = process.env.NEXT_PUBLIC_MAPBOX_TOKEN;
+
+const DEFAULT_CENTER = [77.209, 28.6139]; // New Delhi
+
+export default function LocationPicker({ value, onChange }) {
+  const mapContainer = useRef(null);
+  const mapRef = useRef(null);
+  const markerRef = useRef(null);
+  const onChangeRef = useRef(onChange);
+  const selectPointRef = useRef(null);
+  // The map is created once, centred on the value it started with
+  const initialValueRef = useRef(value);
+  const [query, setQuery] = useState('');
+  const [suggestions, setSuggestions] = useState([]);
+  const [address, setAddress] = useState('');
+  const [locating, setLocating] = useState(false);
+  const [error, setError] = useState('');
+
+  onChangeRef.current = onChange;
+
+  // Move the marker, report the new coordinates and look up a readable address
+  const selectPoint = async (lng, lat, label) => {
+    const map = mapRef.current;
+    if (!map) return;
+
+    if (!markerRef.current) {
+      markerRef.current = new mapboxgl.Marker({ color: '#16a34a', draggable: true })
+        .setLngLat([lng, lat])
+        .addTo(map);
+      markerRef.current.on('dragend', () => {
+        const position = markerRef.current.getLngLat();
+        selectPointRef.current(position.lng, position.lat);
+      });
+    } else {
+      markerRef.current.setLngLat([lng, lat]);
+    }
+
+    onChangeRef.current({ lat, lng });
+
+    if (label) {
+      setAddress(label);
+      return;
+    }
+    try {
+      const place = await reverseGeocode(lng, lat);
+      setAddress(place?.place_name || '');
+    } catch (err) {
+      setAddress('');
+    }
+  };
+  selectPointRef.current = selectPoint;
+
+  // Initialize the map once; clicking anywhere drops the pin there
+  useEffect(() => {
+    if (!mapContainer.current || mapRef.current) return;
+
+    const value = initialValueRef.current;
+    const map = new mapboxgl.Map({
+      container: mapContainer.current,
+      style: 'mapbox://styles/mapbox/streets-v11',
+      center: value ? [value.lng, value.lat] : DEFAULT_CENTER,
+      zoom: value ? 15 : 10
+    });
+    mapRef.current = map;
+    map.addControl(new mapboxgl.NavigationControl());
+    map.on('click', (e) => selectPointRef.current(e.lngLat.lng, e.lngLat.lat));
+
+    return () => {
+      map.remove();
+      mapRef.current = null;
+      markerRef.current = null;
+    };
+  }, []);
+
+  // Debounced autocomplete, biased towards the current map view
+  useEffect(() => {
+    if (query.trim().length < 3) {
+      setSuggestions([]);
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const center = mapRef.current?.getCenter();
+        const results = await searchPlaces(query, {
+          limit: 5,
+          proximity: center ? [center.lng, center.lat] : undefined
+        });
+        setSuggestions(results);
+      } catch (err) {
+        setSuggestions([]);
+      }
+    }, 300);
+
+    return () => clearTimeout(timer);
+  }, [query]);
+
+  const handleSuggestion = (place) => {
+    setQuery('');
+    setSuggestions([]);
+    mapRef.current?.flyTo({ center: [place.lng, place.lat], zoom: 16 });
+    selectPoint(place.lng, place.lat, place.placeName);
+  };
+
+  const handleUseMyLocation = () => {
+    if (!navigator.geolocation) {
+      setError('Your browser does not support geolocation');
+      return;
+    }
+
+    setLocating(true);
+    setError('');
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        const { longitude, latitude } = position.coords;
+        mapRef.current?.flyTo({ center: [longitude, latitude], zoom: 17 });
+        selectPoint(longitude, latitude);
+        setLocating(false);
+      },
+      () => {
+        setError('Could not get your location. Please allow location access or pick the spot on the map.');
+        setLocating(false);
+      },
+      { enableHighAccuracy: true, timeout: 10000 }
+    );
+  };
+
+  return (
+    <div>
+      <div className="relative flex gap-2 mb-2">
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent"
+          placeholder="Search for an address or locality"
+        />
+        <button
+          type="button"
+          onClick={handleUseMyLocation}
+          disabled={locating}
+          className="px-3 py-2 bg-white border border-gray-300 text-gray-700 rounded-md text-sm hover:bg-gray-50 disabled:opacity-50 transition-colors"
+        >
+          {locating ? 'Locating...' : 'Use my location'}
+        </button>
+
+        {suggestions.length > 0 && (
+          <ul className="absolute z-10 top-full left-0 right-0 mt-1 bg-white border border-gray-200 rounded-md shadow-lg">
+            {suggestions.map(place => (
+              <li key={place.id}>
+                <button
+                  type="button"
+                  onClick={() => handleSuggestion(place)}
+                  className="w-full text-left px-3 py-2 text-sm hover:bg-green-50"
+                >
+                  {place.placeName}
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {error && <p className="mb-2 text-sm text-red-600">{error}</p>}
+
+      <div className="w-full h-64 rounded-md overflow-hidden border border-gray-300">
+        <div ref={mapContainer} className="w-full h-full" />
+      </div>
+
+      <p className="mt-1 text-sm text-gray-500">
+        {value
+          ? `${address || 'Selected point'} (${value.lat.toFixed(5)}, ${value.lng.toFixed(5)}). Drag the pin to adjust.`
+          : 'Search, use your location, or click on the map to drop a pin on the exact spot.'}
+      </p>
+    </div>
+  );
+}
@@ -1,10 +1,21 @@
 'use client';
 
 import Link from 'next/link';
-import { usePathname } from 'next/navigation';
+import { usePathname, useRouter } from 'next/navigation';
+import NotificationBell from '@/components/NotificationBell';
+import useCurrentUser from '@/lib/useCurrentUser';
 
 export default function Navbar() {
   const pathname = usePathname();
+  const router = useRouter();
+  const { user, setUser } = useCurrentUser(pathname);
+
+  const handleLogout = async () => {
+    await fetch('/api/auth/logout', { method: 'POST' });
+    setUser(null);
+    router.push('/');
+    router.refresh();
+  };
 
   const isActive = (path) => {
     return pathname === path;
@@ -61,10 +72,62 @@ export default function Navbar() {
               Explore Reports
             </Link>
 
-            {/* Login placeholder - can be added later */}
-            <button className="px-4 py-2 bg-white text-green-600 rounded-md text-sm font-medium hover:bg-green-50 transition-colors">
-              Login
-            </button>
+            <Link
+              href="/stats"
+              className={`px-3 py-2 rounded-md text-sm font-medium transition-colors ${
+                isActive('/stats')
+                  ? 'bg-green-700 text-white'
+                  : 'text-green-100 hover:bg-green-700 hover:text-white'
+              }`}
+            >
+              Statistics
+            </Link>
+
+            {user && (
+              <Link
+                href="/watches"
+                className={`px-3 py-2 rounded-md text-sm font-medium transition-colors ${
+                  isActive('/watches')
+                    ? 'bg-green-700 text-white'
+                    : 'text-green-100 hover:bg-green-700 hover:text-white'
+                }`}
+              >
+                Watch Areas
+              </Link>
+            )}
+
+            {user?.isAdmin && (
+              <Link
+                href="/admin"
+                className={`px-3 py-2 rounded-md text-sm font-medium transition-colors ${
+                  isActive('/admin')
+                    ? 'bg-green-700 text-white'
+                    : 'text-green-100 hover:bg-green-700 hover:text-white'
+                }`}
+              >
+                Admin
+              </Link>
+            )}
+
+            {user ? (
+              <div className="flex items-center space-x-4">
+                <NotificationBell initialUnread={user.unreadNotifications || 0} />
+                <span className="text-green-100 text-sm">{user.username}</span>
+                <button
+                  onClick={handleLogout}
+                  className="px-4 py-2 bg-white text-green-600 rounded-md text-sm font-medium hover:bg-green-50 transition-colors"
+                >
+                  Logout
+                </button>
+              </div>
+            ) : (
+              <Link
+                href="/login"
+                className="px-4 py-2 bg-white text-green-600 rounded-md text-sm font-medium hover:bg-green-50 transition-colors"
+              >
+                Login
+              </Link>
+            )}
           </div>
         </div>
       </div>
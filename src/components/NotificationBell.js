@@ -0,0 +1,130 @@
+'use client';
+
+import { useEffect, useRef, useState } from 'react';
+import Link from 'next/link';
+
+/**
+ * Navbar bell with the unread count and a dropdown of recent notifications
+ */
+export default function NotificationBell({ initialUnread = 0 }) {
+  const [open, setOpen] = useState(false);
+  const [unread, setUnread] = useState(initialUnread);
+  const [notifications, setNotifications] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    setUnread(initialUnread);
+  }, [initialUnread]);
+
+  // Close when clicking anywhere else
+  useEffect(() => {
+    if (!open) return;
+    const handleClick = (e) => {
+      if (!containerRef.current?.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  const toggle = async () => {
+    const next = !open;
+    setOpen(next);
+    if (!next) return;
+
+    setLoading(true);
+    try {
+      const res = await fetch('/api/notifications?limit=10');
+      const data = await res.json();
+      if (res.ok) {
+        setNotifications(data.notifications);
+        setUnread(data.unreadCount);
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const markRead = async (ids) => {
+    const res = await fetch('/api/notifications', {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(ids ? { ids } : { all: true })
+    });
+    if (!res.ok) return;
+
+    const { marked } = await res.json();
+    setUnread(count => Math.max(0, count - marked));
+    setNotifications(items => items.map(item =>
+      !ids || ids.includes(item._id) ? { ...item, read: true } : item
+    ));
+  };
+
+  return (
+    <div ref={containerRef} className="relative">
+      <button
+        type="button"
+        onClick={toggle}
+        className="relative p-2 text-green-100 hover:text-white rounded-md hover:bg-green-700 transition-colors"
+        aria-label={`Notifications${unread ? ` (${unread} unread)` : ''}`}
+      >
+        <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 20 20">
+          <path d="M10 2a6 6 0 00-6 6v3.586l-.707.707A1 1 0 004 14h12a1 1 0 00.707-1.707L16 11.586V8a6 6 0 00-6-6zM10 18a3 3 0 01-3-3h6a3 3 0 01-3 3z" />
+        </svg>
+        {unread > 0 && (
+          <span className="absolute -top-1 -right-1 min-w-[1.25rem] h-5 px-1 rounded-full bg-red-500 text-white text-xs flex items-center justify-center">
+            {unread > 99 ? '99+' : unread}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-80 bg-white rounded-md shadow-lg border border-gray-200 z-20">
+          <div className="flex items-center justify-between px-4 py-2 border-b border-gray-100">
+            <span className="font-semibold text-sm text-gray-900">Notifications</span>
+            {unread > 0 && (
+              <button type="button" onClick={() => markRead()} className="text-xs text-green-700 hover:underline">
+                Mark all read
+              </button>
+            )}
+          </div>
+
+          <div className="max-h-96 overflow-y-auto">
+            {loading && !notifications.length ? (
+              <p className="px-4 py-6 text-sm text-center text-gray-500">Loading...</p>
+            ) : !notifications.length ? (
+              <p className="px-4 py-6 text-sm text-center text-gray-500">
+                No notifications yet. Follow a report to hear about its progress.
+              </p>
+            ) : (
+              notifications.map(notification => (
+                <Link
+                  key={notification._id}
+                  href={notification.report ? `/report/${notification.report._id}` : '/notifications'}
+                  onClick={() => {
+                    if (!notification.read) markRead([notification._id]);
+                    setOpen(false);
+                  }}
+                  className={`block px-4 py-3 text-sm border-b border-gray-50 hover:bg-gray-50 ${
+                    notification.read ? 'text-gray-500' : 'text-gray-900 bg-green-50'
+                  }`}
+                >
+                  <p>{notification.message}</p>
+                  <p className="text-xs text-gray-400 mt-1">{new Date(notification.createdAt).toLocaleString()}</p>
+                </Link>
+              ))
+            )}
+          </div>
+
+          <Link
+            href="/notifications"
+            onClick={() => setOpen(false)}
+            className="block px-4 py-2 text-center text-sm text-green-700 hover:bg-gray-50 rounded-b-md"
+          >
+            View all
+          </Link>
+        </div>
+      )}
+    </div>
+  );
+}
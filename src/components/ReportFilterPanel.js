@@ -0,0 +1,128 @@
+'use client';
+
+import { useState } from 'react';
+import { REPORT_CATEGORIES } from '@/lib/reportFilters';
+import { REPORT_STATUSES, STATUS_LABELS } from '@/lib/reportStatus';
+
+export default function ReportFilterPanel({ filters, onChange, user, wards = [] }) {
+  const [search, setSearch] = useState(filters.q);
+
+  const update = (changes) => {
+    onChange({ ...filters, ...changes });
+  };
+
+  const toggleCategory = (category) => {
+    update({
+      category: filters.category.includes(category)
+        ? filters.category.filter(value => value !== category)
+        : [...filters.category, category]
+    });
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    update({ q: search.trim() });
+  };
+
+  const clearFilters = () => {
+    setSearch('');
+    onChange({ q: '', category: [], status: '', from: '', to: '', createdBy: '', ward: '' });
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-4 mb-4 border border-gray-100 space-y-3">
+      <form onSubmit={handleSearch} className="flex gap-2">
+        <input
+          type="search"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent"
+          placeholder="Search title and description..."
+        />
+        <button
+          type="submit"
+          className="px-4 py-2 bg-green-600 text-white rounded-md text-sm hover:bg-green-700 transition-colors"
+        >
+          Search
+        </button>
+      </form>
+
+      <div className="flex flex-wrap items-center gap-4 text-sm">
+        <div className="flex items-center gap-3">
+          {REPORT_CATEGORIES.map(category => (
+            <label key={category} className="flex items-center gap-1 capitalize">
+              <input
+                type="checkbox"
+                checked={filters.category.includes(category)}
+                onChange={() => toggleCategory(category)}
+              />
+              {category}
+            </label>
+          ))}
+        </div>
+
+        <select
+          value={filters.status}
+          onChange={(e) => update({ status: e.target.value })}
+          className="px-2 py-1 border border-gray-300 rounded-md"
+        >
+          <option value="">Any status</option>
+          {REPORT_STATUSES.map(status => (
+            <option key={status} value={status}>{STATUS_LABELS[status]}</option>
+          ))}
+        </select>
+
+        {wards.length > 0 && (
+          <select
+            value={filters.ward}
+            onChange={(e) => update({ ward: e.target.value })}
+            className="px-2 py-1 border border-gray-300 rounded-md"
+          >
+            <option value="">Any ward</option>
+            {wards.map(ward => (
+              <option key={ward._id} value={ward._id}>{ward.name}</option>
+            ))}
+          </select>
+        )}
+
+        <label className="flex items-center gap-1">
+          From
+          <input
+            type="date"
+            value={filters.from}
+            onChange={(e) => update({ from: e.target.value })}
+            className="px-2 py-1 border border-gray-300 rounded-md"
+          />
+        </label>
+        <label className="flex items-center gap-1">
+          To
+          <input
+            type="date"
+            value={filters.to}
+            onChange={(e) => update({ to: e.target.value })}
+            className="px-2 py-1 border border-gray-300 rounded-md"
+          />
+        </label>
+
+        {user && (
+          <label className="flex items-center gap-1">
+            <input
+              type="checkbox"
+              checked={filters.createdBy === user._id}
+              onChange={(e) => update({ createdBy: e.target.checked ? user._id : '' })}
+            />
+            My reports
+          </label>
+        )}
+
+        <button
+          type="button"
+          onClick={clearFilters}
+          className="ml-auto text-green-700 hover:underline"
+        >
+          Clear filters
+        </button>
+      </div>
+    </div>
+  );
+}
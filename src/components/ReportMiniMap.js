@@ -0,0 +1,129 @@
+'use client';
+
+import { useEffect, useRef } from 'react';
+import mapboxgl from 'mapbox-gl';
+import 'mapbox-gl/dist/mapbox-gl.css';
+import { STATUS_COLORS } from '@/lib/reportStatus';
+
+mapboxgl.accessToken = process.env.NEXT_PUBLIC_MAPBOX_TOKEN;
+
+function toFeatureCollection(reports) {
+  return {
+    type: 'FeatureCollection',
+    features: reports
+      .filter(report => report.location)
+      .map(report => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [report.location.lng, report.location.lat] },
+        properties: { id: report._id, title: report.title, status: report.status }
+      }))
+  };
+}
+
+/**
+ * Small map of a list of reports; the selected report is highlighted
+ * and clicking a point selects it
+ */
+export default function ReportMiniMap({ reports, selectedId, onSelect, className = 'h-72' }) {
+  const mapContainer = useRef(null);
+  const mapRef = useRef(null);
+  const onSelectRef = useRef(onSelect);
+  const reportsRef = useRef(reports);
+
+  onSelectRef.current = onSelect;
+  reportsRef.current = reports;
+
+  // Initialize the map once
+  useEffect(() => {
+    if (!mapContainer.current || mapRef.current) return;
+
+    const map = new mapboxgl.Map({
+      container: mapContainer.current,
+      style: 'mapbox://styles/mapbox/streets-v11',
+      center: [77.209, 28.6139], // Default: New Delhi
+      zoom: 9
+    });
+    mapRef.current = map;
+    map.addControl(new mapboxgl.NavigationControl({ showCompass: false }));
+
+    map.on('load', () => {
+      map.addSource('reports', { type: 'geojson', data: toFeatureCollection(reportsRef.current) });
+      map.addLayer({
+        id: 'report-points',
+        type: 'circle',
+        source: 'reports',
+        paint: {
+          'circle-color': [
+            'match',
+            ['get', 'status'],
+            ...Object.entries(STATUS_COLORS).flat(),
+            '#2563eb' // blue-600
+          ],
+          'circle-radius': 6,
+          'circle-stroke-width': 1,
+          'circle-stroke-color': '#fff'
+        }
+      });
+      map.addLayer({
+        id: 'report-selected',
+        type: 'circle',
+        source: 'reports',
+        filter: ['==', ['get', 'id'], ''],
+        paint: {
+          'circle-color': 'rgba(0, 0, 0, 0)',
+          'circle-radius': 11,
+          'circle-stroke-width': 3,
+          'circle-stroke-color': '#111827' // gray-900
+        }
+      });
+
+      map.on('click', 'report-points', (e) => {
+        onSelectRef.current?.(e.features[0].properties.id);
+      });
+      map.on('mouseenter', 'report-points', () => {
+        map.getCanvas().style.cursor = 'pointer';
+      });
+      map.on('mouseleave', 'report-points', () => {
+        map.getCanvas().style.cursor = '';
+      });
+    });
+
+    return () => {
+      map.remove();
+      mapRef.current = null;
+    };
+  }, []);
+
+  // Refresh the points and fit them into view whenever the list changes
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map) return;
+
+    const update = () => {
+      const data = toFeatureCollection(reports);
+      map.getSource('reports')?.setData(data);
+      if (!data.features.length) return;
+
+      const bounds = new mapboxgl.LngLatBounds();
+      data.features.forEach(feature => bounds.extend(feature.geometry.coordinates));
+      map.fitBounds(bounds, { padding: 30, maxZoom: 15, duration: 0 });
+    };
+
+    if (map.isStyleLoaded() && map.getSource('reports')) update();
+    else map.once('load', update);
+  }, [reports]);
+
+  // Highlight and centre the selected report
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map || !map.getLayer('report-selected')) return;
+
+    map.setFilter('report-selected', ['==', ['get', 'id'], selectedId || '']);
+    const report = reports.find(item => item._id === selectedId);
+    if (report?.location) {
+      map.easeTo({ center: [report.location.lng, report.location.lat], zoom: Math.max(map.getZoom(), 14) });
+    }
+  }, [selectedId, reports]);
+
+  return <div ref={mapContainer} className={`w-full rounded-md overflow-hidden border border-gray-200 ${className}`} />;
+}
@@ -0,0 +1,153 @@
+'use client';
+
+import { useState } from 'react';
+import Link from 'next/link';
+
+function countVotes(reviews) {
+  const upvotes = reviews.filter(review => review.upvote).length;
+  return { upvotes, downvotes: reviews.length - upvotes, total: reviews.length };
+}
+
+export default function ReviewSection({ reportId, initialReviews = [], initialTallies, user }) {
+  const [reviews, setReviews] = useState(initialReviews);
+  const [tallies, setTallies] = useState(() => initialTallies || countVotes(initialReviews));
+  const [comment, setComment] = useState('');
+  const [upvote, setUpvote] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const hasReviewed = user && reviews.some(review => review.author?._id === user._id);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError('');
+
+    try {
+      const response = await fetch(`/api/report/${reportId}/reviews`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ comment: comment.trim(), upvote })
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to add review');
+      }
+
+      setReviews(prev => [data.review, ...prev]);
+      setTallies(data.tallies);
+      setComment('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleDelete = async (reviewId) => {
+    setError('');
+    try {
+      const response = await fetch(`/api/report/${reportId}/reviews/${reviewId}`, { method: 'DELETE' });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to delete review');
+      }
+
+      setReviews(prev => prev.filter(review => review._id !== reviewId));
+      setTallies(data.tallies);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-gray-900">Community Reviews</h2>
+        <div className="flex items-center gap-3 text-sm">
+          <span className="text-green-600">▲ {tallies.upvotes} confirmed</span>
+          <span className="text-red-600">▼ {tallies.downvotes} disputed</span>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-md">
+          <p className="text-red-600 text-sm">{error}</p>
+        </div>
+      )}
+
+      {!user ? (
+        <p className="mb-4 text-sm text-gray-500">
+          <Link href={`/login?next=/report/${reportId}`} className="text-blue-600 underline">Login</Link> to confirm or dispute this report.
+        </p>
+      ) : !hasReviewed && (
+        <form onSubmit={handleSubmit} className="mb-6 space-y-3">
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={() => setUpvote(true)}
+              className={`px-3 py-1 rounded-md text-sm border ${upvote ? 'bg-green-600 text-white border-green-600' : 'bg-white text-gray-700 border-gray-300'}`}
+            >
+              ▲ Still there
+            </button>
+            <button
+              type="button"
+              onClick={() => setUpvote(false)}
+              className={`px-3 py-1 rounded-md text-sm border ${!upvote ? 'bg-red-600 text-white border-red-600' : 'bg-white text-gray-700 border-gray-300'}`}
+            >
+              ▼ Not accurate
+            </button>
+          </div>
+          <textarea
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            rows={2}
+            maxLength={500}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent"
+            placeholder="Add a comment..."
+            required
+          />
+          <div className="flex justify-end">
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className="px-4 py-2 bg-green-600 text-white rounded-md text-sm hover:bg-green-700 disabled:opacity-50 transition-colors"
+            >
+              {isSubmitting ? 'Posting...' : 'Post Review'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {reviews.length ? (
+        <ul className="space-y-4">
+          {reviews.map(review => (
+            <li key={review._id} className="border-b border-gray-100 pb-4 last:border-0">
+              <div className="flex items-center gap-2 text-sm mb-1">
+                <span className={review.upvote ? 'text-green-600' : 'text-red-600'}>
+                  {review.upvote ? '▲ Confirmed' : '▼ Disputed'}
+                </span>
+                <span className="font-medium text-gray-900">{review.author?.username || 'Unknown'}</span>
+                <span className="text-gray-500">{new Date(review.createdAt).toLocaleDateString()}</span>
+                {user && review.author?._id === user._id && (
+                  <button
+                    onClick={() => handleDelete(review._id)}
+                    className="ml-auto text-xs text-red-600 hover:underline"
+                  >
+                    Delete
+                  </button>
+                )}
+              </div>
+              <p className="text-gray-700">{review.comment}</p>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-gray-500">No reviews yet.</p>
+      )}
+    </div>
+  );
+}
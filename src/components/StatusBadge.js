@@ -0,0 +1,9 @@
+import { STATUS_BADGE_CLASSES, STATUS_LABELS } from '@/lib/reportStatus';
+
+export default function StatusBadge({ status, className = 'text-xs' }) {
+  return (
+    <span className={`${className} px-2 py-1 rounded ${STATUS_BADGE_CLASSES[status] || STATUS_BADGE_CLASSES.open}`}>
+      {STATUS_LABELS[status] || status}
+    </span>
+  );
+}
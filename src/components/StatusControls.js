@@ -0,0 +1,145 @@
+'use client';
+
+import { useState } from 'react';
+import {
+  REJECTION_REASONS,
+  STATUS_LABELS,
+  getAllowedTransitions,
+  getWorkflowRoles
+} from '@/lib/reportStatus';
+import { ALLOWED_IMAGE_TYPES } from '@/lib/imageLimits';
+
+export default function StatusControls({ report, user, onChange }) {
+  const allowed = getAllowedTransitions(report.status, getWorkflowRoles(user, report));
+  const [status, setStatus] = useState('');
+  const [note, setNote] = useState('');
+  const [rejectionReason, setRejectionReason] = useState(REJECTION_REASONS[0]);
+  const [afterImages, setAfterImages] = useState([]);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  if (!allowed.length) return null;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError('');
+
+    try {
+      let response;
+
+      // Resolving goes through its own endpoint, which requires proof of the fix
+      if (status === 'resolved') {
+        if (!note.trim() || afterImages.length === 0) {
+          throw new Error('Add resolution notes and at least one after photo');
+        }
+
+        const body = new FormData();
+        body.append('notes', note.trim());
+        for (const image of afterImages) {
+          body.append('images', image);
+        }
+
+        response = await fetch(`/api/report/${report._id}/resolve`, { method: 'PATCH', body });
+      } else {
+        response = await fetch(`/api/report/${report._id}/status`, {
+          method: 'PATCH',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({
+            status,
+            note: note.trim() || undefined,
+            rejectionReason: status === 'rejected' ? rejectionReason : undefined
+          })
+        });
+      }
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to update status');
+      }
+
+      onChange(data.report);
+      setStatus('');
+      setNote('');
+      setAfterImages([]);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-4 p-4 bg-gray-50 rounded-md border border-gray-200 space-y-3">
+      <p className="text-sm font-medium text-gray-700">Update status</p>
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      <div className="flex flex-wrap gap-2">
+        <select
+          value={status}
+          onChange={(e) => setStatus(e.target.value)}
+          className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+          required
+        >
+          <option value="">Choose...</option>
+          {allowed.map(next => (
+            <option key={next} value={next}>{STATUS_LABELS[next]}</option>
+          ))}
+        </select>
+        {status === 'rejected' && (
+          <select
+            value={rejectionReason}
+            onChange={(e) => setRejectionReason(e.target.value)}
+            className="px-2 py-1 border border-gray-300 rounded-md text-sm capitalize"
+          >
+            {REJECTION_REASONS.map(reason => (
+              <option key={reason} value={reason}>{reason}</option>
+            ))}
+          </select>
+        )}
+        {status !== 'resolved' && (
+          <input
+            type="text"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            maxLength={500}
+            className="flex-1 min-w-[12rem] px-2 py-1 border border-gray-300 rounded-md text-sm"
+            placeholder="Note (optional)"
+          />
+        )}
+        <button
+          type="submit"
+          disabled={isSubmitting || !status}
+          className="px-4 py-1 bg-green-600 text-white rounded-md text-sm hover:bg-green-700 disabled:opacity-50 transition-colors"
+        >
+          {isSubmitting ? 'Updating...' : 'Update'}
+        </button>
+      </div>
+      {status === 'resolved' && (
+        <div className="space-y-2">
+          <textarea
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            rows={3}
+            maxLength={1000}
+            className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm"
+            placeholder="Describe what was done to fix the problem *"
+            required
+          />
+          <label className="block text-sm text-gray-700">
+            After photos *
+            <input
+              type="file"
+              multiple
+              accept={ALLOWED_IMAGE_TYPES.join(',')}
+              onChange={(e) => setAfterImages(Array.from(e.target.files))}
+              className="mt-1 w-full px-2 py-1 border border-gray-300 rounded-md text-sm bg-white"
+              required
+            />
+          </label>
+        </div>
+      )}
+    </form>
+  );
+}
@@ -0,0 +1,168 @@
+'use client';
+
+import { useEffect, useRef } from 'react';
+import mapboxgl from 'mapbox-gl';
+import 'mapbox-gl/dist/mapbox-gl.css';
+import { circleToPolygon } from '@/lib/geo';
+
+mapboxgl.accessToken = process.env.NEXT_PUBLIC_MAPBOX_TOKEN;
+
+const DEFAULT_CENTER = [77.209, 28.6139]; // New Delhi
+const EMPTY_COLLECTION = { type: 'FeatureCollection', features: [] };
+
+/**
+ * Features for the area being drawn: a circle with its centre, or the polygon
+ * vertices so far (closed once there are three)
+ * @param {string} shape - circle or polygon
+ * @param {Object} draft - { center, radius } or { vertices }
+ * @returns {Object} GeoJSON FeatureCollection for the draft layers
+ */
+function draftToFeatures(shape, draft) {
+  if (shape === 'circle') {
+    if (!draft.center) return EMPTY_COLLECTION;
+    return {
+      type: 'FeatureCollection',
+      features: [
+        { type: 'Feature', geometry: circleToPolygon(draft.center, draft.radius), properties: {} },
+        { type: 'Feature', geometry: { type: 'Point', coordinates: [draft.center.lng, draft.center.lat] }, properties: {} }
+      ]
+    };
+  }
+
+  const vertices = draft.vertices || [];
+  const features = vertices.map(vertex => ({
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: vertex },
+    properties: {}
+  }));
+  if (vertices.length >= 3) {
+    features.unshift({
+      type: 'Feature',
+      geometry: { type: 'Polygon', coordinates: [[...vertices, vertices[0]]] },
+      properties: {}
+    });
+  } else if (vertices.length === 2) {
+    features.unshift({
+      type: 'Feature',
+      geometry: { type: 'LineString', coordinates: vertices },
+      properties: {}
+    });
+  }
+  return { type: 'FeatureCollection', features };
+}
+
+/**
+ * Map for drawing a watch area: a click sets the centre of a circle or adds
+ * a polygon vertex. Saved watches are shown underneath for reference.
+ */
+export default function WatchAreaPicker({ shape, draft, onChange, watches = [] }) {
+  const mapContainer = useRef(null);
+  const mapRef = useRef(null);
+  const stateRef = useRef({ shape, draft, onChange });
+
+  stateRef.current = { shape, draft, onChange };
+
+  // Initialize the map once
+  useEffect(() => {
+    if (!mapContainer.current || mapRef.current) return;
+
+    const map = new mapboxgl.Map({
+      container: mapContainer.current,
+      style: 'mapbox://styles/mapbox/streets-v11',
+      center: DEFAULT_CENTER,
+      zoom: 11
+    });
+    mapRef.current = map;
+    map.addControl(new mapboxgl.NavigationControl());
+
+    map.on('load', () => {
+      map.addSource('saved-watches', { type: 'geojson', data: EMPTY_COLLECTION });
+      map.addLayer({
+        id: 'saved-watches-fill',
+        type: 'fill',
+        source: 'saved-watches',
+        paint: { 'fill-color': '#6b7280', 'fill-opacity': 0.1 }
+      });
+      map.addLayer({
+        id: 'saved-watches-outline',
+        type: 'line',
+        source: 'saved-watches',
+        paint: { 'line-color': '#6b7280', 'line-width': 1, 'line-dasharray': [2, 2] }
+      });
+
+      map.addSource('draft', { type: 'geojson', data: EMPTY_COLLECTION });
+      map.addLayer({
+        id: 'draft-fill',
+        type: 'fill',
+        source: 'draft',
+        filter: ['==', ['geometry-type'], 'Polygon'],
+        paint: { 'fill-color': '#16a34a', 'fill-opacity': 0.2 }
+      });
+      map.addLayer({
+        id: 'draft-outline',
+        type: 'line',
+        source: 'draft',
+        filter: ['in', ['geometry-type'], ['literal', ['Polygon', 'LineString']]],
+        paint: { 'line-color': '#16a34a', 'line-width': 2 }
+      });
+      map.addLayer({
+        id: 'draft-points',
+        type: 'circle',
+        source: 'draft',
+        filter: ['==', ['geometry-type'], 'Point'],
+        paint: {
+          'circle-color': '#16a34a',
+          'circle-radius': 5,
+          'circle-stroke-width': 2,
+          'circle-stroke-color': '#fff'
+        }
+      });
+    });
+
+    map.on('click', (e) => {
+      const { shape: currentShape, draft: currentDraft, onChange: change } = stateRef.current;
+      const { lng, lat } = e.lngLat;
+      if (currentShape === 'circle') {
+        change({ ...currentDraft, center: { lat, lng } });
+      } else {
+        change({ ...currentDraft, vertices: [...(currentDraft.vertices || []), [lng, lat]] });
+      }
+    });
+
+    return () => {
+      map.remove();
+      mapRef.current = null;
+    };
+  }, []);
+
+  // Redraw the area being edited
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map) return;
+
+    const update = () => map.getSource('draft')?.setData(draftToFeatures(shape, draft));
+    if (map.getSource('draft')) update();
+    else map.once('load', update);
+  }, [shape, draft]);
+
+  // Show the saved watches
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map) return;
+
+    const update = () => {
+      map.getSource('saved-watches')?.setData({
+        type: 'FeatureCollection',
+        features: watches.map(watch => ({ type: 'Feature', geometry: watch.area, properties: { name: watch.name } }))
+      });
+    };
+    if (map.getSource('saved-watches')) update();
+    else map.once('load', update);
+  }, [watches]);
+
+  return (
+    <div className="w-full h-80 rounded-md overflow-hidden border border-gray-300">
+      <div ref={mapContainer} className="w-full h-full" />
+    </div>
+  );
+}
@@ -0,0 +1,173 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { findUserById } from '@/lib/db';
+
+const scrypt = promisify(crypto.scrypt);
+
+export const SESSION_COOKIE = 'swachhmap_session';
+const SESSION_MAX_AGE = 60 * 60 * 24 * 7; // 7 days, in seconds
+
+function getSessionSecret() {
+  const secret = process.env.SESSION_SECRET;
+  if (!secret) {
+    throw new Error('Please define the SESSION_SECRET environment variable inside .env.local');
+  }
+  return secret;
+}
+
+function sign(value) {
+  return crypto
+    .createHmac('sha256', getSessionSecret())
+    .update(value)
+    .digest('base64url');
+}
+
+/**
+ * Hash a plain-text password with a random salt
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} Salt and derived key in the form "salt:hash"
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const derivedKey = await scrypt(password, salt, 64);
+  return `${salt}:${derivedKey.toString('hex')}`;
+}
+
+/**
+ * Check a plain-text password against a stored hash
+ * @param {string} password - Plain-text password
+ * @param {string} passwordHash - Hash produced by hashPassword
+ * @returns {Promise<boolean>} True if the password matches
+ */
+export async function verifyPassword(password, passwordHash) {
+  const [salt, key] = (passwordHash || '').split(':');
+  if (!salt || !key) {
+    return false;
+  }
+
+  const storedKey = Buffer.from(key, 'hex');
+  const derivedKey = await scrypt(password, salt, storedKey.length);
+  return crypto.timingSafeEqual(storedKey, derivedKey);
+}
+
+/**
+ * Create a signed session token for a user
+ * @param {string} userId - User ID
+ * @returns {string} Token in the form "payload.signature"
+ */
+export function createSessionToken(userId) {
+  const payload = Buffer.from(JSON.stringify({
+    sub: userId.toString(),
+    exp: Date.now() + SESSION_MAX_AGE * 1000
+  })).toString('base64url');
+
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Verify a session token and return the user ID it was issued for
+ * @param {string} token - Session token
+ * @returns {string|null} User ID or null if the token is invalid or expired
+ */
+export function verifySessionToken(token) {
+  if (!token || typeof token !== 'string') {
+    return null;
+  }
+
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const { sub, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    if (!sub || !exp || exp < Date.now()) {
+      return null;
+    }
+    return sub;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Attach a session cookie for the given user to a response
+ * @param {NextResponse} response - Response to modify
+ * @param {string} userId - User ID
+ * @returns {NextResponse} The same response
+ */
+export function setSessionCookie(response, userId) {
+  response.cookies.set(SESSION_COOKIE, createSessionToken(userId), {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    path: '/',
+    maxAge: SESSION_MAX_AGE
+  });
+  return response;
+}
+
+/**
+ * Remove the session cookie from a response
+ * @param {NextResponse} response - Response to modify
+ * @returns {NextResponse} The same response
+ */
+export function clearSessionCookie(response) {
+  response.cookies.set(SESSION_COOKIE, '', {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    path: '/',
+    maxAge: 0
+  });
+  return response;
+}
+
+/**
+ * Resolve the user making a request from its session cookie.
+ * Callers must connect to the database first.
+ * @param {Request} request - Incoming request
+ * @returns {Promise<Object|null>} User (without password hash) including isAdmin, or null
+ */
+export async function getCurrentUser(request) {
+  const token = request.cookies.get(SESSION_COOKIE)?.value;
+  const userId = verifySessionToken(token);
+  if (!userId) {
+    return null;
+  }
+
+  return findUserById(userId);
+}
+
+/**
+ * Allow a request from the scheduler, which sends
+ * "Authorization: Bearer <CRON_SECRET>", or from a logged-in admin.
+ * Callers must connect to the database first.
+ * @param {Request} request - Incoming request
+ * @returns {Promise<Object|null>} { error, status } if the request is not allowed, or null
+ */
+export async function authorizeScheduledJob(request) {
+  const secret = process.env.CRON_SECRET;
+  const header = request.headers.get('authorization') || '';
+  if (secret) {
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    if (crypto.timingSafeEqual(digest(header), digest(`Bearer ${secret}`))) {
+      return null;
+    }
+  }
+
+  const user = await getCurrentUser(request);
+  if (!user) {
+    return { error: 'Authentication required', status: 401 };
+  }
+  if (!user.isAdmin) {
+    return { error: 'Admin privileges required', status: 403 };
+  }
+  return null;
+}
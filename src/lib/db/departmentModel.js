@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+const departmentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    maxlength: 100
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: /^[a-z0-9-]+$/
+  },
+  // Report categories routed to this department by default
+  categories: [{
+    type: String,
+    enum: ['garbage', 'waterlogging', 'other']
+  }],
+  // Hours from reporting until a report counts as overdue
+  slaHours: {
+    type: Number,
+    required: true,
+    min: 1,
+    default: 72
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+departmentSchema.index({ categories: 1 });
+
+const Department = mongoose.models.Department || mongoose.model('Department', departmentSchema);
+
+export default Department;
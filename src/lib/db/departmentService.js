@@ -0,0 +1,84 @@
+import Department from './departmentModel.js';
+
+// Created when there are no departments yet, so a fresh install routes
+// reports without any setup. Later changes by admins are never undone.
+export const DEFAULT_DEPARTMENTS = [
+  { slug: 'sanitation', name: 'Sanitation', categories: ['garbage'], slaHours: 48 },
+  { slug: 'drainage', name: 'Drainage', categories: ['waterlogging'], slaHours: 72 }
+];
+
+/**
+ * Create a new department
+ * @param {Object} departmentData - Department data object
+ * @param {string} departmentData.name - Display name
+ * @param {string} departmentData.slug - URL-safe identifier
+ * @param {Array<string>} [departmentData.categories] - Categories routed to it
+ * @param {number} [departmentData.slaHours] - SLA in hours
+ * @returns {Promise<Object>} Created department object
+ */
+export async function createDepartment(departmentData) {
+  try {
+    const department = new Department(departmentData);
+    const savedDepartment = await department.save();
+    return savedDepartment;
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new Error('A department with this name or slug already exists');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get all departments, creating the defaults if there are none yet
+ * @returns {Promise<Array>} Departments sorted by name
+ */
+export async function getAllDepartments() {
+  try {
+    await seedDefaultDepartments();
+    return Department.find().sort({ name: 1 }).exec();
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Get a department by ID
+ * @param {string} departmentId - Department ID
+ * @returns {Promise<Object|null>} Department object or null if not found
+ */
+export async function getDepartmentById(departmentId) {
+  try {
+    const department = await Department.findById(departmentId).exec();
+    return department;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Find the department that handles a report category
+ * @param {string} category - Report category
+ * @returns {Promise<Object|null>} Department object or null if no department handles it
+ */
+export async function getDepartmentForCategory(category) {
+  try {
+    await seedDefaultDepartments();
+    const department = await Department.findOne({ categories: category }).exec();
+    return department;
+  } catch (error) {
+    throw error;
+  }
+}
+
+// Insert the default departments if there are no departments at all. The
+// upsert by slug keeps concurrent first requests from creating duplicates.
+async function seedDefaultDepartments() {
+  if (await Department.estimatedDocumentCount() > 0) return;
+
+  await Promise.all(DEFAULT_DEPARTMENTS.map(defaults => Department.findOneAndUpdate(
+    { slug: defaults.slug },
+    { $setOnInsert: defaults },
+    { upsert: true }
+  ).exec()));
+}
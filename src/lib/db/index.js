@@ -1,12 +1,24 @@
 // Models
-export { default as User } from './userModel.js';
+export { default as User, USER_ROLES } from './userModel.js';
 export { default as Report } from './reportModel.js';
 export { default as Review } from './reviewModel.js';
+export { default as Department } from './departmentModel.js';
+export { default as Ward } from './wardModel.js';
+export { default as Notification, NOTIFICATION_TYPES } from './notificationModel.js';
+export { default as Watch } from './watchModel.js';
+export { default as Webhook } from './webhookModel.js';
+export { default as WebhookDelivery } from './webhookDeliveryModel.js';
 
 // Services
 export * from './userService.js';
 export * from './reportService.js';
 export * from './reviewService.js';
+export * from './departmentService.js';
+export * from './wardService.js';
+export * from './statsService.js';
+export * from './notificationService.js';
+export * from './watchService.js';
+export * from './webhookService.js';
 
 // Connection
 export * from './connection.js'; 
\ No newline at end of file
@@ -0,0 +1,101 @@
+import Notification from './notificationModel.js';
+
+/**
+ * Record the same notification for several users
+ * @param {Array<string>} userIds - Recipient user IDs
+ * @param {Object} notificationData - Notification data object
+ * @param {string} notificationData.report - Report ID
+ * @param {string} notificationData.type - One of NOTIFICATION_TYPES
+ * @param {string} notificationData.message - Text shown in the inbox
+ * @param {string} [notificationData.actor] - User ID who caused it
+ * @returns {Promise<Array>} Created notifications
+ */
+export async function createNotifications(userIds, notificationData) {
+  try {
+    if (!userIds.length) {
+      return [];
+    }
+
+    const notifications = await Notification.insertMany(
+      userIds.map(user => ({ ...notificationData, user }))
+    );
+    return notifications;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Get a user's notifications, newest first
+ * @param {string} userId - User ID
+ * @param {Object} [options] - Query options
+ * @param {number} [options.page=1] - Page number
+ * @param {number} [options.limit=20] - Number of notifications per page
+ * @param {boolean} [options.unreadOnly=false] - Only unread notifications
+ * @returns {Promise<Object>} Object containing notifications, unread count and pagination info
+ */
+export async function getNotificationsForUser(userId, options = {}) {
+  try {
+    const { page = 1, limit = 20, unreadOnly = false } = options;
+    const query = { user: userId };
+    if (unreadOnly) query.readAt = null;
+
+    const notifications = await Notification.find(query)
+      .populate('report', 'title status')
+      .populate('actor', 'username')
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .exec();
+
+    const [total, unreadCount] = await Promise.all([
+      Notification.countDocuments(query),
+      Notification.countDocuments({ user: userId, readAt: null })
+    ]);
+
+    return {
+      notifications,
+      unreadCount,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Count a user's unread notifications
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Unread count
+ */
+export async function getUnreadNotificationCount(userId) {
+  try {
+    const count = await Notification.countDocuments({ user: userId, readAt: null });
+    return count;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Mark notifications as read
+ * @param {string} userId - User ID; only their own notifications are changed
+ * @param {Array<string>} [notificationIds] - Notifications to mark; all unread ones if omitted
+ * @returns {Promise<number>} Number of notifications marked
+ */
+export async function markNotificationsRead(userId, notificationIds) {
+  try {
+    const query = { user: userId, readAt: null };
+    if (notificationIds) query._id = { $in: notificationIds };
+
+    const result = await Notification.updateMany(query, { readAt: new Date() });
+    return result.modifiedCount;
+  } catch (error) {
+    throw error;
+  }
+}
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { REPORT_STATUSES, REJECTION_REASONS } from '../reportStatus.js';
 
 const reportSchema = new mongoose.Schema({
   title: {
@@ -20,24 +21,52 @@ const reportSchema = new mongoose.Schema({
     required: true,
     enum: ['garbage', 'waterlogging', 'other']
   },
+  // GeoJSON Point, coordinates are [lng, lat]
   location: {
-    lat: {
-      type: Number,
-      required: true,
-      min: -90,
-      max: 90
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point',
+      required: true
     },
-    lng: {
-      type: Number,
+    coordinates: {
+      type: [Number],
       required: true,
-      min: -180,
-      max: 180
+      validate: {
+        validator: ([lng, lat, ...rest]) =>
+          rest.length === 0 &&
+          lng >= -180 && lng <= 180 &&
+          lat >= -90 && lat <= 90,
+        message: 'Coordinates must be [lng, lat] within valid ranges'
+      }
     }
   },
   imageUrl: {
     type: String,
     required: true
   },
+  // Small version of imageUrl for lists and map popups
+  thumbnailUrl: String,
+  // Read from the uploaded photos' EXIF before location tags are stripped
+  photoMetadata: {
+    capturedAt: {
+      type: Date,
+      default: null
+    },
+    gpsLocation: {
+      lat: Number,
+      lng: Number
+    },
+    // Distance in metres between the photo GPS and the reported location
+    distanceFromReported: {
+      type: Number,
+      default: null
+    },
+    locationMismatch: {
+      type: Boolean,
+      default: false
+    }
+  },
   images: [{
     url: {
       type: String,
@@ -46,12 +75,50 @@ const reportSchema = new mongoose.Schema({
     publicId: {
       type: String,
       required: true
-    }
+    },
+    thumbnailUrl: String
   }],
   createdAt: {
     type: Date,
     default: Date.now
   },
+  status: {
+    type: String,
+    enum: REPORT_STATUSES,
+    default: 'open'
+  },
+  rejectionReason: {
+    type: String,
+    enum: [...REJECTION_REASONS, null],
+    default: null
+  },
+  // Timestamped log of every status transition
+  statusHistory: [{
+    from: {
+      type: String,
+      enum: REPORT_STATUSES
+    },
+    to: {
+      type: String,
+      enum: REPORT_STATUSES,
+      required: true
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Kept in sync with status (true for resolved and closed) for simple filtering
   resolved: {
     type: Boolean,
     default: false
@@ -64,19 +131,126 @@ const reportSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Proof of the fix, kept apart from the reporter's images
+  resolution: {
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: 1000
+    },
+    images: [{
+      url: {
+        type: String,
+        required: true
+      },
+      publicId: {
+        type: String,
+        required: true
+      },
+      thumbnailUrl: String
+    }]
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
+  },
+  // Ward whose boundary contains the location, set on create and location change
+  ward: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ward',
+    default: null
+  },
+  // Municipal side: which department and field worker are responsible, and by when
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department',
+    default: null
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  assignedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  assignedAt: {
+    type: Date,
+    default: null
+  },
+  // SLA deadline; active reports past it are overdue
+  dueAt: {
+    type: Date,
+    default: null
+  },
+  // Other users who reported the same problem ("+1") instead of filing a duplicate
+  supporters: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Users notified about changes; the reporter and "+1" supporters follow automatically
+  followers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // How many reports this one stands for, including merged duplicates
+  reporterCount: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  // Set on a duplicate once it has been folded into the canonical report
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report',
+    default: null
+  },
+  // Denormalised review counts, kept in sync by reviewService
+  upvotes: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  downvotes: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  reviewCount: {
+    type: Number,
+    default: 0,
+    min: 0
   }
 });
 
+// Reviews are stored in their own collection and joined through this virtual
+reportSchema.virtual('reviews', {
+  ref: 'Review',
+  localField: '_id',
+  foreignField: 'report',
+  options: { sort: { createdAt: -1 } }
+});
+
 // Indexes for faster queries
 reportSchema.index({ location: '2dsphere' });
 reportSchema.index({ category: 1 });
 reportSchema.index({ createdAt: -1 });
 reportSchema.index({ resolved: 1 });
+reportSchema.index({ status: 1 });
 reportSchema.index({ createdBy: 1 });
+reportSchema.index({ upvotes: -1 });
+reportSchema.index({ ward: 1 });
+reportSchema.index({ department: 1 });
+reportSchema.index({ assignedTo: 1 });
+reportSchema.index({ followers: 1 });
+reportSchema.index({ dueAt: 1, status: 1 });
+reportSchema.index(
+  { title: 'text', description: 'text' },
+  { name: 'report_text', weights: { title: 3, description: 1 } }
+);
 
 const Report = mongoose.models.Report || mongoose.model('Report', reportSchema);
 
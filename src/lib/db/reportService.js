@@ -1,4 +1,128 @@
+import mongoose from 'mongoose';
 import Report from './reportModel.js';
+import Review from './reviewModel.js';
+import { refreshReportVoteCounts } from './reviewService.js';
+import { getDepartmentForCategory } from './departmentService.js';
+import { findWardForLocation } from './wardService.js';
+import { ACTIVE_STATUSES, RESOLVED_STATUSES } from '../reportStatus.js';
+
+/**
+ * Convert a { lat, lng } location into a GeoJSON Point
+ * @param {Object} location - Location object with lat and lng
+ * @returns {Object} GeoJSON Point
+ */
+export function toGeoPoint(location) {
+  return {
+    type: 'Point',
+    coordinates: [Number(location.lng), Number(location.lat)]
+  };
+}
+
+/**
+ * Convert a stored GeoJSON Point into a { lat, lng } location
+ * @param {Object} point - GeoJSON Point
+ * @returns {Object|null} Location object with lat and lng
+ */
+export function toLatLng(point) {
+  if (!point?.coordinates) {
+    return null;
+  }
+  const [lng, lat] = point.coordinates;
+  return { lat, lng };
+}
+
+/**
+ * Build a query condition matching locations inside a bounding box
+ * @param {Array<number>} bbox - [minLng, minLat, maxLng, maxLat]
+ * @returns {Object} Query condition for the location field
+ */
+export function boundsQuery([minLng, minLat, maxLng, maxLat]) {
+  // MongoDB treats polygons as the smaller of the two areas they enclose,
+  // so viewports spanning half the globe or more fall back to plain ranges
+  if (maxLng - minLng >= 180) {
+    return {
+      'location.coordinates.0': { $gte: minLng, $lte: maxLng },
+      'location.coordinates.1': { $gte: minLat, $lte: maxLat }
+    };
+  }
+
+  return {
+    location: {
+      $geoWithin: {
+        $geometry: {
+          type: 'Polygon',
+          coordinates: [[
+            [minLng, minLat],
+            [maxLng, minLat],
+            [maxLng, maxLat],
+            [minLng, maxLat],
+            [minLng, minLat]
+          ]]
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Build a MongoDB query from report filters
+ * @param {Object} [filters] - Report filters
+ * @param {string|Array<string>} [filters.category] - Category or list of categories
+ * @param {boolean} [filters.resolved] - Filter by resolved status
+ * @param {Array<string>} [filters.status] - Only reports in one of these workflow statuses
+ * @param {number} [filters.minUpvotes] - Minimum number of upvotes
+ * @param {Date} [filters.from] - Only reports created on or after this date
+ * @param {Date} [filters.to] - Only reports created on or before this date
+ * @param {string} [filters.q] - Full-text search over title and description
+ * @param {string} [filters.createdBy] - Only reports created by this user ID
+ * @param {string} [filters.ward] - Only reports inside this ward ID
+ * @param {Array<number>} [filters.bbox] - [minLng, minLat, maxLng, maxLat]
+ * @returns {Object} MongoDB query
+ */
+export function buildReportQuery(filters = {}) {
+  const { category, resolved, status, minUpvotes, from, to, q, createdBy, ward, bbox } = filters;
+
+  const query = bbox ? boundsQuery(bbox) : {};
+  if (Array.isArray(category) && category.length) query.category = { $in: category };
+  else if (category && !Array.isArray(category)) query.category = category;
+  if (resolved !== undefined) query.resolved = resolved;
+  if (status?.length) query.status = { $in: status };
+  if (minUpvotes !== undefined) query.upvotes = { $gte: minUpvotes };
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = from;
+    if (to) query.createdAt.$lte = to;
+  }
+  if (q) query.$text = { $search: q };
+  // Cast IDs explicitly: aggregation pipelines ($geoNear, clusters) don't cast strings
+  if (createdBy) query.createdBy = new mongoose.Types.ObjectId(createdBy);
+  if (ward) query.ward = new mongoose.Types.ObjectId(ward);
+
+  return query;
+}
+
+const REPORT_SORTS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  upvotes: { upvotes: -1, createdAt: -1 }
+};
+
+/**
+ * Work out the default department and SLA deadline for a category
+ * @param {string} category - Report category
+ * @param {Date} reportedAt - When the report was filed
+ * @returns {Promise<Object>} { department, dueAt }, both null if no department handles the category
+ */
+export async function routeToDepartment(category, reportedAt) {
+  const department = await getDepartmentForCategory(category);
+  if (!department) {
+    return { department: null, dueAt: null };
+  }
+  return {
+    department: department._id,
+    dueAt: new Date(new Date(reportedAt).getTime() + department.slaHours * 60 * 60 * 1000)
+  };
+}
 
 /**
  * Create a new report
@@ -9,11 +133,21 @@ import Report from './reportModel.js';
  * @param {Object} reportData.location - Location object with lat and lng
  * @param {string} reportData.imageUrl - Image URL
  * @param {string} reportData.createdBy - User ID who created the report
- * @returns {Promise<Object>} Created report object
+ * @returns {Promise<Object>} Created report object, routed to the category's department and tagged with its ward
  */
 export async function createReport(reportData) {
   try {
-    const report = new Report(reportData);
+    const createdAt = new Date();
+    const routing = await routeToDepartment(reportData.category, createdAt);
+    const ward = await findWardForLocation(reportData.location);
+    const report = new Report({
+      ...routing,
+      ward: ward?._id ?? null,
+      followers: [reportData.createdBy],
+      ...reportData,
+      createdAt,
+      location: toGeoPoint(reportData.location)
+    });
     const savedReport = await report.save();
     return savedReport;
   } catch (error) {
@@ -23,30 +157,30 @@ export async function createReport(reportData) {
 
 /**
  * Get all reports with pagination and sorting
- * @param {Object} options - Query options
+ * @param {Object} options - Query options, plus any filter accepted by buildReportQuery
  * @param {number} [options.page=1] - Page number
  * @param {number} [options.limit=20] - Number of reports per page
- * @param {string} [options.category] - Filter by category
- * @param {boolean} [options.resolved] - Filter by resolved status
+ * @param {string} [options.sort='newest'] - Sort order (newest, oldest, upvotes)
  * @returns {Promise<Object>} Object containing reports and pagination info
  */
 export async function getAllReports(options = {}) {
   try {
-    const { page = 1, limit = 20, category, resolved } = options;
+    const { page = 1, limit = 20, sort = 'newest', ...filters } = options;
     const skip = (page - 1) * limit;
 
     // Build query
-    const query = {};
-    if (category) query.category = category;
-    if (resolved !== undefined) query.resolved = resolved;
+    const query = buildReportQuery(filters);
 
     // Execute query with pagination
     const reports = await Report.find(query)
       .populate('createdBy', 'username')
-      .sort({ createdAt: -1 })
+      .populate('assignedTo', 'username')
+      .populate('department', 'name')
+      .populate('ward', 'name')
+      .sort(REPORT_SORTS[sort] || REPORT_SORTS.newest)
       .skip(skip)
       .limit(limit)
-      .select('title category location imageUrl resolved createdAt _id')
+      .select('title description category location imageUrl thumbnailUrl status rejectionReason resolved resolvedAt upvotes downvotes reviewCount ward department assignedTo dueAt createdAt _id')
       .exec();
 
     // Get total count for pagination
@@ -66,6 +200,172 @@ export async function getAllReports(options = {}) {
   }
 }
 
+// Fields written by exports; resolvedBy is left out because it holds an email address
+function populateExportFields(query) {
+  return query
+    .populate('ward', 'name code')
+    .populate('department', 'name')
+    .select('title description category location imageUrl images status rejectionReason resolvedAt resolution upvotes downvotes reporterCount ward department dueAt createdAt _id');
+}
+
+/**
+ * Open a cursor over every report matching the filters, newest first, for
+ * exports that must not load the whole result set into memory
+ * @param {Object} [filters] - Any filter accepted by buildReportQuery
+ * @returns {Object} Mongoose query cursor yielding plain report objects
+ */
+export function getReportsCursor(filters = {}) {
+  return populateExportFields(Report.find(buildReportQuery(filters)))
+    .sort({ createdAt: -1, _id: -1 })
+    .lean()
+    .cursor({ batchSize: 500 });
+}
+
+/**
+ * Get one report with the fields used by exports and webhook payloads
+ * @param {string} reportId - Report ID
+ * @returns {Promise<Object|null>} Plain report object in the same shape as getReportsCursor yields, or null
+ */
+export async function getExportReport(reportId) {
+  try {
+    return await populateExportFields(Report.findById(reportId)).lean();
+  } catch (error) {
+    throw error;
+  }
+}
+
+// Columns the admin table can sort by
+export const ADMIN_SORT_FIELDS = ['createdAt', 'title', 'category', 'status', 'upvotes', 'reporterCount'];
+
+/**
+ * Get reports for the admin table, with more detail than the public list
+ * @param {Object} options - Query options, plus any filter accepted by buildReportQuery
+ * @param {number} [options.page=1] - Page number
+ * @param {number} [options.limit=50] - Number of reports per page
+ * @param {string} [options.sortField='createdAt'] - One of ADMIN_SORT_FIELDS
+ * @param {string} [options.sortOrder='desc'] - asc or desc
+ * @returns {Promise<Object>} Object containing reports and pagination info
+ */
+export async function getReportsForAdmin(options = {}) {
+  try {
+    const { page = 1, limit = 50, sortField = 'createdAt', sortOrder = 'desc', ...filters } = options;
+    const skip = (page - 1) * limit;
+    const direction = sortOrder === 'asc' ? 1 : -1;
+
+    const query = buildReportQuery(filters);
+
+    // Tie-break on _id so pages stay stable when many values are equal
+    const reports = await Report.find(query)
+      .populate('createdBy', 'username email')
+      .populate('assignedTo', 'username')
+      .populate('department', 'name')
+      .populate('ward', 'name')
+      .sort({ [sortField]: direction, _id: direction })
+      .skip(skip)
+      .limit(limit)
+      .select('title description category location imageUrl thumbnailUrl images status rejectionReason upvotes downvotes reporterCount mergedInto ward department assignedTo dueAt createdAt createdBy _id')
+      .exec();
+
+    const total = await Report.countDocuments(query);
+
+    return {
+      reports,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Record who is responsible for a report. assignedAt only moves when the
+ * field worker changes, so adjusting the department or deadline keeps it.
+ * @param {string} reportId - Report ID
+ * @param {Object} assignment - Fields to set
+ * @param {string|null} [assignment.department] - Department ID
+ * @param {string|null} [assignment.assignedTo] - Field worker's user ID
+ * @param {string} [assignment.assignedBy] - Admin making the assignment
+ * @param {Date|null} [assignment.dueAt] - SLA deadline
+ * @returns {Promise<Object|null>} Updated report or null if not found
+ */
+export async function assignReport(reportId, assignment) {
+  try {
+    const update = { ...assignment };
+    if (assignment.assignedTo !== undefined) {
+      const current = await Report.findById(reportId).select('assignedTo');
+      if (!current) {
+        return null;
+      }
+      if (String(current.assignedTo ?? '') !== String(assignment.assignedTo ?? '')) {
+        update.assignedAt = assignment.assignedTo ? new Date() : null;
+      }
+    }
+
+    const updatedReport = await Report.findByIdAndUpdate(
+      reportId,
+      update,
+      { new: true, runValidators: true }
+    )
+      .populate('department', 'name slug slaHours')
+      .populate('assignedTo', 'username');
+
+    return updatedReport;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Get active reports whose SLA deadline has passed, most overdue first
+ * @param {Object} [options] - Query options
+ * @param {string} [options.department] - Only reports of this department
+ * @param {string} [options.assignedTo] - Only reports assigned to this user
+ * @param {number} [options.page=1] - Page number
+ * @param {number} [options.limit=50] - Number of reports per page
+ * @returns {Promise<Object>} Object containing reports and pagination info
+ */
+export async function getOverdueReports(options = {}) {
+  try {
+    const { department, assignedTo, page = 1, limit = 50 } = options;
+    const skip = (page - 1) * limit;
+
+    const query = {
+      status: { $in: ACTIVE_STATUSES },
+      dueAt: { $lt: new Date() }
+    };
+    if (department) query.department = department;
+    if (assignedTo) query.assignedTo = assignedTo;
+
+    const reports = await Report.find(query)
+      .populate('department', 'name slug')
+      .populate('assignedTo', 'username')
+      .sort({ dueAt: 1 })
+      .skip(skip)
+      .limit(limit)
+      .select('title category location imageUrl thumbnailUrl status department assignedTo assignedAt dueAt createdAt _id')
+      .exec();
+
+    const total = await Report.countDocuments(query);
+
+    return {
+      reports,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  } catch (error) {
+    throw error;
+  }
+}
+
 /**
  * Get report by ID with populated user data
  * @param {string} reportId - Report ID
@@ -75,7 +375,11 @@ export async function getAllReports(options = {}) {
 export async function getReportById(reportId, includeReviews = false) {
   try {
     let query = Report.findById(reportId)
-      .populate('createdBy', 'username email');
+      .populate('createdBy', 'username email')
+      .populate('statusHistory.by', 'username')
+      .populate('department', 'name slug slaHours')
+      .populate('assignedTo', 'username')
+      .populate('ward', 'name code');
 
     if (includeReviews) {
       query = query.populate({
@@ -123,7 +427,8 @@ export async function updateReport(reportId, updateData) {
       updateFields.category = otherUpdates.category;
     }
     if (otherUpdates.location !== undefined) {
-      updateFields.location = otherUpdates.location;
+      updateFields.location = toGeoPoint(otherUpdates.location);
+      updateFields.ward = (await findWardForLocation(otherUpdates.location))?._id ?? null;
     }
 
     // Get current report to handle image updates
@@ -132,6 +437,11 @@ export async function updateReport(reportId, updateData) {
       return null;
     }
 
+    // Until someone is assigned, a new category also moves the report to that category's department
+    if (updateFields.category && updateFields.category !== currentReport.category && !currentReport.assignedTo) {
+      Object.assign(updateFields, await routeToDepartment(updateFields.category, currentReport.createdAt));
+    }
+
     // Handle image deletions
     if (imagesToDelete && imagesToDelete.length > 0) {
       const currentImages = currentReport.images || [];
@@ -145,6 +455,7 @@ export async function updateReport(reportId, updateData) {
         currentImages.find(img => img.publicId === id)?.url === currentReport.imageUrl
       )) {
         updateFields.imageUrl = filteredImages[0]?.url || '';
+        updateFields.thumbnailUrl = filteredImages[0]?.thumbnailUrl;
       }
     }
 
@@ -156,6 +467,7 @@ export async function updateReport(reportId, updateData) {
       // Set main imageUrl if none exists
       if (!updateFields.imageUrl && !currentReport.imageUrl) {
         updateFields.imageUrl = newImages[0]?.url || '';
+        updateFields.thumbnailUrl = newImages[0]?.thumbnailUrl;
       }
     }
 
@@ -196,4 +508,512 @@ export async function deleteReportIfOwner(reportId, userId) {
   } catch (error) {
     throw error;
   }
-} 
\ No newline at end of file
+}
+
+/**
+ * Delete a report regardless of owner (admin use)
+ * @param {string} reportId - Report ID
+ * @returns {Promise<boolean>} True if a report was deleted
+ */
+export async function deleteReportById(reportId) {
+  try {
+    const deleted = await Report.findByIdAndDelete(reportId);
+    return Boolean(deleted);
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Get reports within a radius of a point, nearest first
+ * @param {Object} options - Query options, plus any filter accepted by buildReportQuery
+ * except q and bbox, which cannot be combined with $geoNear
+ * @param {number} options.lat - Latitude of the centre point
+ * @param {number} options.lng - Longitude of the centre point
+ * @param {number} [options.radius=2000] - Search radius in metres
+ * @param {number} [options.page=1] - Page number
+ * @param {number} [options.limit=20] - Number of reports per page
+ * @returns {Promise<Object>} Object containing reports (each with a distance field in metres) and pagination info
+ */
+export async function getReportsNear(options) {
+  try {
+    const { lat, lng, radius = 2000, page = 1, limit = 20, ...filters } = options;
+    if (filters.q || filters.bbox) {
+      throw new Error('q and bbox cannot be combined with a near search');
+    }
+
+    const query = buildReportQuery(filters);
+
+    const [result] = await Report.aggregate([
+      {
+        $geoNear: {
+          near: { type: 'Point', coordinates: [lng, lat] },
+          distanceField: 'distance',
+          maxDistance: radius,
+          spherical: true,
+          query
+        }
+      },
+      {
+        $facet: {
+          reports: [
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            {
+              $project: {
+                title: 1,
+                description: 1,
+                category: 1,
+                location: 1,
+                imageUrl: 1,
+                thumbnailUrl: 1,
+                status: 1,
+                rejectionReason: 1,
+                resolved: 1,
+                resolvedAt: 1,
+                upvotes: 1,
+                downvotes: 1,
+                reviewCount: 1,
+                createdAt: 1,
+                createdBy: 1,
+                ward: 1,
+                department: 1,
+                assignedTo: 1,
+                dueAt: 1,
+                distance: 1
+              }
+            }
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const reports = await Report.populate(result.reports, [
+      { path: 'createdBy', select: 'username' },
+      { path: 'ward', select: 'name' },
+      { path: 'department', select: 'name' },
+      { path: 'assignedTo', select: 'username' }
+    ]);
+    const total = result.total[0]?.count || 0;
+
+    return {
+      reports,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Find active reports of the same category close to a location, which are
+ * likely to describe the same problem as a new submission
+ * @param {Object} options - Query options
+ * @param {Object} options.location - Location object with lat and lng
+ * @param {string} options.category - Category of the new report
+ * @param {number} options.radius - Search radius in metres
+ * @param {Date} options.since - Only consider reports created after this date
+ * @param {number} [options.limit=5] - Maximum number of reports
+ * @returns {Promise<Array>} Reports sorted by distance, each with a distance field in metres
+ */
+export async function findPossibleDuplicates(options) {
+  try {
+    const { location, category, radius, since, limit = 5 } = options;
+
+    const reports = await Report.aggregate([
+      {
+        $geoNear: {
+          near: toGeoPoint(location),
+          distanceField: 'distance',
+          maxDistance: radius,
+          spherical: true,
+          query: {
+            category,
+            status: { $in: ACTIVE_STATUSES },
+            createdAt: { $gte: since }
+          }
+        }
+      },
+      { $limit: limit },
+      {
+        $project: {
+          title: 1,
+          category: 1,
+          location: 1,
+          imageUrl: 1,
+          thumbnailUrl: 1,
+          status: 1,
+          reporterCount: 1,
+          upvotes: 1,
+          createdAt: 1,
+          distance: 1
+        }
+      }
+    ]);
+
+    return reports;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Count a user as another reporter of an existing report ("+1"); they follow it too
+ * @param {string} reportId - Report ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} Updated report, or null if not found or already counted
+ */
+export async function addReporter(reportId, userId) {
+  try {
+    const updatedReport = await Report.findOneAndUpdate(
+      { _id: reportId, createdBy: { $ne: userId }, supporters: { $ne: userId } },
+      { $push: { supporters: userId }, $addToSet: { followers: userId }, $inc: { reporterCount: 1 } },
+      { new: true }
+    );
+
+    return updatedReport;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Follow a report to be notified about its changes
+ * @param {string} reportId - Report ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} Updated report or null if not found
+ */
+export async function followReport(reportId, userId) {
+  try {
+    const updatedReport = await Report.findByIdAndUpdate(
+      reportId,
+      { $addToSet: { followers: userId } },
+      { new: true }
+    ).select('followers');
+
+    return updatedReport;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Stop following a report
+ * @param {string} reportId - Report ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} Updated report or null if not found
+ */
+export async function unfollowReport(reportId, userId) {
+  try {
+    const updatedReport = await Report.findByIdAndUpdate(
+      reportId,
+      { $pull: { followers: userId } },
+      { new: true }
+    ).select('followers');
+
+    return updatedReport;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Get the users following a report
+ * @param {string} reportId - Report ID
+ * @returns {Promise<Array>} Followers with username, email and emailNotifications
+ */
+export async function getReportFollowers(reportId) {
+  try {
+    const report = await Report.findById(reportId)
+      .select('followers')
+      .populate('followers', 'username email emailNotifications')
+      .exec();
+
+    return report ? report.followers.filter(Boolean) : [];
+  } catch (error) {
+    throw error;
+  }
+}
+
+// Fields behind a map pin and its list entry
+function populateMapFields(query) {
+  return query
+    .populate('createdBy', 'username')
+    .populate('assignedTo', 'username')
+    .populate('department', 'name')
+    .populate('ward', 'name')
+    .select('title description category location imageUrl thumbnailUrl status resolved upvotes downvotes reviewCount ward department assignedTo dueAt createdAt createdBy _id');
+}
+
+/**
+ * Get reports inside a bounding box, newest first
+ * @param {Object} options - Query options, plus any filter accepted by buildReportQuery
+ * @param {Array<number>} options.bbox - [minLng, minLat, maxLng, maxLat]
+ * @param {number} [options.limit=1000] - Maximum number of reports
+ * @returns {Promise<Object>} Object containing reports and whether the result was truncated
+ */
+export async function getReportsInBounds(options) {
+  try {
+    const { limit = 1000, ...filters } = options;
+
+    const query = buildReportQuery(filters);
+
+    // Fetch one extra document to detect truncation without a count
+    const reports = await populateMapFields(Report.find(query))
+      .sort({ createdAt: -1 })
+      .limit(limit + 1)
+      .exec();
+
+    return {
+      reports: reports.slice(0, limit),
+      truncated: reports.length > limit
+    };
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Get one report with the fields shown on the map
+ * @param {string} reportId - Report ID
+ * @returns {Promise<Object|null>} Report in the same shape as getReportsInBounds returns, or null
+ */
+export async function getMapReport(reportId) {
+  try {
+    return await populateMapFields(Report.findById(reportId)).exec();
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Check whether a report matches a set of list filters
+ * @param {string} reportId - Report ID
+ * @param {Object} filters - Any filter accepted by buildReportQuery
+ * @returns {Promise<boolean>} True if the report exists and matches
+ */
+export async function reportMatchesFilters(reportId, filters) {
+  try {
+    const query = buildReportQuery(filters);
+    query._id = reportId;
+    return !!(await Report.exists(query));
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Aggregate reports inside a bounding box into grid cells sized for a zoom level
+ * @param {Object} options - Query options, plus any filter accepted by buildReportQuery
+ * @param {Array<number>} options.bbox - [minLng, minLat, maxLng, maxLat]
+ * @param {number} options.zoom - Map zoom level (0-22)
+ * @returns {Promise<Array>} Cells with centroid, total count and category/status breakdowns
+ */
+export async function getReportClusters(options) {
+  try {
+    const { zoom, ...filters } = options;
+
+    // Roughly four cells per 256px map tile at the requested zoom
+    const cellSize = 360 / Math.pow(2, zoom) / 4;
+
+    const query = buildReportQuery(filters);
+
+    const cells = await Report.aggregate([
+      { $match: query },
+      {
+        $project: {
+          category: 1,
+          status: 1,
+          lng: { $arrayElemAt: ['$location.coordinates', 0] },
+          lat: { $arrayElemAt: ['$location.coordinates', 1] }
+        }
+      },
+      {
+        $group: {
+          _id: {
+            x: { $floor: { $divide: ['$lng', cellSize] } },
+            y: { $floor: { $divide: ['$lat', cellSize] } },
+            category: '$category',
+            status: '$status'
+          },
+          count: { $sum: 1 },
+          lngSum: { $sum: '$lng' },
+          latSum: { $sum: '$lat' }
+        }
+      },
+      {
+        $group: {
+          _id: { x: '$_id.x', y: '$_id.y' },
+          count: { $sum: '$count' },
+          lngSum: { $sum: '$lngSum' },
+          latSum: { $sum: '$latSum' },
+          breakdown: {
+            $push: {
+              category: '$_id.category',
+              status: '$_id.status',
+              count: '$count'
+            }
+          }
+        }
+      }
+    ]);
+
+    return cells.map(cell => {
+      const categories = {};
+      const statuses = {};
+      let resolvedCount = 0;
+      for (const entry of cell.breakdown) {
+        categories[entry.category] = (categories[entry.category] || 0) + entry.count;
+        statuses[entry.status] = (statuses[entry.status] || 0) + entry.count;
+        if (RESOLVED_STATUSES.includes(entry.status)) resolvedCount += entry.count;
+      }
+
+      return {
+        center: [cell.lngSum / cell.count, cell.latSum / cell.count],
+        count: cell.count,
+        resolved: resolvedCount,
+        pending: cell.count - resolvedCount,
+        categories,
+        statuses
+      };
+    });
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Move a report to a new workflow status and record the transition.
+ * The update only applies if the report is still in the expected status,
+ * so concurrent transitions cannot overwrite each other.
+ * @param {string} reportId - Report ID
+ * @param {Object} transition - Transition details
+ * @param {string} transition.from - Status the report is expected to be in
+ * @param {string} transition.to - New status
+ * @param {Object} transition.user - User making the change
+ * @param {string} [transition.note] - Optional note for the history entry
+ * @param {string} [transition.rejectionReason] - duplicate or invalid, required when rejecting
+ * @param {Object} [transition.extraFields] - Additional fields to set in the same update
+ * @returns {Promise<Object|null>} Updated report or null if not found or status changed meanwhile
+ */
+export async function transitionReportStatus(reportId, transition) {
+  try {
+    const { from, to, user, note, rejectionReason, extraFields = {} } = transition;
+    const now = new Date();
+    const isResolved = RESOLVED_STATUSES.includes(to);
+
+    const updateFields = {
+      ...extraFields,
+      status: to,
+      resolved: isResolved,
+      rejectionReason: to === 'rejected' ? rejectionReason : null
+    };
+
+    // Only stamp resolvedAt/resolvedBy when the fix is first reported
+    if (to === 'resolved') {
+      updateFields.resolvedAt = now;
+      updateFields.resolvedBy = user.email;
+    } else if (!isResolved) {
+      updateFields.resolvedAt = null;
+      updateFields.resolvedBy = null;
+    }
+
+    const updatedReport = await Report.findOneAndUpdate(
+      { _id: reportId, status: from },
+      {
+        $set: updateFields,
+        $push: {
+          statusHistory: {
+            from,
+            to,
+            by: user._id,
+            note: note?.trim() || undefined,
+            at: now
+          }
+        }
+      },
+      { new: true, runValidators: true }
+    ).populate('createdBy', 'username email');
+
+    return updatedReport;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Fold a duplicate report into a canonical one. The duplicate is rejected
+ * as a duplicate and points at the canonical report; its images, reviews,
+ * reporters, followers and reporter count move across.
+ * @param {string} canonicalId - ID of the report to keep
+ * @param {string} duplicateId - ID of the report to merge away
+ * @param {Object} options - Merge options
+ * @param {Object} options.user - Admin performing the merge
+ * @param {string} [options.note] - Optional note for the duplicate's status history
+ * @returns {Promise<Object|null>} Updated canonical report, or null if the duplicate changed meanwhile
+ */
+export async function mergeReports(canonicalId, duplicateId, options) {
+  try {
+    const { user, note } = options;
+
+    const duplicate = await Report.findById(duplicateId);
+    if (!duplicate || duplicate.mergedInto) {
+      return null;
+    }
+
+    // Rejecting first claims the duplicate, so a concurrent merge fails here
+    const rejected = await transitionReportStatus(duplicateId, {
+      from: duplicate.status,
+      to: 'rejected',
+      user,
+      note: note || `Merged into report ${canonicalId}`,
+      rejectionReason: 'duplicate',
+      extraFields: { mergedInto: canonicalId, images: [] }
+    });
+    if (!rejected) {
+      return null;
+    }
+
+    // One review per user per report: drop those whose author already reviewed the canonical report
+    const canonicalAuthors = await Review.distinct('author', { report: canonicalId });
+    await Review.deleteMany({ report: duplicateId, author: { $in: canonicalAuthors } });
+    await Review.updateMany({ report: duplicateId }, { report: canonicalId });
+
+    // Only people not already counted on the canonical report add to its reporter count
+    const canonical = await Report.findById(canonicalId);
+    const counted = new Set([canonical.createdBy, ...(canonical.supporters || [])].map(id => id.toString()));
+    const reporters = [duplicate.createdBy, ...(duplicate.supporters || [])].filter(id => {
+      if (counted.has(id.toString())) return false;
+      counted.add(id.toString());
+      return true;
+    });
+
+    const updateFields = {
+      $push: { images: { $each: duplicate.images || [] } },
+      $addToSet: {
+        supporters: { $each: reporters },
+        followers: { $each: duplicate.followers || [] }
+      },
+      $inc: { reporterCount: reporters.length }
+    };
+    if (!canonical.imageUrl && duplicate.images?.length) {
+      updateFields.$set = {
+        imageUrl: duplicate.images[0].url,
+        thumbnailUrl: duplicate.images[0].thumbnailUrl
+      };
+    }
+    await Report.updateOne({ _id: canonicalId }, updateFields);
+    await refreshReportVoteCounts(canonicalId);
+    await refreshReportVoteCounts(duplicateId);
+
+    return getReportById(canonicalId);
+  } catch (error) {
+    throw error;
+  }
+}
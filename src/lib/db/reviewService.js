@@ -1,4 +1,6 @@
+import mongoose from 'mongoose';
 import Review from './reviewModel.js';
+import Report from './reportModel.js';
 
 /**
  * Add a new review to a report
@@ -13,6 +15,7 @@ export async function addReview(reviewData) {
   try {
     const review = new Review(reviewData);
     const savedReview = await review.save();
+    await refreshReportVoteCounts(savedReview.report);
     
     // Populate author information
     const populatedReview = await Review.findById(savedReview._id)
@@ -67,8 +70,71 @@ export async function deleteReviewByAuthor(reviewId, userId) {
     }
     
     await Review.findByIdAndDelete(reviewId);
+    await refreshReportVoteCounts(review.report);
     return true;
   } catch (error) {
     throw error;
   }
-} 
\ No newline at end of file
+}
+
+/**
+ * Get a review by ID
+ * @param {string} reviewId - Review ID
+ * @returns {Promise<Object|null>} Review object or null if not found
+ */
+export async function getReviewById(reviewId) {
+  try {
+    const review = await Review.findById(reviewId).exec();
+    return review;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Count upvotes and downvotes for a report
+ * @param {string} reportId - Report ID
+ * @returns {Promise<Object>} Object containing upvotes, downvotes and total
+ */
+export async function getReviewTallies(reportId) {
+  try {
+    const [tallies] = await Review.aggregate([
+      { $match: { report: new mongoose.Types.ObjectId(reportId) } },
+      {
+        $group: {
+          _id: null,
+          upvotes: { $sum: { $cond: ['$upvote', 1, 0] } },
+          downvotes: { $sum: { $cond: ['$upvote', 0, 1] } }
+        }
+      }
+    ]);
+
+    const upvotes = tallies?.upvotes || 0;
+    const downvotes = tallies?.downvotes || 0;
+    return { upvotes, downvotes, total: upvotes + downvotes };
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Recalculate the denormalised upvotes, downvotes and reviewCount on a report
+ * @param {string} reportId - Report ID
+ * @returns {Promise<Object>} Object containing upvotes, downvotes and total
+ */
+export async function refreshReportVoteCounts(reportId) {
+  try {
+    const tallies = await getReviewTallies(reportId);
+    await Report.updateOne(
+      { _id: reportId },
+      {
+        upvotes: tallies.upvotes,
+        downvotes: tallies.downvotes,
+        reviewCount: tallies.total
+      }
+    );
+    return tallies;
+  } catch (error) {
+    throw error;
+  }
+}
@@ -0,0 +1,194 @@
+import Report from './reportModel.js';
+import User from './userModel.js';
+import Ward from './wardModel.js';
+import { buildReportQuery } from './reportService.js';
+import { RESOLVED_STATUSES } from '../reportStatus.js';
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+const IS_RESOLVED = {
+  status: { $in: RESOLVED_STATUSES },
+  resolvedAt: { $ne: null }
+};
+
+/**
+ * Start of the (Monday-based, UTC) week containing a date
+ * @param {Date} date - Any date
+ * @returns {Date} Monday 00:00 UTC of that week
+ */
+function startOfWeek(date) {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  return start;
+}
+
+/**
+ * Convert [{ _id, count }] group results into a { key: count } object
+ */
+function toCounts(groups) {
+  return Object.fromEntries(groups.map(group => [group._id, group.count]));
+}
+
+/**
+ * Pipeline stages that keep resolved reports with a valid resolution time
+ * and reduce them to { duration } in milliseconds
+ */
+function resolutionDurationStages() {
+  return [
+    { $match: IS_RESOLVED },
+    { $project: { duration: { $subtract: ['$resolvedAt', '$createdAt'] } } },
+    { $match: { duration: { $gte: 0 } } }
+  ];
+}
+
+/**
+ * Median of sorted resolution times, read from the middle of the sorted
+ * reports rather than by collecting every duration into one document
+ * @param {Object} query - Report filter
+ * @param {number} count - Number of resolved reports matching the filter
+ * @returns {Promise<number|null>} Median duration in milliseconds, or null without any
+ */
+async function getMedianTimeToResolve(query, count) {
+  if (!count) return null;
+
+  // Mean of the two middle values for an even count
+  const [middle] = await Report.aggregate([
+    { $match: query },
+    ...resolutionDurationStages(),
+    { $sort: { duration: 1 } },
+    { $skip: Math.floor((count - 1) / 2) },
+    { $limit: count % 2 === 0 ? 2 : 1 },
+    { $group: { _id: null, median: { $avg: '$duration' } } }
+  ]);
+  return middle ? middle.median : null;
+}
+
+/**
+ * Aggregate report statistics: counts by category, status, ward and week,
+ * the median time to resolve and the most active reporters
+ * @param {Object} [options] - Query options, plus any filter accepted by buildReportQuery
+ * @param {number} [options.weeks=12] - Number of weeks in the weekly series, ending this week
+ * @param {number} [options.topReporters=10] - Number of top reporters to return
+ * @returns {Promise<Object>} Statistics object
+ */
+export async function getReportStats(options = {}) {
+  try {
+    const { weeks = 12, topReporters = 10, ...filters } = options;
+    const query = buildReportQuery(filters);
+    const since = new Date(startOfWeek(new Date()).getTime() - (weeks - 1) * WEEK_MS);
+    const weekOf = field => ({ $dateTrunc: { date: field, unit: 'week', startOfWeek: 'monday' } });
+
+    const [result] = await Report.aggregate([
+      { $match: query },
+      {
+        $facet: {
+          totals: [
+            {
+              $group: {
+                _id: null,
+                total: { $sum: 1 },
+                resolved: { $sum: { $cond: [{ $in: ['$status', RESOLVED_STATUSES] }, 1, 0] } },
+                rejected: { $sum: { $cond: [{ $eq: ['$status', 'rejected'] }, 1, 0] } }
+              }
+            }
+          ],
+          byCategory: [
+            { $group: { _id: '$category', count: { $sum: 1 } } }
+          ],
+          byStatus: [
+            { $group: { _id: '$status', count: { $sum: 1 } } }
+          ],
+          byWard: [
+            {
+              $group: {
+                _id: '$ward',
+                count: { $sum: 1 },
+                resolved: { $sum: { $cond: [{ $in: ['$status', RESOLVED_STATUSES] }, 1, 0] } }
+              }
+            },
+            { $lookup: { from: Ward.collection.name, localField: '_id', foreignField: '_id', as: 'ward' } },
+            { $sort: { count: -1 } },
+            {
+              $project: {
+                _id: 0,
+                wardId: '$_id',
+                name: { $ifNull: [{ $first: '$ward.name' }, null] },
+                code: { $ifNull: [{ $first: '$ward.code' }, null] },
+                count: 1,
+                resolved: 1
+              }
+            }
+          ],
+          createdByWeek: [
+            { $match: { createdAt: { $gte: since } } },
+            { $group: { _id: weekOf('$createdAt'), count: { $sum: 1 } } }
+          ],
+          resolvedByWeek: [
+            { $match: { ...IS_RESOLVED, resolvedAt: { $gte: since } } },
+            { $group: { _id: weekOf('$resolvedAt'), count: { $sum: 1 } } }
+          ],
+          // Only counted here; the median is read in a second query
+          timeToResolve: [
+            ...resolutionDurationStages(),
+            { $group: { _id: null, count: { $sum: 1 } } }
+          ],
+          topReporters: [
+            // Rejected reports (spam, duplicates) don't count towards the ranking
+            { $match: { status: { $ne: 'rejected' }, createdBy: { $ne: null } } },
+            {
+              $group: {
+                _id: '$createdBy',
+                count: { $sum: 1 },
+                resolved: { $sum: { $cond: [{ $in: ['$status', RESOLVED_STATUSES] }, 1, 0] } }
+              }
+            },
+            { $sort: { count: -1, _id: 1 } },
+            { $limit: topReporters },
+            { $lookup: { from: User.collection.name, localField: '_id', foreignField: '_id', as: 'user' } },
+            {
+              $project: {
+                _id: 0,
+                userId: '$_id',
+                username: { $ifNull: [{ $first: '$user.username' }, null] },
+                count: 1,
+                resolved: 1
+              }
+            }
+          ]
+        }
+      }
+    ]);
+
+    // Fill in the weeks without any activity so the series is continuous
+    const created = new Map(result.createdByWeek.map(week => [week._id.getTime(), week.count]));
+    const resolved = new Map(result.resolvedByWeek.map(week => [week._id.getTime(), week.count]));
+    const byWeek = Array.from({ length: weeks }, (_, index) => {
+      const weekStart = new Date(since.getTime() + index * WEEK_MS);
+      return {
+        weekStart,
+        created: created.get(weekStart.getTime()) || 0,
+        resolved: resolved.get(weekStart.getTime()) || 0
+      };
+    });
+
+    const totals = result.totals[0] || { total: 0, resolved: 0, rejected: 0 };
+    const resolvedSampleSize = result.timeToResolve[0]?.count || 0;
+    const median = await getMedianTimeToResolve(query, resolvedSampleSize);
+
+    return {
+      total: totals.total,
+      resolved: totals.resolved,
+      rejected: totals.rejected,
+      byCategory: toCounts(result.byCategory),
+      byStatus: toCounts(result.byStatus),
+      byWard: result.byWard,
+      byWeek,
+      medianTimeToResolveHours: median === null
+        ? null
+        : Math.round(median / (60 * 60 * 1000) * 10) / 10,
+      resolvedSampleSize,
+      topReporters: result.topReporters
+    };
+  } catch (error) {
+    throw error;
+  }
+}
@@ -1,5 +1,8 @@
 import mongoose from 'mongoose';
 
+// Field workers belong to a department and get reports assigned to them
+export const USER_ROLES = ['citizen', 'field_worker'];
+
 const userSchema = new mongoose.Schema({
   username: {
     type: String,
@@ -24,12 +27,29 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  role: {
+    type: String,
+    enum: USER_ROLES,
+    default: 'citizen'
+  },
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department',
+    default: null
+  },
+  // Also send notifications about followed reports by email
+  emailNotifications: {
+    type: Boolean,
+    default: true
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+userSchema.index({ role: 1, department: 1 });
+
 // Removed redundant index definitions
 // userSchema.index({ email: 1 });
 // userSchema.index({ username: 1 });
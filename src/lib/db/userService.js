@@ -39,4 +39,88 @@ export async function findUserByEmail(email) {
   } catch (error) {
     throw error;
   }
-} 
\ No newline at end of file
+} 
+
+/**
+ * Find user by ID
+ * @param {string} userId - User ID to search for
+ * @returns {Promise<Object|null>} User object without password hash or null if not found
+ */
+export async function findUserById(userId) {
+  try {
+    const user = await User.findById(userId)
+      .select('-passwordHash')
+      .exec();
+    return user;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Get the field workers, optionally only those of one department
+ * @param {string} [departmentId] - Department ID
+ * @returns {Promise<Array>} Users with their department populated
+ */
+export async function getFieldWorkers(departmentId) {
+  try {
+    const query = { role: 'field_worker' };
+    if (departmentId) query.department = departmentId;
+
+    const workers = await User.find(query)
+      .select('username email department')
+      .populate('department', 'name slug')
+      .sort({ username: 1 })
+      .exec();
+    return workers;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Set a user's role and department
+ * @param {string} userId - User ID
+ * @param {Object} updates - Fields to change
+ * @param {string} [updates.role] - One of USER_ROLES
+ * @param {string|null} [updates.department] - Department ID, or null to clear
+ * @returns {Promise<Object|null>} Updated user without the password hash, or null if not found
+ */
+export async function updateUserRole(userId, updates) {
+  try {
+    const updateFields = {};
+    if (updates.role !== undefined) updateFields.role = updates.role;
+    if (updates.department !== undefined) updateFields.department = updates.department;
+
+    const user = await User.findByIdAndUpdate(userId, updateFields, { new: true, runValidators: true })
+      .select('-passwordHash')
+      .populate('department', 'name slug')
+      .exec();
+    return user;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Update a user's notification preferences
+ * @param {string} userId - User ID
+ * @param {Object} preferences - Preferences to change
+ * @param {boolean} [preferences.emailNotifications] - Email notifications about followed reports
+ * @returns {Promise<Object|null>} Updated user without the password hash, or null if not found
+ */
+export async function updateNotificationPreferences(userId, preferences) {
+  try {
+    const updateFields = {};
+    if (preferences.emailNotifications !== undefined) {
+      updateFields.emailNotifications = preferences.emailNotifications;
+    }
+
+    const user = await User.findByIdAndUpdate(userId, updateFields, { new: true })
+      .select('-passwordHash')
+      .exec();
+    return user;
+  } catch (error) {
+    throw error;
+  }
+}
@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+const wardSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // Identifier from the city's boundary data, used to update a ward on re-import
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    maxlength: 50
+  },
+  // GeoJSON boundary, [lng, lat] order
+  geometry: {
+    type: {
+      type: String,
+      enum: ['Polygon', 'MultiPolygon'],
+      required: true
+    },
+    coordinates: {
+      type: Array,
+      required: true
+    }
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+wardSchema.index({ geometry: '2dsphere' });
+
+const Ward = mongoose.models.Ward || mongoose.model('Ward', wardSchema);
+
+export default Ward;
@@ -0,0 +1,96 @@
+import Ward from './wardModel.js';
+import Report from './reportModel.js';
+
+/**
+ * Create or replace a ward boundary (matched on code) and re-tag the
+ * reports inside it
+ * @param {Object} wardData - Ward data object
+ * @param {string} wardData.name - Ward name
+ * @param {string} wardData.code - Ward code
+ * @param {Object} wardData.geometry - GeoJSON Polygon or MultiPolygon
+ * @returns {Promise<Object>} { ward, created, reportsTagged }
+ */
+export async function upsertWard(wardData) {
+  try {
+    const existing = await Ward.findOne({ code: wardData.code }).select('_id').exec();
+
+    const ward = await Ward.findOneAndUpdate(
+      { code: wardData.code },
+      {
+        $set: { name: wardData.name, geometry: wardData.geometry, updatedAt: new Date() },
+        $setOnInsert: { createdAt: new Date() }
+      },
+      { upsert: true, new: true, runValidators: true }
+    ).exec();
+
+    // A changed boundary can release reports as well as take new ones in
+    if (existing) {
+      await Report.updateMany({ ward: ward._id }, { ward: null });
+    }
+    const tagged = await Report.updateMany(
+      { location: { $geoWithin: { $geometry: ward.geometry } } },
+      { ward: ward._id }
+    );
+
+    return { ward, created: !existing, reportsTagged: tagged.modifiedCount };
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Get all wards
+ * @param {boolean} [includeGeometry=false] - Whether to include the boundaries
+ * @returns {Promise<Array>} Wards sorted by name
+ */
+export async function getAllWards(includeGeometry = false) {
+  try {
+    const wards = await Ward.find()
+      .select(includeGeometry ? 'name code geometry' : 'name code')
+      .sort({ name: 1 })
+      .exec();
+    return wards;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Find the ward containing a location
+ * @param {Object} location - Location object with lat and lng
+ * @returns {Promise<Object|null>} Ward or null if the point is outside every ward
+ */
+export async function findWardForLocation(location) {
+  try {
+    const ward = await Ward.findOne({
+      geometry: {
+        $geoIntersects: {
+          $geometry: { type: 'Point', coordinates: [Number(location.lng), Number(location.lat)] }
+        }
+      }
+    })
+      .select('name code')
+      .exec();
+    return ward;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Delete a ward and untag its reports
+ * @param {string} wardId - Ward ID
+ * @returns {Promise<boolean>} True if the ward existed
+ */
+export async function deleteWard(wardId) {
+  try {
+    const deleted = await Ward.findByIdAndDelete(wardId);
+    if (!deleted) {
+      return false;
+    }
+    await Report.updateMany({ ward: wardId }, { ward: null });
+    return true;
+  } catch (error) {
+    throw error;
+  }
+}
@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+import { WATCH_FREQUENCIES, WATCH_SHAPES } from '../watches.js';
+
+const watchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  shape: {
+    type: String,
+    enum: WATCH_SHAPES,
+    required: true
+  },
+  // Circle watches keep their centre and radius (metres) for editing and display
+  center: {
+    lat: Number,
+    lng: Number
+  },
+  radius: Number,
+  // GeoJSON Polygon matched against new reports; circles are stored as a 64-gon
+  area: {
+    type: {
+      type: String,
+      enum: ['Polygon'],
+      required: true
+    },
+    coordinates: {
+      type: Array,
+      required: true
+    }
+  },
+  // Only these categories trigger alerts; empty means all
+  categories: [{
+    type: String,
+    enum: ['garbage', 'waterlogging', 'other']
+  }],
+  frequency: {
+    type: String,
+    enum: WATCH_FREQUENCIES,
+    default: 'instant'
+  },
+  // Reports waiting for the next daily digest
+  pendingReports: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report'
+  }],
+  lastDigestAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+watchSchema.index({ area: '2dsphere' });
+watchSchema.index({ user: 1, createdAt: -1 });
+watchSchema.index({ frequency: 1, pendingReports: 1 });
+
+const Watch = mongoose.models.Watch || mongoose.model('Watch', watchSchema);
+
+export default Watch;
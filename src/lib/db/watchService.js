@@ -0,0 +1,168 @@
+import Watch from './watchModel.js';
+
+/**
+ * Save a watch area for a user
+ * @param {Object} watchData - Watch data object
+ * @param {string} watchData.user - User ID
+ * @param {string} watchData.name - Name shown in alerts
+ * @param {string} watchData.shape - circle or polygon
+ * @param {Object} watchData.area - GeoJSON Polygon to match reports against
+ * @param {Object} [watchData.center] - Circle centre with lat and lng
+ * @param {number} [watchData.radius] - Circle radius in metres
+ * @param {Array<string>} [watchData.categories] - Categories to alert on; empty for all
+ * @param {string} [watchData.frequency='instant'] - instant or daily
+ * @returns {Promise<Object>} Created watch
+ */
+export async function createWatch(watchData) {
+  try {
+    const watch = new Watch(watchData);
+    const savedWatch = await watch.save();
+    return savedWatch;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Get a user's watch areas, newest first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Watches
+ */
+export async function getWatchesForUser(userId) {
+  try {
+    const watches = await Watch.find({ user: userId })
+      .sort({ createdAt: -1 })
+      .exec();
+    return watches;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Count a user's watch areas
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Number of watches
+ */
+export async function countWatchesForUser(userId) {
+  try {
+    const count = await Watch.countDocuments({ user: userId });
+    return count;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Update the name, categories or frequency of a user's watch
+ * @param {string} watchId - Watch ID
+ * @param {string} userId - Owner's user ID
+ * @param {Object} updates - Fields to change
+ * @returns {Promise<Object|null>} Updated watch, or null if not found or not owned by the user
+ */
+export async function updateWatch(watchId, userId, updates) {
+  try {
+    const updateFields = {};
+    for (const field of ['name', 'categories', 'frequency']) {
+      if (updates[field] !== undefined) updateFields[field] = updates[field];
+    }
+    // Switching to instant alerts drops the queued digest
+    if (updates.frequency === 'instant') updateFields.pendingReports = [];
+
+    const watch = await Watch.findOneAndUpdate(
+      { _id: watchId, user: userId },
+      updateFields,
+      { new: true, runValidators: true }
+    ).exec();
+    return watch;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Delete a user's watch
+ * @param {string} watchId - Watch ID
+ * @param {string} userId - Owner's user ID
+ * @returns {Promise<boolean>} True if a watch was deleted
+ */
+export async function deleteWatch(watchId, userId) {
+  try {
+    const result = await Watch.deleteOne({ _id: watchId, user: userId });
+    return result.deletedCount > 0;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Find the watches a new report falls into. The reporter's own watches and
+ * watches limited to other categories are left out.
+ * @param {Object} report - Report with a GeoJSON location, category and createdBy
+ * @returns {Promise<Array>} Matching watches with their users populated
+ */
+export async function findWatchesForReport(report) {
+  try {
+    const watches = await Watch.find({
+      area: { $geoIntersects: { $geometry: report.location } },
+      user: { $ne: report.createdBy },
+      $or: [
+        { categories: { $size: 0 } },
+        { categories: report.category }
+      ]
+    })
+      .populate('user', 'username email emailNotifications')
+      .exec();
+    return watches.filter(watch => watch.user);
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Queue a report for the next daily digest of some watches
+ * @param {Array<string>} watchIds - Watch IDs
+ * @param {string} reportId - Report ID
+ */
+export async function queueDigestReport(watchIds, reportId) {
+  try {
+    await Watch.updateMany(
+      { _id: { $in: watchIds } },
+      { $addToSet: { pendingReports: reportId } }
+    );
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Get the daily watches with reports waiting for a digest
+ * @returns {Promise<Array>} Watches with user and pending reports populated
+ */
+export async function getPendingDigestWatches() {
+  try {
+    const watches = await Watch.find({ frequency: 'daily', 'pendingReports.0': { $exists: true } })
+      .populate('user', 'username email emailNotifications')
+      .populate('pendingReports', 'title category status createdAt')
+      .exec();
+    return watches;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Remove sent reports from a watch's digest queue
+ * @param {string} watchId - Watch ID
+ * @param {Array<string>} reportIds - Reports included in the digest
+ */
+export async function clearDigestReports(watchId, reportIds) {
+  try {
+    await Watch.updateOne(
+      { _id: watchId },
+      { $pullAll: { pendingReports: reportIds }, lastDigestAt: new Date() }
+    );
+  } catch (error) {
+    throw error;
+  }
+}
@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+import { WEBHOOK_DELIVERY_STATUSES, WEBHOOK_EVENTS } from '../webhooks.js';
+
+// Delivery log entries are removed after this many days
+const DELIVERY_RETENTION_DAYS = 30;
+
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  event: {
+    type: String,
+    enum: WEBHOOK_EVENTS,
+    required: true
+  },
+  report: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report'
+  },
+  // Exact JSON body that is signed and sent on every attempt
+  payload: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: WEBHOOK_DELIVERY_STATUSES,
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // When the next attempt is due; also pushed forward while an attempt is running
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  responseStatus: {
+    type: Number,
+    default: null
+  },
+  // Start of the receiver's response, for debugging
+  responseBody: {
+    type: String,
+    maxlength: 1000,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: DELIVERY_RETENTION_DAYS * 24 * 60 * 60
+  }
+});
+
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+const WebhookDelivery = mongoose.models.WebhookDelivery ||
+  mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+export default WebhookDelivery;
@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+import { WEBHOOK_EVENTS } from '../webhooks.js';
+
+const webhookSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 2000
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 200,
+    default: ''
+  },
+  events: [{
+    type: String,
+    enum: WEBHOOK_EVENTS
+  }],
+  // Shared secret for the HMAC signature; only loaded when signing
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+webhookSchema.index({ active: 1, events: 1 });
+
+const Webhook = mongoose.models.Webhook || mongoose.model('Webhook', webhookSchema);
+
+export default Webhook;
@@ -0,0 +1,244 @@
+import Webhook from './webhookModel.js';
+import WebhookDelivery from './webhookDeliveryModel.js';
+
+/**
+ * Register a webhook
+ * @param {Object} webhookData - Webhook data object
+ * @param {string} webhookData.url - Endpoint that receives the events
+ * @param {Array<string>} webhookData.events - Subscribed event types
+ * @param {string} webhookData.secret - Shared secret for signing payloads
+ * @param {string} webhookData.createdBy - Admin's user ID
+ * @param {string} [webhookData.description] - What the webhook is for
+ * @returns {Promise<Object>} Created webhook, including its secret
+ */
+export async function createWebhook(webhookData) {
+  try {
+    const webhook = new Webhook(webhookData);
+    const savedWebhook = await webhook.save();
+    return savedWebhook;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Get every registered webhook, newest first
+ * @returns {Promise<Array>} Webhooks without their secrets
+ */
+export async function getWebhooks() {
+  try {
+    const webhooks = await Webhook.find()
+      .populate('createdBy', 'username')
+      .sort({ createdAt: -1 })
+      .exec();
+    return webhooks;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Get a webhook by ID
+ * @param {string} webhookId - Webhook ID
+ * @returns {Promise<Object|null>} Webhook without its secret, or null
+ */
+export async function getWebhookById(webhookId) {
+  try {
+    const webhook = await Webhook.findById(webhookId)
+      .populate('createdBy', 'username')
+      .exec();
+    return webhook;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Update a webhook's URL, description, events, active flag or secret
+ * @param {string} webhookId - Webhook ID
+ * @param {Object} updates - Fields to change
+ * @returns {Promise<Object|null>} Updated webhook (with its secret if it was changed), or null
+ */
+export async function updateWebhook(webhookId, updates) {
+  try {
+    const updateFields = {};
+    for (const field of ['url', 'description', 'events', 'active', 'secret']) {
+      if (updates[field] !== undefined) updateFields[field] = updates[field];
+    }
+
+    const query = Webhook.findByIdAndUpdate(webhookId, updateFields, { new: true, runValidators: true })
+      .populate('createdBy', 'username');
+    if (updateFields.secret) query.select('+secret');
+
+    const webhook = await query.exec();
+    return webhook;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Delete a webhook and its delivery log
+ * @param {string} webhookId - Webhook ID
+ * @returns {Promise<boolean>} True if the webhook existed
+ */
+export async function deleteWebhook(webhookId) {
+  try {
+    const webhook = await Webhook.findByIdAndDelete(webhookId).exec();
+    if (!webhook) return false;
+    await WebhookDelivery.deleteMany({ webhook: webhookId });
+    return true;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Find the active webhooks subscribed to an event
+ * @param {string} event - Event type
+ * @returns {Promise<Array>} Webhooks (IDs only)
+ */
+export async function getWebhooksForEvent(event) {
+  try {
+    const webhooks = await Webhook.find({ active: true, events: event })
+      .select('_id')
+      .lean();
+    return webhooks;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Queue one delivery of an event per webhook
+ * @param {Array<string>} webhookIds - Webhooks to deliver to
+ * @param {Object} deliveryData - Event type, report ID and the JSON body to send
+ * @returns {Promise<Array>} Created deliveries
+ */
+export async function createWebhookDeliveries(webhookIds, deliveryData) {
+  try {
+    if (!webhookIds.length) return [];
+    const deliveries = await WebhookDelivery.insertMany(
+      webhookIds.map(webhook => ({ ...deliveryData, webhook }))
+    );
+    return deliveries;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Get a page of a webhook's delivery log, newest first
+ * @param {string} webhookId - Webhook ID
+ * @param {Object} [options] - Query options
+ * @param {number} [options.page=1] - Page number
+ * @param {number} [options.limit=20] - Number of deliveries per page
+ * @param {string} [options.status] - Only deliveries with this status
+ * @returns {Promise<Object>} Object containing deliveries and pagination info
+ */
+export async function getWebhookDeliveries(webhookId, options = {}) {
+  try {
+    const { page = 1, limit = 20, status } = options;
+    const query = { webhook: webhookId };
+    if (status) query.status = status;
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(query)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-payload')
+        .exec(),
+      WebhookDelivery.countDocuments(query)
+    ]);
+
+    return {
+      deliveries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Get the IDs of pending deliveries whose next attempt is due, oldest first
+ * @param {number} [limit=100] - Maximum number of deliveries
+ * @returns {Promise<Array<string>>} Delivery IDs
+ */
+export async function getDueWebhookDeliveryIds(limit = 100) {
+  try {
+    const deliveries = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: new Date() } })
+      .sort({ nextAttemptAt: 1 })
+      .limit(limit)
+      .select('_id')
+      .lean();
+    return deliveries.map(delivery => delivery._id);
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Claim a due delivery for one attempt. Its next attempt is pushed back by
+ * the lease so that a concurrent worker can't send it at the same time.
+ * @param {string} deliveryId - Delivery ID
+ * @param {number} leaseMs - How long the attempt may take
+ * @returns {Promise<Object|null>} Delivery with the webhook (and its secret) populated, or null if not due
+ */
+export async function claimWebhookDelivery(deliveryId, leaseMs) {
+  try {
+    const now = new Date();
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { _id: deliveryId, status: 'pending', nextAttemptAt: { $lte: now } },
+      {
+        $set: { nextAttemptAt: new Date(now.getTime() + leaseMs) },
+        $inc: { attempts: 1 }
+      },
+      { new: true }
+    )
+      .populate({ path: 'webhook', select: '+secret' })
+      .exec();
+    return delivery;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Record the outcome of a delivery attempt
+ * @param {string} deliveryId - Delivery ID
+ * @param {Object} result - status, nextAttemptAt, responseStatus, responseBody, lastError, deliveredAt
+ * @returns {Promise<void>}
+ */
+export async function recordWebhookDeliveryResult(deliveryId, result) {
+  try {
+    await WebhookDelivery.updateOne({ _id: deliveryId }, { $set: result });
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Queue a delivery for another attempt right away, resetting its attempt count
+ * @param {string} deliveryId - Delivery ID
+ * @param {string} webhookId - Webhook the delivery must belong to
+ * @returns {Promise<Object|null>} Updated delivery, or null if not found
+ */
+export async function retryWebhookDelivery(deliveryId, webhookId) {
+  try {
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { _id: deliveryId, webhook: webhookId },
+      { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date(), lastError: null } },
+      { new: true }
+    ).select('-payload').exec();
+    return delivery;
+  } catch (error) {
+    throw error;
+  }
+}
@@ -0,0 +1,176 @@
+import exifr from 'exifr';
+import sharp from 'sharp';
+
+const DATA_URL_PATTERN = /^data:([\w/+.-]+);base64,(.*)$/s;
+
+// Byte sizes of TIFF field types
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+const GPS_IFD_TAG = 0x8825;
+const XMP_HEADER = 'http://ns.adobe.com/xap/1.0/\0';
+
+/**
+ * Turn an uploaded image (base64 data URL or Buffer) into a Buffer
+ * @param {string|Buffer} image - Base64 data URL or file buffer
+ * @returns {Buffer|null} Image bytes or null if the input is not decodable
+ */
+export function decodeImage(image) {
+  if (Buffer.isBuffer(image)) {
+    return image;
+  }
+  const match = typeof image === 'string' && image.match(DATA_URL_PATTERN);
+  return match ? Buffer.from(match[2], 'base64') : null;
+}
+
+/**
+ * Read GPS position and capture time from a photo's EXIF metadata
+ * @param {Buffer} buffer - Image bytes
+ * @returns {Promise<Object>} { location: { lat, lng } | null, capturedAt: Date | null }
+ */
+export async function readPhotoMetadata(buffer) {
+  const metadata = { location: null, capturedAt: null };
+
+  try {
+    const gps = await exifr.gps(buffer);
+    if (gps && Number.isFinite(gps.latitude) && Number.isFinite(gps.longitude) &&
+        !(gps.latitude === 0 && gps.longitude === 0)) {
+      metadata.location = { lat: gps.latitude, lng: gps.longitude };
+    }
+  } catch (error) {
+    // Missing or unreadable GPS data is normal
+  }
+
+  try {
+    const tags = await exifr.parse(buffer, ['DateTimeOriginal']);
+    if (tags?.DateTimeOriginal instanceof Date && !isNaN(tags.DateTimeOriginal.getTime())) {
+      metadata.capturedAt = tags.DateTimeOriginal;
+    }
+  } catch (error) {
+    // Missing or unreadable capture time is normal
+  }
+
+  return metadata;
+}
+
+/**
+ * Blank out the GPS IFD inside a TIFF block, leaving the rest of the EXIF
+ * (notably Orientation) intact
+ * @returns {boolean} False if the structure could not be parsed safely
+ */
+function scrubTiffGps(buffer, tiffStart, tiffEnd) {
+  const byteOrder = buffer.toString('ascii', tiffStart, tiffStart + 2);
+  if (byteOrder !== 'II' && byteOrder !== 'MM') return false;
+  const little = byteOrder === 'II';
+  const read16 = offset => (little ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset));
+  const read32 = offset => (little ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset));
+  const inBounds = (offset, length) => offset >= tiffStart && offset + length <= tiffEnd;
+
+  const ifd0 = tiffStart + read32(tiffStart + 4);
+  if (!inBounds(ifd0, 2)) return false;
+  const ifd0Count = read16(ifd0);
+  if (!inBounds(ifd0 + 2, ifd0Count * 12)) return false;
+
+  for (let i = 0; i < ifd0Count; i++) {
+    const entry = ifd0 + 2 + i * 12;
+    if (read16(entry) !== GPS_IFD_TAG) continue;
+
+    const gpsIfd = tiffStart + read32(entry + 8);
+    if (!inBounds(gpsIfd, 2)) return false;
+    const gpsCount = read16(gpsIfd);
+    if (!inBounds(gpsIfd + 2, gpsCount * 12)) return false;
+
+    for (let j = 0; j < gpsCount; j++) {
+      const gpsEntry = gpsIfd + 2 + j * 12;
+      const byteLength = (TIFF_TYPE_SIZES[read16(gpsEntry + 2)] || 1) * read32(gpsEntry + 4);
+      if (byteLength > 4) {
+        const valueOffset = tiffStart + read32(gpsEntry + 8);
+        if (inBounds(valueOffset, byteLength)) {
+          buffer.fill(0, valueOffset, valueOffset + byteLength);
+        }
+      }
+    }
+
+    // An empty GPS IFD is still valid
+    buffer.fill(0, gpsIfd, gpsIfd + 2 + gpsCount * 12);
+  }
+
+  return true;
+}
+
+/**
+ * Remove location metadata from a JPEG in place: GPS tags are blanked and
+ * XMP packets are dropped
+ */
+function scrubJpegLocation(buffer) {
+  const output = Buffer.from(buffer);
+  const keep = [];
+  let segmentStart = 2;
+  let offset = 2;
+
+  while (offset + 4 <= output.length && output[offset] === 0xff) {
+    const marker = output[offset + 1];
+    // Start of scan: the remainder is image data
+    if (marker === 0xda) break;
+
+    const length = output.readUInt16BE(offset + 2);
+    const next = offset + 2 + length;
+    if (next > output.length) break;
+
+    if (marker === 0xe1) {
+      const payload = offset + 4;
+      if (output.toString('ascii', payload, payload + 6) === 'Exif\0\0') {
+        if (!scrubTiffGps(output, payload + 6, next)) {
+          // Unparseable EXIF: drop the whole segment rather than leak a position
+          keep.push(output.subarray(segmentStart, offset));
+          segmentStart = next;
+        }
+      } else if (output.toString('ascii', payload, payload + XMP_HEADER.length) === XMP_HEADER) {
+        keep.push(output.subarray(segmentStart, offset));
+        segmentStart = next;
+      }
+    }
+
+    offset = next;
+  }
+
+  keep.push(output.subarray(segmentStart));
+  return Buffer.concat([output.subarray(0, 2), ...keep]);
+}
+
+/**
+ * Remove location metadata from an image before it is stored publicly.
+ * JPEGs are scrubbed in place so the rest of their EXIF survives; PNG and
+ * WebP carry GPS in chunks we do not parse, so they are re-encoded by sharp,
+ * which writes no metadata.
+ * @param {Buffer} buffer - Image bytes
+ * @returns {Promise<Buffer>} Sanitised copy of the image
+ * @throws {Error} If the image cannot be decoded to re-encode it
+ */
+export async function stripLocationMetadata(buffer) {
+  if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    return scrubJpegLocation(buffer);
+  }
+
+  try {
+    // rotate() bakes in the orientation that is about to be dropped
+    return await sharp(buffer).rotate().toBuffer();
+  } catch (error) {
+    console.error('Failed to re-encode image without metadata:', error);
+    throw new Error('Could not remove location data from an image. Upload photos as JPEG, PNG or WebP');
+  }
+}
+
+/**
+ * Decode an uploaded image, read its metadata and strip location tags
+ * @param {string|Buffer} image - Base64 data URL or file buffer
+ * @returns {Promise<Object>} { upload, metadata } where upload is what to pass to uploadImage
+ * @throws {Error} If location metadata cannot be removed from the image
+ */
+export async function prepareImageUpload(image) {
+  const buffer = decodeImage(image);
+  if (!buffer) {
+    return { upload: image, metadata: { location: null, capturedAt: null } };
+  }
+
+  const metadata = await readPhotoMetadata(buffer);
+  return { upload: await stripLocationMetadata(buffer), metadata };
+}
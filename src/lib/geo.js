@@ -0,0 +1,120 @@
+/**
+ * Parse a "minLng,minLat,maxLng,maxLat" bounding box string
+ * @param {string} value - Bounding box string
+ * @returns {Array<number>|null} [minLng, minLat, maxLng, maxLat] or null if invalid
+ */
+export function parseBbox(value) {
+  if (!value || typeof value !== 'string') {
+    return null;
+  }
+
+  const parts = value.split(',').map(part => parseFloat(part));
+  if (parts.length !== 4 || parts.some(part => isNaN(part))) {
+    return null;
+  }
+
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  if (minLng < -180 || maxLng > 180 || minLat < -90 || maxLat > 90) {
+    return null;
+  }
+  if (minLng >= maxLng || minLat >= maxLat) {
+    return null;
+  }
+
+  return parts;
+}
+
+/**
+ * Great-circle distance between two points (haversine formula)
+ * @param {Object} a - Location with lat and lng
+ * @param {Object} b - Location with lat and lng
+ * @returns {number} Distance in metres
+ */
+export function distanceInMeters(a, b) {
+  const EARTH_RADIUS = 6371000;
+  const toRadians = degrees => (degrees * Math.PI) / 180;
+
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS * Math.asin(Math.sqrt(h));
+}
+
+function isPosition(position) {
+  return Array.isArray(position) && position.length >= 2 &&
+    Number.isFinite(position[0]) && Number.isFinite(position[1]) &&
+    position[0] >= -180 && position[0] <= 180 && position[1] >= -90 && position[1] <= 90;
+}
+
+// A linear ring needs at least four positions and must end where it starts
+function isLinearRing(ring) {
+  if (!Array.isArray(ring) || ring.length < 4 || !ring.every(isPosition)) {
+    return false;
+  }
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  return first[0] === last[0] && first[1] === last[1];
+}
+
+/**
+ * Check that a GeoJSON geometry is a well-formed Polygon or MultiPolygon
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {string|null} Error message or null if valid
+ */
+export function validatePolygonGeometry(geometry) {
+  if (!geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type)) {
+    return 'geometry must be a Polygon or MultiPolygon';
+  }
+
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  if (!Array.isArray(polygons) || polygons.length === 0) {
+    return 'geometry has no coordinates';
+  }
+  for (const polygon of polygons) {
+    if (!Array.isArray(polygon) || polygon.length === 0 || !polygon.every(isLinearRing)) {
+      return 'every ring needs at least four [lng, lat] positions and must be closed';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Approximate a circle on the earth's surface as a GeoJSON Polygon, so it can
+ * be stored and matched with the same 2dsphere queries as drawn areas
+ * @param {Object} center - Location with lat and lng
+ * @param {number} radius - Radius in metres
+ * @param {number} [steps=64] - Number of vertices
+ * @returns {Object} GeoJSON Polygon
+ */
+export function circleToPolygon(center, radius, steps = 64) {
+  const EARTH_RADIUS = 6371000;
+  const toRadians = degrees => (degrees * Math.PI) / 180;
+  const toDegrees = radians => (radians * 180) / Math.PI;
+
+  const lat = toRadians(center.lat);
+  const lng = toRadians(center.lng);
+  const angular = radius / EARTH_RADIUS;
+
+  const ring = [];
+  for (let i = 0; i < steps; i++) {
+    // Counter-clockwise, as GeoJSON expects for exterior rings
+    const bearing = (-2 * Math.PI * i) / steps;
+    const pointLat = Math.asin(
+      Math.sin(lat) * Math.cos(angular) + Math.cos(lat) * Math.sin(angular) * Math.cos(bearing)
+    );
+    const pointLng = lng + Math.atan2(
+      Math.sin(bearing) * Math.sin(angular) * Math.cos(lat),
+      Math.cos(angular) - Math.sin(lat) * Math.sin(pointLat)
+    );
+    ring.push([
+      Math.round((((toDegrees(pointLng) + 540) % 360) - 180) * 1e6) / 1e6,
+      Math.round(toDegrees(pointLat) * 1e6) / 1e6
+    ]);
+  }
+  ring.push(ring[0]);
+
+  return { type: 'Polygon', coordinates: [ring] };
+}
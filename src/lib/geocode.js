@@ -31,6 +31,48 @@ export async function forwardGeocode(placeName) {
   }
 }
 
+/**
+ * Search for places matching a query, for autocomplete suggestions
+ * @param {string} query - Partial address or place name
+ * @param {Object} [options] - Search options
+ * @param {number} [options.limit=5] - Maximum number of candidates (1-10)
+ * @param {Array<number>} [options.proximity] - [lng, lat] to bias results towards
+ * @returns {Promise<Array>} Candidates with id, placeName, lng and lat
+ */
+export async function searchPlaces(query, options = {}) {
+  try {
+    if (!process.env.MAPBOX_API_KEY) {
+      throw new Error('Mapbox API key is not configured');
+    }
+
+    if (!query || typeof query !== 'string' || query.trim().length < 2) {
+      return [];
+    }
+
+    const { limit = 5, proximity } = options;
+    const request = {
+      query: query.trim(),
+      limit: Math.min(Math.max(limit, 1), 10),
+      autocomplete: true
+    };
+    if (Array.isArray(proximity) && proximity.length === 2) {
+      request.proximity = proximity;
+    }
+
+    const response = await geocodingClient.forwardGeocode(request).send();
+
+    return response.body.features.map(feature => ({
+      id: feature.id,
+      placeName: feature.place_name,
+      lng: feature.center[0],
+      lat: feature.center[1]
+    }));
+  } catch (error) {
+    console.error('Error searching places:', error);
+    throw new Error(`Failed to search places: ${error.message}`);
+  }
+}
+
 /**
  * Reverse geocode coordinates using Mapbox SDK
  * @param {number} lng - Longitude
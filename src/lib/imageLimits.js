@@ -0,0 +1,21 @@
+// Upload limits shared by the report form and the upload API.
+// NEXT_PUBLIC_ so the browser can check files before sending them.
+export const MAX_IMAGE_BYTES = (parseInt(process.env.NEXT_PUBLIC_MAX_IMAGE_MB) || 10) * 1024 * 1024;
+export const MAX_IMAGES_PER_REQUEST = 10;
+// HEIC is left out: the bundled sharp has no HEVC decoder, so its location data could not be stripped
+export const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+/**
+ * Check an image file against the size and type limits
+ * @param {File} file - File from an input or a multipart form
+ * @returns {string|null} Error message or null if the file is acceptable
+ */
+export function validateImageFile(file) {
+  if (!ALLOWED_IMAGE_TYPES.includes(file.type)) {
+    return `${file.name}: unsupported file type ${file.type || 'unknown'}. Allowed: JPEG, PNG, WebP`;
+  }
+  if (file.size > MAX_IMAGE_BYTES) {
+    return `${file.name}: file is larger than ${MAX_IMAGE_BYTES / 1024 / 1024} MB`;
+  }
+  return null;
+}
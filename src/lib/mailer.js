@@ -0,0 +1,52 @@
+import nodemailer from 'nodemailer';
+
+let transport = null;
+
+/**
+ * Build the SMTP transport from SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER
+ * and SMTP_PASS. Point SMTP_HOST/SMTP_PORT at a local mail catcher
+ * (e.g. localhost:1025) in development.
+ * @returns {Object|null} Nodemailer transport, or null if SMTP is not configured
+ */
+function getTransport() {
+  if (!process.env.SMTP_HOST) {
+    return null;
+  }
+
+  if (!transport) {
+    transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+  return transport;
+}
+
+/**
+ * Send an email. Does nothing when SMTP is not configured.
+ * @param {Object} message - Message to send
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain text body
+ * @param {string} [message.html] - HTML body
+ * @returns {Promise<boolean>} True if the message was handed to the SMTP server
+ */
+export async function sendMail({ to, subject, text, html }) {
+  const smtp = getTransport();
+  if (!smtp) {
+    return false;
+  }
+
+  await smtp.sendMail({
+    from: process.env.MAIL_FROM || 'SwachhMap <no-reply@swachhmap.local>',
+    to,
+    subject,
+    text,
+    html
+  });
+  return true;
+}
@@ -0,0 +1,221 @@
+import {
+  clearDigestReports,
+  createNotifications,
+  findWatchesForReport,
+  getPendingDigestWatches,
+  getReportFollowers,
+  queueDigestReport
+} from '@/lib/db';
+import { sendMail } from '@/lib/mailer';
+import { STATUS_LABELS } from '@/lib/reportStatus';
+
+const APP_URL = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Send emails once the current request has returned, so a slow or unreachable
+// mail server never holds up the change that triggered them
+function sendMailsInBackground(messages) {
+  if (!messages.length) return;
+
+  const timer = setTimeout(async () => {
+    const results = await Promise.allSettled(messages.map(message => sendMail(message)));
+    results
+      .filter(result => result.status === 'rejected')
+      .forEach(result => console.error('Failed to send notification email:', result.reason));
+  }, 0);
+  timer.unref?.();
+}
+
+/**
+ * Describe a status change for the inbox and emails
+ * @param {Object} report - Report after the change
+ * @param {string} from - Previous status
+ * @param {string} to - New status
+ * @returns {string} Message text
+ */
+export function describeStatusChange(report, from, to) {
+  const message = `"${report.title}" moved from ${STATUS_LABELS[from] || from} to ${STATUS_LABELS[to] || to}`;
+  if (to === 'rejected' && report.mergedInto) {
+    return `${message}: it was merged into another report you now follow`;
+  }
+  if (to === 'rejected' && report.rejectionReason) {
+    return `${message} (${report.rejectionReason})`;
+  }
+  return message;
+}
+
+/**
+ * Notify a report's followers about its latest status transition. Resolving
+ * gets its own notification type since it comes with proof of the fix.
+ * @param {Object} report - Report right after the transition
+ * @param {Object} actor - User who made the change
+ */
+export async function notifyStatusChange(report, actor) {
+  const latest = report.statusHistory?.[report.statusHistory.length - 1];
+  if (!latest) return;
+
+  if (latest.to === 'resolved') {
+    const notes = report.resolution?.notes;
+    await notifyReportEvent(report, {
+      type: 'resolved',
+      message: `"${report.title}" was resolved${notes ? `: ${notes}` : ''}. Photos of the fix are on the report.`,
+      actor
+    });
+    return;
+  }
+
+  await notifyReportEvent(report, {
+    type: 'status_change',
+    message: describeStatusChange(report, latest.from, latest.to),
+    actor
+  });
+}
+
+/**
+ * Notify a report's followers about an event: records an inbox notification
+ * for each of them and emails those who opted in, in the background. The user
+ * who caused the event is skipped. Failures are logged, never thrown, so a
+ * notification problem cannot fail the action that triggered it.
+ * @param {Object} report - Report the event is about
+ * @param {Object} event - Event details
+ * @param {string} event.type - One of NOTIFICATION_TYPES
+ * @param {string} event.message - Text for the inbox and email body
+ * @param {Object} [event.actor] - User who caused the event
+ */
+export async function notifyReportEvent(report, { type, message, actor }) {
+  try {
+    const followers = (await getReportFollowers(report._id))
+      .filter(follower => !actor || !follower._id.equals(actor._id));
+    if (!followers.length) return;
+
+    // The inbox keeps a shortened copy; emails carry the full text
+    await createNotifications(followers.map(follower => follower._id), {
+      report: report._id,
+      type,
+      message: message.length > 500 ? `${message.slice(0, 497)}...` : message,
+      actor: actor?._id || null
+    });
+
+    const url = `${APP_URL}/report/${report._id}`;
+    sendMailsInBackground(followers
+      .filter(follower => follower.emailNotifications !== false && follower.email)
+      .map(follower => ({
+        to: follower.email,
+        subject: `[SwachhMap] ${report.title}`,
+        text: `${message}\n\nView the report: ${url}\n\nYou are receiving this because you follow this report. Turn off email notifications from your inbox on SwachhMap.`,
+        html: `<p>${escapeHtml(message)}</p><p><a href="${url}">View the report</a></p>` +
+          '<p style="color:#6b7280;font-size:12px">You are receiving this because you follow this report. Turn off email notifications from your inbox on SwachhMap.</p>'
+      })));
+  } catch (error) {
+    console.error('Failed to notify report followers:', error);
+  }
+}
+
+/**
+ * Alert the users whose watch areas contain a new report. Each user gets a
+ * single inbox notification even if several of their watches match; instant
+ * watches also send an email (in the background), daily ones queue the
+ * report for the digest. Failures are logged, never thrown.
+ * @param {Object} report - Newly created report
+ */
+export async function notifyAreaWatchers(report) {
+  try {
+    const watches = await findWatchesForReport(report);
+    if (!watches.length) return;
+
+    const byUser = new Map();
+    for (const watch of watches) {
+      const key = watch.user._id.toString();
+      if (!byUser.has(key)) byUser.set(key, { user: watch.user, watches: [] });
+      byUser.get(key).watches.push(watch);
+    }
+
+    const url = `${APP_URL}/report/${report._id}`;
+    const results = await Promise.allSettled([...byUser.values()].map(async ({ user, watches: userWatches }) => {
+      const names = userWatches.map(watch => `"${watch.name}"`).join(', ');
+      const message = `New ${report.category} report in ${names}: "${report.title}"`;
+
+      await createNotifications([user._id], {
+        report: report._id,
+        type: 'area_watch',
+        message: message.length > 500 ? `${message.slice(0, 497)}...` : message,
+        actor: report.createdBy
+      });
+
+      const daily = userWatches.filter(watch => watch.frequency === 'daily');
+      if (daily.length) {
+        await queueDigestReport(daily.map(watch => watch._id), report._id);
+      }
+
+      if (daily.length < userWatches.length && user.emailNotifications !== false && user.email) {
+        sendMailsInBackground([{
+          to: user.email,
+          subject: `[SwachhMap] New report in ${userWatches[0].name}`,
+          text: `${message}\n\n${report.description}\n\nView the report: ${url}\n\nManage your watch areas on SwachhMap.`,
+          html: `<p>${escapeHtml(message)}</p><p>${escapeHtml(report.description)}</p><p><a href="${url}">View the report</a></p>` +
+            `<p style="color:#6b7280;font-size:12px"><a href="${APP_URL}/watches">Manage your watch areas</a></p>`
+        }]);
+      }
+    }));
+
+    results
+      .filter(result => result.status === 'rejected')
+      .forEach(result => console.error('Failed to alert area watcher:', result.reason));
+  } catch (error) {
+    console.error('Failed to match report against watch areas:', error);
+  }
+}
+
+/**
+ * Start alerting area watchers about a report that has just been saved,
+ * without waiting for it, so report creation is never held up or failed
+ * by the alerts
+ * @param {Object} report - Newly created report
+ */
+export function alertAreaWatchersInBackground(report) {
+  notifyAreaWatchers(report)
+    .catch(error => console.error('Failed to alert area watchers:', error));
+}
+
+/**
+ * Email every daily watch its queued reports and empty the queues
+ * @returns {Promise<Object>} { watches, emails } processed watch and sent email counts
+ */
+export async function sendWatchDigests() {
+  const watches = await getPendingDigestWatches();
+  let emails = 0;
+
+  for (const watch of watches) {
+    // populate() drops deleted reports, so clear the queue by its original IDs
+    const queued = watch.populated('pendingReports') || [];
+    const reports = watch.pendingReports;
+    try {
+      if (reports.length && watch.user?.email && watch.user.emailNotifications !== false) {
+        const lines = reports.map(report => `- ${report.title} (${report.category}): ${APP_URL}/report/${report._id}`);
+        const items = reports
+          .map(report => `<li><a href="${APP_URL}/report/${report._id}">${escapeHtml(report.title)}</a> (${report.category})</li>`)
+          .join('');
+        const sent = await sendMail({
+          to: watch.user.email,
+          subject: `[SwachhMap] ${reports.length} new report${reports.length === 1 ? '' : 's'} in ${watch.name}`,
+          text: `New reports in your watch area "${watch.name}":\n\n${lines.join('\n')}\n\nManage your watch areas: ${APP_URL}/watches`,
+          html: `<p>New reports in your watch area "${escapeHtml(watch.name)}":</p><ul>${items}</ul>` +
+            `<p style="color:#6b7280;font-size:12px"><a href="${APP_URL}/watches">Manage your watch areas</a></p>`
+        });
+        if (sent) emails++;
+      }
+      await clearDigestReports(watch._id, queued);
+    } catch (error) {
+      console.error(`Failed to send digest for watch ${watch._id}:`, error);
+    }
+  }
+
+  return { watches: watches.length, emails };
+}
@@ -0,0 +1,160 @@
+import { createHash, timingSafeEqual } from 'crypto';
+import { NextResponse } from 'next/server';
+import { REPORT_CATEGORIES } from './reportFilters.js';
+import { RESOLVED_STATUSES, STATUS_LABELS } from './reportStatus.js';
+
+// Open311 GeoReport v2 (http://wiki.open311.org/GeoReport_v2) on top of reports.
+// Categories are the services; every other report status counts as open.
+
+export const OPEN311_FORMATS = ['json', 'xml'];
+
+export const OPEN311_SERVICES = {
+  garbage: {
+    service_name: 'Garbage',
+    description: 'Overflowing bins, garbage dumps and littering',
+    keywords: 'garbage,waste,litter,bin,dump',
+    group: 'sanitation'
+  },
+  waterlogging: {
+    service_name: 'Waterlogging',
+    description: 'Standing water, blocked drains and flooding',
+    keywords: 'water,drain,flood,waterlogging',
+    group: 'drainage'
+  },
+  other: {
+    service_name: 'Other',
+    description: 'Any other civic cleanliness issue',
+    keywords: 'other',
+    group: 'other'
+  }
+};
+
+// Open311 "closed" covers fixed reports as well as rejected ones
+export const CLOSED_STATUSES = [...RESOLVED_STATUSES, 'rejected'];
+
+/**
+ * Split an Open311 path segment like "requests.json" into its name and format
+ * @param {string} segment - Last path segment
+ * @returns {Object|null} { name, format } or null if the extension is not supported
+ */
+export function parseFormat(segment) {
+  const match = /^(.+)\.(\w+)$/.exec(segment || '');
+  if (!match || !OPEN311_FORMATS.includes(match[2])) return null;
+  return { name: match[1], format: match[2] };
+}
+
+/**
+ * List the services (report categories)
+ * @returns {Array<Object>} Open311 service objects
+ */
+export function getServices() {
+  return REPORT_CATEGORIES.map(code => ({
+    service_code: code,
+    ...OPEN311_SERVICES[code],
+    metadata: false,
+    type: 'realtime'
+  }));
+}
+
+/**
+ * Convert a report into an Open311 service request
+ * @param {Object} report - Report with department populated
+ * @param {string} origin - Site origin, used to make relative media URLs absolute
+ * @returns {Object} Open311 service request
+ */
+export function toServiceRequest(report, origin) {
+  const closed = CLOSED_STATUSES.includes(report.status);
+  const mediaUrl = report.imageUrl?.startsWith('/') ? `${origin}${report.imageUrl}` : report.imageUrl;
+
+  return {
+    service_request_id: report._id.toString(),
+    status: closed ? 'closed' : 'open',
+    status_notes: report.status === 'rejected' && report.rejectionReason
+      ? `Rejected as ${report.rejectionReason}`
+      : STATUS_LABELS[report.status] || report.status,
+    service_name: OPEN311_SERVICES[report.category]?.service_name || report.category,
+    service_code: report.category,
+    description: report.description,
+    agency_responsible: report.department?.name || null,
+    service_notice: null,
+    requested_datetime: report.createdAt?.toISOString() || null,
+    updated_datetime: (report.resolvedAt || report.createdAt)?.toISOString() || null,
+    expected_datetime: !closed && report.dueAt ? report.dueAt.toISOString() : null,
+    address: null,
+    address_id: null,
+    zipcode: null,
+    lat: report.location.coordinates[1],
+    long: report.location.coordinates[0],
+    media_url: mediaUrl || null
+  };
+}
+
+/**
+ * Look up the user an Open311 api_key belongs to. Keys are configured in
+ * OPEN311_API_KEYS as comma separated key:userId pairs.
+ * @param {string} apiKey - Key sent by the client
+ * @returns {string|null} User ID or null if the key is unknown
+ */
+export function findApiKeyUser(apiKey) {
+  if (!apiKey) return null;
+  const digest = value => createHash('sha256').update(value).digest();
+  const given = digest(apiKey);
+
+  let userId = null;
+  for (const entry of (process.env.OPEN311_API_KEYS || '').split(',')) {
+    const [key, id] = entry.trim().split(':');
+    if (key && id && timingSafeEqual(digest(key), given)) userId = id;
+  }
+  return userId;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function toXml(rootName, itemName, items) {
+  const body = items.map(item => {
+    const fields = Object.entries(item)
+      .map(([key, value]) => (value === null || value === undefined
+        ? `<${key}/>`
+        : `<${key}>${escapeXml(value)}</${key}>`))
+      .join('');
+    return `<${itemName}>${fields}</${itemName}>`;
+  }).join('');
+  return `<?xml version="1.0" encoding="utf-8"?><${rootName}>${body}</${rootName}>`;
+}
+
+/**
+ * Send a list of Open311 objects as JSON or XML
+ * @param {string} format - json or xml
+ * @param {string} rootName - XML root element, e.g. service_requests
+ * @param {string} itemName - XML element per item, e.g. request
+ * @param {Array<Object>} items - Objects to send
+ * @param {number} [status=200] - HTTP status
+ * @returns {Response} Response in the requested format
+ */
+export function open311Response(format, rootName, itemName, items, status = 200) {
+  if (format === 'xml') {
+    return new Response(toXml(rootName, itemName, items), {
+      status,
+      headers: { 'Content-Type': 'text/xml; charset=utf-8' }
+    });
+  }
+  return NextResponse.json(items, { status });
+}
+
+/**
+ * Send an Open311 error list
+ * @param {string} format - json or xml
+ * @param {number} status - HTTP status, also used as the error code
+ * @param {string} description - Human readable error
+ * @returns {Response} Error response in the requested format
+ */
+export function open311Error(format, status, description) {
+  return open311Response(format, 'errors', 'error', [{ code: status, description }], status);
+}
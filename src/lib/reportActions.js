@@ -0,0 +1,74 @@
+import { transitionReportStatus } from '@/lib/db';
+import { deleteImage } from '@/lib/storage';
+import { STATUS_NOTE_MAX_LENGTH } from '@/lib/reportStatus';
+
+/**
+ * Delete every stored image of a report (reporter photos and resolution
+ * proof). Failures are ignored so a missing file never blocks a delete.
+ * @param {Object} report - Report document
+ */
+export async function deleteReportImages(report) {
+  if (report.images && report.images.length > 0) {
+    for (const img of report.images) {
+      try { await deleteImage(img.publicId); } catch (e) { /* ignore */ }
+    }
+  } else if (report.imageUrl && report.images?.length === 0 && !report.mergedInto) {
+    // fallback: try to delete main image if images array is empty
+    // (merged duplicates hand their images over to the canonical report)
+    try { await deleteImage(report.imageUrl); } catch (e) { /* ignore */ }
+  }
+  for (const img of report.resolution?.images || []) {
+    try { await deleteImage(img.publicId); } catch (e) { /* ignore */ }
+  }
+}
+
+/**
+ * Move a report to resolved with its proof of the fix. The caller checks
+ * the transition is allowed and uploads the after photos first; they are
+ * deleted again if the report cannot be resolved.
+ * @param {Object} report - Report document in its current status
+ * @param {Object} resolution - Resolution details
+ * @param {Object} resolution.user - User resolving the report
+ * @param {string} resolution.notes - What was done
+ * @param {Array} resolution.images - Uploaded after photos as { url, publicId, thumbnailUrl }
+ * @returns {Promise<Object|null>} Updated report, or null if its status changed meanwhile
+ */
+export async function resolveReportWithProof(report, { user, notes, images }) {
+  const deleteUploads = async () => {
+    for (const image of images) {
+      try { await deleteImage(image.publicId); } catch (e) { /* ignore */ }
+    }
+  };
+
+  let updatedReport;
+  try {
+    updatedReport = await transitionReportStatus(report._id, {
+      from: report.status,
+      to: 'resolved',
+      user,
+      // The history keeps a shortened copy; the full notes live on the resolution
+      note: notes.trim().slice(0, STATUS_NOTE_MAX_LENGTH),
+      extraFields: {
+        resolution: {
+          notes: notes.trim(),
+          images
+        }
+      }
+    });
+  } catch (error) {
+    await deleteUploads();
+    throw error;
+  }
+
+  if (!updatedReport) {
+    await deleteUploads();
+    return null;
+  }
+
+  // Replacing an earlier resolution (after a reopen) orphans its images
+  for (const img of report.resolution?.images || []) {
+    try { await deleteImage(img.publicId); } catch (e) { /* ignore */ }
+  }
+
+  return updatedReport;
+}
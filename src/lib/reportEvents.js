@@ -0,0 +1,105 @@
+import { EventEmitter } from 'events';
+import { getMapReport } from '@/lib/db';
+import { RESOLVED_STATUSES } from '@/lib/reportStatus';
+import { enqueueWebhookEvent } from '@/lib/webhookDelivery';
+
+/**
+ * Events are fanned out in memory, so they only reach streams served by the
+ * same server process. Global is used so hot reloads in development don't
+ * leave open streams listening on a stale emitter.
+ */
+let cached = global.reportEvents;
+
+if (!cached) {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0); // One listener per open stream
+  cached = global.reportEvents = { emitter, lastId: 0 };
+}
+
+/**
+ * Convert a report into the GeoJSON feature the explore map uses
+ * @param {Object} report - Report from getReportsInBounds or getMapReport
+ * @returns {Object} GeoJSON Point feature
+ */
+export function toReportFeature(report) {
+  return {
+    type: 'Feature',
+    geometry: {
+      type: 'Point',
+      coordinates: report.location.coordinates
+    },
+    properties: {
+      id: report._id,
+      title: report.title,
+      description: report.description,
+      category: report.category,
+      thumbnail: report.thumbnailUrl || report.imageUrl,
+      status: report.status,
+      ward: report.ward?.name || null,
+      department: report.department?.name || null,
+      assignedTo: report.assignedTo?.username || null,
+      upvotes: report.upvotes,
+      downvotes: report.downvotes,
+      reviewCount: report.reviewCount,
+      createdAt: report.createdAt,
+      createdBy: report.createdBy?.username || 'Unknown'
+    }
+  };
+}
+
+/**
+ * Pick the event for a report whose status just changed
+ * @param {string} status - New status
+ * @returns {string} report-resolved or report-updated
+ */
+export function statusEventType(status) {
+  return RESOLVED_STATUSES.includes(status) ? 'report-resolved' : 'report-updated';
+}
+
+// Fan an event out to the open event streams in this process
+async function streamReportEvent(type, reportId) {
+  if (!cached.emitter.listenerCount('report')) return;
+
+  try {
+    let feature = null;
+    if (type !== 'report-deleted') {
+      const report = await getMapReport(reportId);
+      if (!report) return;
+      feature = toReportFeature(report);
+    }
+
+    cached.lastId += 1;
+    cached.emitter.emit('report', {
+      id: cached.lastId,
+      type,
+      reportId: reportId.toString(),
+      feature
+    });
+  } catch (error) {
+    console.error(`Error publishing ${type} event:`, error);
+  }
+}
+
+/**
+ * Tell open event streams and subscribed webhooks that a report changed.
+ * Errors are logged, never thrown, so a failure here can't fail the request
+ * that changed the report.
+ * @param {string} type - report-created, report-updated, report-resolved or report-deleted
+ * @param {string} reportId - Report ID
+ */
+export async function publishReportEvent(type, reportId) {
+  await Promise.all([
+    streamReportEvent(type, reportId),
+    enqueueWebhookEvent(type, reportId)
+  ]);
+}
+
+/**
+ * Listen for report events
+ * @param {Function} listener - Called with { id, type, reportId, feature }
+ * @returns {Function} Call to stop listening
+ */
+export function subscribeToReportEvents(listener) {
+  cached.emitter.on('report', listener);
+  return () => cached.emitter.off('report', listener);
+}
@@ -0,0 +1,125 @@
+/**
+ * Serialisers for report exports. Each format writes a header, one chunk
+ * per report and a footer so that exports can be streamed from a cursor.
+ */
+
+const CSV_COLUMNS = [
+  'id', 'title', 'description', 'category', 'status', 'rejectionReason',
+  'lat', 'lng', 'ward', 'wardCode', 'department', 'createdAt', 'dueAt',
+  'resolvedAt', 'resolutionNotes', 'upvotes', 'downvotes', 'reporterCount',
+  'url', 'imageUrls', 'resolutionImageUrls'
+];
+
+/**
+ * Flatten a report into the fields shared by every export format
+ * @param {Object} report - Plain report object from getReportsCursor
+ * @param {string} origin - Site origin, used to make relative URLs absolute
+ * @returns {Object} Export record
+ */
+export function toExportRecord(report, origin) {
+  const absolute = url => (url && url.startsWith('/') ? `${origin}${url}` : url);
+  const images = report.images?.length
+    ? report.images.map(image => image.url)
+    : [report.imageUrl].filter(Boolean);
+
+  return {
+    id: report._id.toString(),
+    title: report.title,
+    description: report.description,
+    category: report.category,
+    status: report.status,
+    rejectionReason: report.rejectionReason || null,
+    lat: report.location.coordinates[1],
+    lng: report.location.coordinates[0],
+    ward: report.ward?.name || null,
+    wardCode: report.ward?.code || null,
+    department: report.department?.name || null,
+    createdAt: report.createdAt?.toISOString() || null,
+    dueAt: report.dueAt?.toISOString() || null,
+    resolvedAt: report.resolvedAt?.toISOString() || null,
+    resolutionNotes: report.resolution?.notes || null,
+    upvotes: report.upvotes,
+    downvotes: report.downvotes,
+    reporterCount: report.reporterCount,
+    url: `${origin}/report/${report._id}`,
+    imageUrls: images.map(absolute),
+    resolutionImageUrls: (report.resolution?.images || []).map(image => absolute(image.url))
+  };
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) value = value.join(' ');
+  if (typeof value !== 'string') return String(value);
+
+  // Keep spreadsheet apps from evaluating user text as a formula
+  const text = /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+const csv = {
+  contentType: 'text/csv; charset=utf-8',
+  extension: 'csv',
+  header: () => `${CSV_COLUMNS.join(',')}\r\n`,
+  record: record => `${CSV_COLUMNS.map(column => csvCell(record[column])).join(',')}\r\n`,
+  footer: () => ''
+};
+
+const geojson = {
+  contentType: 'application/geo+json',
+  extension: 'geojson',
+  header: () => '{"type":"FeatureCollection","features":[\n',
+  record: (record, index) => {
+    const { lat, lng, ...properties } = record;
+    const feature = {
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [lng, lat] },
+      properties
+    };
+    return `${index > 0 ? ',\n' : ''}${JSON.stringify(feature)}`;
+  },
+  footer: () => '\n]}\n'
+};
+
+const kml = {
+  contentType: 'application/vnd.google-earth.kml+xml',
+  extension: 'kml',
+  header: () => [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '<Document>',
+    '<name>SwachhMap reports</name>',
+    ''
+  ].join('\n'),
+  record: (record) => {
+    const data = CSV_COLUMNS
+      .filter(column => !['id', 'title', 'description', 'lat', 'lng'].includes(column))
+      .filter(column => record[column] !== null && record[column] !== undefined && record[column].length !== 0)
+      .map(column => {
+        const value = Array.isArray(record[column]) ? record[column].join(' ') : record[column];
+        return `<Data name="${column}"><value>${escapeXml(value)}</value></Data>`;
+      })
+      .join('');
+    return [
+      `<Placemark id="report-${record.id}">`,
+      `<name>${escapeXml(record.title)}</name>`,
+      `<description>${escapeXml(record.description)}</description>`,
+      `<ExtendedData>${data}</ExtendedData>`,
+      `<Point><coordinates>${record.lng},${record.lat}</coordinates></Point>`,
+      '</Placemark>',
+      ''
+    ].join('\n');
+  },
+  footer: () => '</Document>\n</kml>\n'
+};
+
+export const EXPORT_FORMATS = { csv, geojson, kml };
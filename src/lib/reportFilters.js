@@ -0,0 +1,118 @@
+import { REPORT_STATUSES } from './reportStatus.js';
+
+export const REPORT_CATEGORIES = ['garbage', 'waterlogging', 'other'];
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+function parseDate(value, endOfDay = false) {
+  if (!value) return undefined;
+  const date = new Date(DATE_ONLY.test(value) && endOfDay ? `${value}T23:59:59.999Z` : value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Parse the report filters shared by the list, map, cluster and export endpoints
+ * @param {URLSearchParams} searchParams - Request query parameters
+ * @returns {Object} { filters } on success or { error } describing the first invalid parameter
+ */
+export function parseReportFilters(searchParams) {
+  const filters = {};
+
+  // Categories may be repeated (?category=a&category=b) or comma separated
+  const categories = searchParams.getAll('category')
+    .flatMap(value => value.split(','))
+    .map(value => value.trim())
+    .filter(Boolean);
+  if (categories.length) {
+    const invalid = categories.find(category => !REPORT_CATEGORIES.includes(category));
+    if (invalid) {
+      return { error: `Invalid category "${invalid}". Must be one of: ${REPORT_CATEGORIES.join(', ')}` };
+    }
+    filters.category = categories;
+  }
+
+  const resolved = searchParams.get('resolved');
+  if (resolved !== null && resolved !== '') filters.resolved = resolved === 'true';
+
+  const statuses = searchParams.getAll('status')
+    .flatMap(value => value.split(','))
+    .map(value => value.trim())
+    .filter(Boolean);
+  if (statuses.length) {
+    const invalid = statuses.find(status => !REPORT_STATUSES.includes(status));
+    if (invalid) {
+      return { error: `Invalid status "${invalid}". Must be one of: ${REPORT_STATUSES.join(', ')}` };
+    }
+    filters.status = statuses;
+  }
+
+  const from = parseDate(searchParams.get('from'));
+  const to = parseDate(searchParams.get('to'), true);
+  if (from === null || to === null) {
+    return { error: 'Invalid date. Use ISO 8601 (YYYY-MM-DD) for from and to' };
+  }
+  if (from) filters.from = from;
+  if (to) filters.to = to;
+
+  const q = searchParams.get('q')?.trim();
+  if (q) {
+    if (q.length > 200) {
+      return { error: 'Search query must be 200 characters or fewer' };
+    }
+    filters.q = q;
+  }
+
+  const createdBy = searchParams.get('createdBy');
+  if (createdBy) {
+    if (!/^[a-f\d]{24}$/i.test(createdBy)) {
+      return { error: 'Invalid createdBy user ID' };
+    }
+    filters.createdBy = createdBy;
+  }
+
+  const ward = searchParams.get('ward');
+  if (ward) {
+    if (!/^[a-f\d]{24}$/i.test(ward)) {
+      return { error: 'Invalid ward ID' };
+    }
+    filters.ward = ward;
+  }
+
+  const minUpvotes = parseInt(searchParams.get('minUpvotes'));
+  if (!isNaN(minUpvotes)) filters.minUpvotes = minUpvotes;
+
+  return { filters };
+}
+
+const FILTER_KEYS = ['q', 'category', 'status', 'from', 'to', 'createdBy', 'ward'];
+
+/**
+ * Read the filter panel state from URL query parameters
+ * @param {URLSearchParams} searchParams - Page query parameters
+ * @returns {Object} Filter state for ReportFilterPanel
+ */
+export function filtersFromSearchParams(searchParams) {
+  return {
+    q: searchParams.get('q') || '',
+    category: (searchParams.get('category') || '').split(',').filter(Boolean),
+    status: searchParams.get('status') || '',
+    from: searchParams.get('from') || '',
+    to: searchParams.get('to') || '',
+    createdBy: searchParams.get('createdBy') || '',
+    ward: searchParams.get('ward') || ''
+  };
+}
+
+/**
+ * Serialise filter panel state into a query string, omitting empty values
+ * @param {Object} filters - Filter state
+ * @returns {string} Query string without the leading "?"
+ */
+export function filtersToQueryString(filters) {
+  const params = new URLSearchParams();
+  for (const key of FILTER_KEYS) {
+    const value = Array.isArray(filters[key]) ? filters[key].join(',') : filters[key];
+    if (value) params.set(key, value);
+  }
+  return params.toString();
+}
@@ -0,0 +1,152 @@
+export const REPORT_STATUSES = [
+  'open',
+  'acknowledged',
+  'assigned',
+  'in_progress',
+  'resolved',
+  'reopened',
+  'rejected',
+  'closed'
+];
+
+export const REJECTION_REASONS = ['duplicate', 'invalid'];
+
+// Length limits of statusHistory notes and resolution notes in the report schema
+export const STATUS_NOTE_MAX_LENGTH = 500;
+export const RESOLUTION_NOTES_MAX_LENGTH = 1000;
+
+// Statuses that count as "resolved" for the legacy boolean and statistics
+export const RESOLVED_STATUSES = ['resolved', 'closed'];
+
+// Statuses of reports that still need work; used for duplicate detection
+export const ACTIVE_STATUSES = ['open', 'acknowledged', 'assigned', 'in_progress', 'reopened'];
+
+export const STATUS_LABELS = {
+  open: 'Open',
+  acknowledged: 'Acknowledged',
+  assigned: 'Assigned',
+  in_progress: 'In progress',
+  resolved: 'Resolved',
+  reopened: 'Reopened',
+  rejected: 'Rejected',
+  closed: 'Closed'
+};
+
+// Tailwind classes for status badges
+export const STATUS_BADGE_CLASSES = {
+  open: 'bg-yellow-100 text-yellow-700',
+  acknowledged: 'bg-blue-100 text-blue-700',
+  assigned: 'bg-indigo-100 text-indigo-700',
+  in_progress: 'bg-purple-100 text-purple-700',
+  resolved: 'bg-green-100 text-green-700',
+  reopened: 'bg-orange-100 text-orange-700',
+  rejected: 'bg-gray-200 text-gray-600',
+  closed: 'bg-green-200 text-green-800'
+};
+
+// Map marker colours, kept close to the badge colours
+export const STATUS_COLORS = {
+  open: '#eab308',
+  acknowledged: '#3b82f6',
+  assigned: '#6366f1',
+  in_progress: '#a855f7',
+  resolved: '#22c55e',
+  reopened: '#f97316',
+  rejected: '#9ca3af',
+  closed: '#15803d'
+};
+
+const ADMIN = 'admin';
+const OWNER = 'owner';
+const ASSIGNEE = 'assignee';
+
+/**
+ * Allowed transitions: current status -> next status -> roles that may make it.
+ * Admins run the municipal workflow; the field worker a report is assigned to
+ * may start work on it; the reporter may verify (close) or reopen a fix they
+ * are not happy with.
+ */
+export const STATUS_TRANSITIONS = {
+  open: {
+    acknowledged: [ADMIN],
+    assigned: [ADMIN],
+    in_progress: [ADMIN],
+    resolved: [ADMIN],
+    rejected: [ADMIN]
+  },
+  acknowledged: {
+    assigned: [ADMIN],
+    in_progress: [ADMIN],
+    resolved: [ADMIN],
+    rejected: [ADMIN]
+  },
+  assigned: {
+    in_progress: [ADMIN, ASSIGNEE],
+    resolved: [ADMIN],
+    rejected: [ADMIN]
+  },
+  in_progress: {
+    resolved: [ADMIN],
+    rejected: [ADMIN]
+  },
+  resolved: {
+    closed: [ADMIN, OWNER],
+    reopened: [ADMIN, OWNER]
+  },
+  reopened: {
+    acknowledged: [ADMIN],
+    assigned: [ADMIN],
+    in_progress: [ADMIN, ASSIGNEE],
+    resolved: [ADMIN],
+    rejected: [ADMIN]
+  },
+  rejected: {
+    reopened: [ADMIN]
+  },
+  closed: {
+    reopened: [ADMIN]
+  }
+};
+
+/**
+ * Work out which workflow roles a user holds for a report
+ * @param {Object|null} user - Current user
+ * @param {Object} report - Report with createdBy and assignedTo (IDs or populated users)
+ * @returns {Array<string>} Roles (admin, owner, assignee)
+ */
+export function getWorkflowRoles(user, report) {
+  if (!user) return [];
+
+  const roles = [];
+  if (user.isAdmin) roles.push(ADMIN);
+
+  const ownerId = report.createdBy?._id ?? report.createdBy;
+  if (ownerId && ownerId.toString() === user._id.toString()) roles.push(OWNER);
+
+  const assigneeId = report.assignedTo?._id ?? report.assignedTo;
+  if (assigneeId && assigneeId.toString() === user._id.toString()) roles.push(ASSIGNEE);
+
+  return roles;
+}
+
+/**
+ * List the statuses a report can move to for the given roles
+ * @param {string} from - Current status
+ * @param {Array<string>} roles - Roles held by the user
+ * @returns {Array<string>} Allowed next statuses
+ */
+export function getAllowedTransitions(from, roles) {
+  const next = STATUS_TRANSITIONS[from] || {};
+  return Object.keys(next).filter(status => next[status].some(role => roles.includes(role)));
+}
+
+/**
+ * Check whether a status transition is allowed for the given roles
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @param {Array<string>} roles - Roles held by the user
+ * @returns {boolean} True if allowed
+ */
+export function canTransition(from, to, roles) {
+  return getAllowedTransitions(from, roles).includes(to);
+}
@@ -7,10 +7,15 @@ cloudinary.config({
   api_secret: process.env.CLOUDINARY_API_SECRET,
 });
 
+const THUMBNAIL_TRANSFORMATION = [
+  { width: 320, height: 240, crop: 'fill' },
+  { quality: 'auto' }
+];
+
 /**
  * Upload an image to Cloudinary
  * @param {string|Buffer} base64OrFile - Base64 string or file buffer
- * @returns {Promise<Object>} Object containing secure_url and public_id
+ * @returns {Promise<Object>} Object containing secure_url, public_id and thumbnail_url
  */
 export async function uploadImage(base64OrFile) {
   try {
@@ -56,7 +61,12 @@ export async function uploadImage(base64OrFile) {
 
     return {
       secure_url: uploadResult.secure_url,
-      public_id: uploadResult.public_id
+      public_id: uploadResult.public_id,
+      // Derived on the fly by Cloudinary, nothing extra is stored
+      thumbnail_url: cloudinary.url(uploadResult.public_id, {
+        secure: true,
+        transformation: THUMBNAIL_TRANSFORMATION
+      })
     };
   } catch (error) {
     console.error('Error uploading image to Cloudinary:', error);
@@ -0,0 +1,39 @@
+import * as cloudinary from './cloudinary';
+import * as localDisk from './localDisk';
+
+const PROVIDERS = {
+  cloudinary,
+  local: localDisk
+};
+
+/**
+ * Get the image storage provider selected by STORAGE_PROVIDER
+ * (cloudinary by default, or local for a directory on this server)
+ * @returns {Object} Provider with uploadImage and deleteImage
+ */
+export function getStorage() {
+  const name = process.env.STORAGE_PROVIDER || 'cloudinary';
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown STORAGE_PROVIDER "${name}". Must be one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return provider;
+}
+
+/**
+ * Upload an image with the configured provider
+ * @param {string|Buffer} base64OrFile - Base64 string or file buffer
+ * @returns {Promise<Object>} Object containing secure_url, public_id and thumbnail_url
+ */
+export async function uploadImage(base64OrFile) {
+  return getStorage().uploadImage(base64OrFile);
+}
+
+/**
+ * Delete an image with the configured provider
+ * @param {string} publicId - Public ID of the image to delete
+ * @returns {Promise<Object>} Deletion result
+ */
+export async function deleteImage(publicId) {
+  return getStorage().deleteImage(publicId);
+}
@@ -0,0 +1,122 @@
+import { randomUUID } from 'crypto';
+import { mkdir, readFile, unlink, writeFile } from 'fs/promises';
+import path from 'path';
+import sharp from 'sharp';
+import { decodeImage } from '@/lib/exif';
+
+// Files are served back through the /api/uploads route
+const PUBLIC_PATH = '/api/uploads';
+const FOLDER = 'swachhmap';
+const PUBLIC_ID_PATTERN = /^swachhmap\/[0-9a-f-]{36}$/;
+const FILE_PATTERN = /^swachhmap\/[0-9a-f-]{36}(_thumb)?\.jpg$/;
+
+function getStorageRoot() {
+  return path.resolve(process.env.LOCAL_STORAGE_DIR || path.join(process.cwd(), 'uploads'));
+}
+
+function fileNames(publicId) {
+  return {
+    image: `${publicId}.jpg`,
+    thumbnail: `${publicId}_thumb.jpg`
+  };
+}
+
+/**
+ * Save an image to the local disk, resized like the Cloudinary uploads,
+ * together with a small thumbnail
+ * @param {string|Buffer} base64OrFile - Base64 string or file buffer
+ * @returns {Promise<Object>} Object containing secure_url, public_id and thumbnail_url
+ */
+export async function uploadImage(base64OrFile) {
+  try {
+    const buffer = decodeImage(base64OrFile);
+    if (!buffer) {
+      throw new Error('Image must be a base64 data URL or a buffer');
+    }
+
+    const publicId = `${FOLDER}/${randomUUID()}`;
+    const names = fileNames(publicId);
+
+    // rotate() applies the EXIF orientation; sharp drops the metadata on output
+    const source = sharp(buffer).rotate();
+    const [image, thumbnail] = await Promise.all([
+      source.clone()
+        .resize(800, 600, { fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality: 80 })
+        .toBuffer(),
+      source.clone()
+        .resize(320, 240, { fit: 'cover' })
+        .jpeg({ quality: 70 })
+        .toBuffer()
+    ]);
+
+    const root = getStorageRoot();
+    await mkdir(path.join(root, FOLDER), { recursive: true });
+    await Promise.all([
+      writeFile(path.join(root, names.image), image),
+      writeFile(path.join(root, names.thumbnail), thumbnail)
+    ]);
+
+    return {
+      secure_url: `${PUBLIC_PATH}/${names.image}`,
+      public_id: publicId,
+      thumbnail_url: `${PUBLIC_PATH}/${names.thumbnail}`
+    };
+  } catch (error) {
+    console.error('Error saving image to local storage:', error);
+    throw new Error('Failed to upload image');
+  }
+}
+
+/**
+ * Delete an image and its thumbnail from the local disk
+ * @param {string} publicId - Public ID of the image to delete
+ * @returns {Promise<Object>} Deletion result
+ */
+export async function deleteImage(publicId) {
+  try {
+    if (!publicId) {
+      throw new Error('Public ID is required');
+    }
+
+    // Anything else could point outside the storage directory
+    if (!PUBLIC_ID_PATTERN.test(publicId)) {
+      return { result: 'not found' };
+    }
+
+    const root = getStorageRoot();
+    const names = fileNames(publicId);
+    const results = await Promise.allSettled([
+      unlink(path.join(root, names.image)),
+      unlink(path.join(root, names.thumbnail))
+    ]);
+
+    const failed = results.find(result => result.status === 'rejected' && result.reason.code !== 'ENOENT');
+    if (failed) {
+      throw failed.reason;
+    }
+
+    return { result: results[0].status === 'fulfilled' ? 'ok' : 'not found' };
+  } catch (error) {
+    console.error('Error deleting image from local storage:', error);
+    throw new Error('Failed to delete image');
+  }
+}
+
+/**
+ * Read a stored file for serving
+ * @param {string} fileName - Path below the storage root, e.g. swachhmap/<id>.jpg
+ * @returns {Promise<Buffer|null>} File contents or null if it does not exist
+ */
+export async function readStoredFile(fileName) {
+  if (!FILE_PATTERN.test(fileName)) {
+    return null;
+  }
+
+  try {
+    return await readFile(path.join(getStorageRoot(), fileName));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
@@ -0,0 +1,178 @@
+import { Readable } from 'stream';
+import busboy from 'busboy';
+import { uploadImage, deleteImage } from '@/lib/storage';
+import { prepareImageUpload } from '@/lib/exif';
+import { MAX_IMAGE_BYTES, MAX_IMAGES_PER_REQUEST, validateImageFile } from '@/lib/imageLimits';
+
+const DATA_URL_HEADER = /^data:([\w/+.-]+);base64,/;
+
+/**
+ * Read a report create/update body sent either as JSON (base64 images) or
+ * as multipart/form-data (image files under "images", location as JSON)
+ * @param {Request} request - Incoming request
+ * @returns {Promise<Object>} { body } on success or { error } for invalid input
+ */
+export async function readReportBody(request) {
+  const contentType = request.headers.get('content-type') || '';
+  if (!contentType.startsWith('multipart/form-data')) {
+    const body = await request.json();
+    const error = validateImageData(body?.newImages) || validateImageData(body?.afterImages);
+    return error ? { error } : { body };
+  }
+
+  const { fields, images, error } = await readMultipartForm(request);
+  if (error) return { error };
+  const body = {};
+
+  for (const field of ['title', 'description', 'category', 'address', 'notes']) {
+    if (fields.has(field)) body[field] = fields.get(field);
+  }
+
+  if (fields.get('ignoreDuplicates') === 'true') body.ignoreDuplicates = true;
+
+  const location = fields.get('location');
+  if (location) {
+    try {
+      body.location = JSON.parse(location);
+    } catch {
+      return { error: 'Invalid location. Expected JSON like {"lat": 28.61, "lng": 77.2}' };
+    }
+  }
+
+  const imagesToDelete = fields.getAll('imagesToDelete');
+  if (imagesToDelete.length) body.imagesToDelete = imagesToDelete;
+
+  if (images.length) body.newImages = images;
+
+  return { body };
+}
+
+/**
+ * Check base64 images sent in a JSON body against the same limits as file uploads
+ * @param {Array<string>|undefined} images - Base64 data URLs
+ * @returns {string|null} Error message or null if the images are acceptable
+ */
+export function validateImageData(images) {
+  if (images === undefined) return null;
+  if (!Array.isArray(images)) {
+    return 'Images must be an array of base64 data URLs';
+  }
+  if (images.length > MAX_IMAGES_PER_REQUEST) {
+    return `Too many images. Upload at most ${MAX_IMAGES_PER_REQUEST} at a time`;
+  }
+
+  for (const [index, image] of images.entries()) {
+    const match = typeof image === 'string' && image.match(DATA_URL_HEADER);
+    if (!match) {
+      return `image ${index + 1}: expected a base64 data URL`;
+    }
+    const size = Buffer.byteLength(image.slice(match[0].length), 'base64');
+    const error = validateImageFile({ name: `image ${index + 1}`, type: match[1], size });
+    if (error) return error;
+  }
+  return null;
+}
+
+/**
+ * Stream a multipart/form-data body, keeping text fields and the image files
+ * under "images". Files are checked as they arrive, so an oversized or
+ * unsupported upload is never held in memory in full.
+ * @param {Request} request - Incoming request
+ * @returns {Promise<Object>} { fields, images } on success or { error } for invalid input;
+ *   fields is a URLSearchParams and images are Buffers
+ */
+export async function readMultipartForm(request) {
+  let parser;
+  try {
+    // One byte over the limit is enough to tell an oversized file apart
+    parser = busboy({
+      headers: Object.fromEntries(request.headers),
+      limits: { fileSize: MAX_IMAGE_BYTES + 1 }
+    });
+  } catch {
+    return { error: 'Invalid multipart/form-data body' };
+  }
+
+  const fields = new URLSearchParams();
+  const images = [];
+  let error = null;
+  let fileCount = 0;
+
+  parser.on('field', (name, value) => fields.append(name, value));
+
+  parser.on('file', (name, stream, { filename, mimeType }) => {
+    // Browsers send an empty part for a file input with nothing chosen
+    if (name !== 'images' || !filename || error) {
+      stream.resume();
+      return;
+    }
+
+    fileCount += 1;
+    const file = { name: filename, type: mimeType, size: 0 };
+    error = fileCount > MAX_IMAGES_PER_REQUEST
+      ? `Too many images. Upload at most ${MAX_IMAGES_PER_REQUEST} at a time`
+      : validateImageFile(file);
+    if (error) {
+      stream.resume();
+      return;
+    }
+
+    const chunks = [];
+    stream.on('data', chunk => {
+      file.size += chunk.length;
+      chunks.push(chunk);
+    });
+    stream.on('close', () => {
+      error = error || validateImageFile(file);
+      if (!error && file.size > 0) images.push(Buffer.concat(chunks));
+    });
+  });
+
+  try {
+    await new Promise((resolve, reject) => {
+      parser.on('close', resolve);
+      parser.on('error', reject);
+      Readable.fromWeb(request.body).on('error', reject).pipe(parser);
+    });
+  } catch {
+    return { error: 'Invalid multipart/form-data body' };
+  }
+
+  return error ? { error } : { fields, images };
+}
+
+/**
+ * Upload already prepared images in parallel. If any upload fails, the
+ * ones that succeeded are deleted again and the error is rethrown.
+ * @param {Array<string|Buffer>} uploads - Values to pass to uploadImage
+ * @returns {Promise<Array>} Uploaded images as { url, publicId, thumbnailUrl }
+ */
+export async function uploadPreparedImages(uploads) {
+  const results = await Promise.allSettled(uploads.map(upload => uploadImage(upload)));
+
+  const failed = results.find(result => result.status === 'rejected');
+  if (failed) {
+    await Promise.all(results
+      .filter(result => result.status === 'fulfilled')
+      .map(result => deleteImage(result.value.public_id).catch(cleanupError => {
+        console.error('Failed to cleanup image:', cleanupError);
+      })));
+    throw failed.reason;
+  }
+
+  return results.map(result => ({
+    url: result.value.secure_url,
+    publicId: result.value.public_id,
+    thumbnailUrl: result.value.thumbnail_url
+  }));
+}
+
+/**
+ * Strip location metadata from images and upload them in parallel
+ * @param {Array<string|Buffer>} images - Base64 data URLs or file buffers
+ * @returns {Promise<Array>} Uploaded images as { url, publicId, thumbnailUrl }
+ */
+export async function uploadImages(images) {
+  const prepared = await Promise.all(images.map(image => prepareImageUpload(image)));
+  return uploadPreparedImages(prepared.map(image => image.upload));
+}
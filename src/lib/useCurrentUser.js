@@ -0,0 +1,36 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+
+/**
+ * Load the logged-in user from the session cookie
+ * @param {*} [refreshKey] - Refetch whenever this value changes (e.g. the pathname)
+ * @returns {{ user: Object|null, loading: boolean, setUser: Function }} Current user (null if logged out)
+ */
+export default function useCurrentUser(refreshKey) {
+  const [user, setUser] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    async function fetchUser() {
+      try {
+        const res = await fetch('/api/auth/me');
+        const data = await res.json();
+        if (!cancelled) setUser(data.user || null);
+      } catch (err) {
+        if (!cancelled) setUser(null);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }
+    fetchUser();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [refreshKey]);
+
+  return { user, loading, setUser };
+}
@@ -0,0 +1,51 @@
+import { REPORT_CATEGORIES } from './reportFilters.js';
+
+export const WATCH_SHAPES = ['circle', 'polygon'];
+
+// instant: in-app and email for every report; daily: in-app now, one email digest a day
+export const WATCH_FREQUENCIES = ['instant', 'daily'];
+
+export const WATCH_RADIUS_LIMITS = { min: 50, max: 20000 };
+
+/**
+ * Validate the name, categories and frequency shared by creating and editing a watch
+ * @param {Object} options - Watch fields from the request body
+ * @param {boolean} [partial=false] - Whether omitted fields are allowed (updates)
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateWatchOptions({ name, categories, frequency }, partial = false) {
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > 100) {
+      return 'name is required and must be 100 characters or fewer';
+    }
+  }
+  if (categories !== undefined &&
+      (!Array.isArray(categories) || categories.some(category => !REPORT_CATEGORIES.includes(category)))) {
+    return `categories must be a list of: ${REPORT_CATEGORIES.join(', ')}`;
+  }
+  if (frequency !== undefined && !WATCH_FREQUENCIES.includes(frequency)) {
+    return `frequency must be one of: ${WATCH_FREQUENCIES.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Format a watch for API responses
+ * @param {Object} watch - Watch document
+ * @returns {Object} Watch as returned by the watches endpoints
+ */
+export function formatWatch(watch) {
+  return {
+    _id: watch._id,
+    name: watch.name,
+    shape: watch.shape,
+    center: watch.shape === 'circle' ? { lat: watch.center.lat, lng: watch.center.lng } : null,
+    radius: watch.shape === 'circle' ? watch.radius : null,
+    area: watch.area,
+    categories: watch.categories,
+    frequency: watch.frequency,
+    pendingDigest: watch.pendingReports?.length || 0,
+    lastDigestAt: watch.lastDigestAt,
+    createdAt: watch.createdAt
+  };
+}
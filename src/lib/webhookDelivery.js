@@ -0,0 +1,176 @@
+import { createHmac, randomBytes, randomUUID } from 'crypto';
+import {
+  claimWebhookDelivery,
+  createWebhookDeliveries,
+  getDueWebhookDeliveryIds,
+  getExportReport,
+  getWebhooksForEvent,
+  recordWebhookDeliveryResult
+} from '@/lib/db';
+import { toExportRecord } from '@/lib/reportExport';
+
+const APP_URL = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+// A delivery is given up after this many attempts. Retries wait 30s, 1m, 2m, ...
+// doubling each time, so the last one happens about an hour after the event.
+export const WEBHOOK_MAX_ATTEMPTS = 8;
+const RETRY_BASE_DELAY = 30 * 1000;
+
+// Receivers must answer within this time (ms)
+const DELIVERY_TIMEOUT = 10 * 1000;
+
+// How long a claimed delivery is hidden from other workers; longer than the timeout
+const DELIVERY_LEASE = 60 * 1000;
+
+/**
+ * Create a random webhook signing secret
+ * @returns {string} Secret
+ */
+export function generateWebhookSecret() {
+  return `whsec_${randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Sign a webhook body. Receivers recompute the HMAC-SHA256 of
+ * "<timestamp>.<body>" with their secret, compare it with v1 in the
+ * X-SwachhMap-Signature header and reject stale timestamps to stop replays.
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Unix time in seconds
+ * @param {string} body - Raw JSON body
+ * @returns {string} Hex signature
+ */
+export function signWebhookPayload(secret, timestamp, body) {
+  return createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Attempt a delivery in the background, after the request that queued it has returned
+function scheduleAttempt(deliveryId, delay) {
+  const timer = setTimeout(() => {
+    attemptWebhookDelivery(deliveryId)
+      .catch(error => console.error(`Error delivering webhook ${deliveryId}:`, error));
+  }, delay);
+  timer.unref?.();
+}
+
+/**
+ * Queue a report event for every webhook subscribed to it and start
+ * delivering in the background. Errors are logged, never thrown.
+ * @param {string} type - Event type, one of WEBHOOK_EVENTS
+ * @param {string} reportId - Report ID
+ */
+export async function enqueueWebhookEvent(type, reportId) {
+  try {
+    const webhooks = await getWebhooksForEvent(type);
+    if (!webhooks.length) return;
+
+    // Deleted reports can only be identified by their ID
+    let data = { id: reportId.toString() };
+    if (type !== 'report-deleted') {
+      const report = await getExportReport(reportId);
+      if (!report) return;
+      data = toExportRecord(report, APP_URL);
+    }
+
+    // The event ID is the same for every webhook and retry, so receivers can drop repeats
+    const payload = JSON.stringify({
+      id: randomUUID(),
+      event: type,
+      createdAt: new Date().toISOString(),
+      data
+    });
+
+    const deliveries = await createWebhookDeliveries(
+      webhooks.map(webhook => webhook._id),
+      { event: type, report: reportId, payload }
+    );
+    deliveries.forEach(delivery => scheduleAttempt(delivery._id, 0));
+  } catch (error) {
+    console.error(`Error queueing ${type} webhooks:`, error);
+  }
+}
+
+/**
+ * Make one attempt at a pending delivery, scheduling a retry with
+ * exponential backoff if it fails
+ * @param {string} deliveryId - Delivery ID
+ * @returns {Promise<string|null>} New delivery status, or null if the delivery wasn't due
+ */
+export async function attemptWebhookDelivery(deliveryId) {
+  const delivery = await claimWebhookDelivery(deliveryId, DELIVERY_LEASE);
+  if (!delivery) return null;
+
+  const { webhook } = delivery;
+  if (!webhook?.active) {
+    await recordWebhookDeliveryResult(deliveryId, {
+      status: 'failed',
+      lastError: webhook ? 'Webhook is disabled' : 'Webhook was deleted'
+    });
+    return 'failed';
+  }
+
+  const timestamp = Math.floor(Date.now() / 1000);
+  const result = { responseStatus: null, responseBody: null, lastError: null };
+  try {
+    const res = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'SwachhMap-Webhooks/1.0',
+        'X-SwachhMap-Event': delivery.event,
+        'X-SwachhMap-Delivery': delivery._id.toString(),
+        'X-SwachhMap-Signature': `t=${timestamp},v1=${signWebhookPayload(webhook.secret, timestamp, delivery.payload)}`
+      },
+      body: delivery.payload,
+      // A redirect could send the signed payload somewhere the admin never registered
+      redirect: 'manual',
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT)
+    });
+    result.responseStatus = res.status;
+    result.responseBody = (await res.text()).slice(0, 1000);
+    if (res.ok) {
+      result.status = 'delivered';
+      result.deliveredAt = new Date();
+    } else {
+      result.lastError = `Receiver responded with HTTP ${res.status}`;
+    }
+  } catch (error) {
+    result.lastError = error.name === 'TimeoutError'
+      ? `No response within ${DELIVERY_TIMEOUT / 1000}s`
+      : error.cause?.message || error.message;
+  }
+
+  let delay = null;
+  if (!result.status) {
+    if (delivery.attempts >= WEBHOOK_MAX_ATTEMPTS) {
+      result.status = 'failed';
+    } else {
+      delay = RETRY_BASE_DELAY * 2 ** (delivery.attempts - 1);
+      result.nextAttemptAt = new Date(Date.now() + delay);
+    }
+  }
+
+  await recordWebhookDeliveryResult(deliveryId, result);
+  if (delay !== null) scheduleAttempt(deliveryId, delay);
+
+  return result.status || 'pending';
+}
+
+/**
+ * Attempt every delivery that is due. Retries are normally sent from timers
+ * in the server process; this picks up whatever those missed, for example
+ * after a restart.
+ * @param {number} [limit=100] - Maximum number of deliveries to attempt
+ * @returns {Promise<Object>} Counts of deliveries attempted, delivered, failed and still pending
+ */
+export async function sendDueWebhookDeliveries(limit = 100) {
+  const counts = { attempted: 0, delivered: 0, failed: 0, pending: 0 };
+
+  for (const deliveryId of await getDueWebhookDeliveryIds(limit)) {
+    const status = await attemptWebhookDelivery(deliveryId);
+    if (!status) continue;
+    counts.attempted += 1;
+    counts[status] += 1;
+  }
+
+  return counts;
+}
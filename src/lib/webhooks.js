@@ -0,0 +1,75 @@
+// Same event names as the live map stream (/api/report/events)
+export const WEBHOOK_EVENTS = ['report-created', 'report-updated', 'report-resolved', 'report-deleted'];
+
+export const WEBHOOK_DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+/**
+ * Validate the URL, events and description shared by creating and editing a webhook
+ * @param {Object} options - Webhook fields from the request body
+ * @param {boolean} [partial=false] - Whether omitted fields are allowed (updates)
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateWebhookOptions({ url, events, description }, partial = false) {
+  if (url !== undefined || !partial) {
+    let parsed = null;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      // Reported below
+    }
+    if (typeof url !== 'string' || url.length > 2000 || !parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+      return 'url is required and must be an http or https URL';
+    }
+  }
+  if (events !== undefined || !partial) {
+    if (!Array.isArray(events) || !events.length || events.some(event => !WEBHOOK_EVENTS.includes(event))) {
+      return `events must be a non-empty list of: ${WEBHOOK_EVENTS.join(', ')}`;
+    }
+  }
+  if (description !== undefined && (typeof description !== 'string' || description.length > 200)) {
+    return 'description must be 200 characters or fewer';
+  }
+  return null;
+}
+
+/**
+ * Format a webhook for API responses. The secret is only shown in full when
+ * it is created or rotated.
+ * @param {Object} webhook - Webhook document
+ * @param {boolean} [includeSecret=false] - Whether to include the full secret
+ * @returns {Object} Webhook as returned by the webhooks endpoints
+ */
+export function formatWebhook(webhook, includeSecret = false) {
+  const formatted = {
+    _id: webhook._id,
+    url: webhook.url,
+    description: webhook.description,
+    events: webhook.events,
+    active: webhook.active,
+    createdBy: webhook.createdBy?.username || null,
+    createdAt: webhook.createdAt
+  };
+  if (includeSecret) formatted.secret = webhook.secret;
+  return formatted;
+}
+
+/**
+ * Format a delivery log entry for API responses
+ * @param {Object} delivery - Delivery document
+ * @returns {Object} Delivery as returned by the deliveries endpoint
+ */
+export function formatDelivery(delivery) {
+  return {
+    _id: delivery._id,
+    event: delivery.event,
+    report: delivery.report,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    nextAttemptAt: delivery.status === 'pending' ? delivery.nextAttemptAt : null,
+    responseStatus: delivery.responseStatus,
+    responseBody: delivery.responseBody,
+    lastError: delivery.lastError,
+    deliveredAt: delivery.deliveredAt,
+    createdAt: delivery.createdAt
+  };
+}